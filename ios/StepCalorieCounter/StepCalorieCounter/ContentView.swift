@@ -5,6 +5,7 @@ struct ContentView: View {
     @EnvironmentObject private var pedometer: PedometerManager
 
     @AppStorage("serverURL") private var serverURL: String = "http://localhost:4000"
+    @AppStorage("apiToken") private var apiToken: String = ""
     @AppStorage("weightKg") private var weightKg: Double = 72
     @AppStorage("heightCm") private var heightCm: Double = 175
     @State private var sliderInterval: Double = 60
@@ -194,7 +195,7 @@ struct ContentView: View {
                     }
                 }
 
-                SectionCard(title: "Profile & API", footer: "Server URL should point to the backend POST /api/metrics endpoint.") {
+                SectionCard(title: "Profile & API", footer: "Server URL should point to the backend POST /api/metrics endpoint. Paste the API token issued by POST /api/users or POST /api/tokens.") {
                     TextField("Server URL", text: $serverURL)
                         .keyboardType(.URL)
                         .textInputAutocapitalization(.never)
@@ -203,6 +204,13 @@ struct ContentView: View {
                         .onSubmit(updateConfiguration)
                         .onChange(of: serverURL) { _ in updateConfiguration() }
 
+                    SecureField("API token", text: $apiToken)
+                        .textInputAutocapitalization(.never)
+                        .disableAutocorrection(true)
+                        .textFieldStyle(.roundedBorder)
+                        .onSubmit(updateConfiguration)
+                        .onChange(of: apiToken) { _ in updateConfiguration() }
+
                     VStack(spacing: 12) {
                         LabeledTextField(label: "Weight (kg)", value: $weightKg, formatter: numberFormatter)
                             .onChange(of: weightKg) { _ in updateConfiguration() }
@@ -233,7 +241,7 @@ struct ContentView: View {
     }
 
     private func updateConfiguration() {
-        pedometer.updateConfiguration(serverURL: serverURL, weightKg: weightKg, heightCm: heightCm)
+        pedometer.updateConfiguration(serverURL: serverURL, apiToken: apiToken, weightKg: weightKg, heightCm: heightCm)
     }
 
     private func saveGoals() {
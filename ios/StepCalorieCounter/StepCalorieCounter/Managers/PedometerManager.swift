@@ -28,7 +28,12 @@ final class PedometerManager: ObservableObject {
     private var configuration = UserConfiguration.default
     private var lastAutoUpload = Date.distantPast
     private let intervalDefaultsKey = "uploadIntervalSeconds"
+    private let pendingDefaultsKey = "pendingSamples"
+    private let maxPendingSamples = 2000
+    private let batchSize = 500
     private var lastUploadedSample: StepSample?
+    private var pendingSamples: [StepSample] = []
+    private var isFlushingPending = false
 
     init() {
         let storedInterval = UserDefaults.standard.double(forKey: intervalDefaultsKey)
@@ -39,6 +44,11 @@ final class PedometerManager: ObservableObject {
             UserDefaults.standard.set(60.0, forKey: intervalDefaultsKey)
         }
 
+        if let data = UserDefaults.standard.data(forKey: pendingDefaultsKey),
+           let stored = try? JSONDecoder().decode([StepSample].self, from: data) {
+            pendingSamples = stored
+        }
+
         refreshSummary()
     }
 
@@ -87,9 +97,10 @@ final class PedometerManager: ObservableObject {
         upload(sample)
     }
 
-    func updateConfiguration(serverURL: String, weightKg: Double, heightCm: Double) {
+    func updateConfiguration(serverURL: String, apiToken: String, weightKg: Double, heightCm: Double) {
         configuration = UserConfiguration(weightKg: weightKg, heightCm: heightCm)
         apiClient.updateBaseURL(serverURL)
+        apiClient.updateToken(apiToken)
         refreshSummary()
     }
 
@@ -152,9 +163,47 @@ final class PedometerManager: ObservableObject {
                     self?.lastUploadAt = Date()
                     self?.errorMessage = nil
                     self?.lastUploadedSample = sample
+                    self?.flushPendingSamples()
                     self?.refreshSummary()
                 case .failure(let error):
                     self?.errorMessage = error.localizedDescription
+                    self?.enqueuePending(sample)
+                }
+            }
+        }
+    }
+
+    private func enqueuePending(_ sample: StepSample) {
+        // Samples are cumulative per session, so when the cap is hit the oldest readings are the safest to drop.
+        pendingSamples.append(sample)
+        if pendingSamples.count > maxPendingSamples {
+            pendingSamples.removeFirst(pendingSamples.count - maxPendingSamples)
+        }
+        persistPending()
+    }
+
+    private func persistPending() {
+        if let data = try? JSONEncoder().encode(pendingSamples) {
+            UserDefaults.standard.set(data, forKey: pendingDefaultsKey)
+        }
+    }
+
+    private func flushPendingSamples() {
+        guard !isFlushingPending, !pendingSamples.isEmpty else { return }
+        isFlushingPending = true
+        let chunk = Array(pendingSamples.prefix(batchSize))
+        apiClient.pushBatch(samples: chunk) { [weak self] result in
+            DispatchQueue.main.async {
+                guard let self else { return }
+                self.isFlushingPending = false
+                switch result {
+                case .success:
+                    let sentIds = Set(chunk.map(\.id))
+                    self.pendingSamples.removeAll { sentIds.contains($0.id) }
+                    self.persistPending()
+                    self.flushPendingSamples()
+                case .failure(let error):
+                    self.errorMessage = error.localizedDescription
                 }
             }
         }
@@ -23,12 +23,42 @@ struct MetricsEnvelope: Codable {
         let deviceId: String
         let model: String
         let osVersion: String
+        let timeZone: String
     }
 
     let device: DevicePayload
     let sample: StepSample
 }
 
+struct BatchEnvelope: Encodable {
+    struct Item: Encodable {
+        let idempotencyKey: String
+        let steps: Int
+        let distance: Double
+        let calories: Double
+        let start: Date
+        let end: Date
+
+        init(sample: StepSample) {
+            idempotencyKey = sample.id.uuidString
+            steps = sample.steps
+            distance = sample.distance
+            calories = sample.calories
+            start = sample.start
+            end = sample.end
+        }
+    }
+
+    let device: MetricsEnvelope.DevicePayload
+    let samples: [Item]
+}
+
+struct BatchResult: Decodable {
+    let stored: Int
+    let updated: Int
+    let rejected: Int
+}
+
 struct GoalSettings: Codable, Equatable {
     var steps: Int
     var calories: Double
@@ -38,6 +68,7 @@ struct GoalSettings: Codable, Equatable {
 
 struct SummaryPayload: Codable {
     struct TodayProgress: Codable {
+        let date: String?
         let steps: Double
         let calories: Double
         let stepGoal: Double
@@ -5,6 +5,7 @@ final class APIClient {
     enum APIError: LocalizedError {
         case invalidURL
         case invalidResponse
+        case unauthorized
 
         var errorDescription: String? {
             switch self {
@@ -12,11 +13,14 @@ final class APIClient {
                 return "Server URL is invalid"
             case .invalidResponse:
                 return "Server responded with an error"
+            case .unauthorized:
+                return "API token is missing or was rejected"
             }
         }
     }
 
     private var baseURL: URL?
+    private var token: String = ""
     private let session: URLSession
     private let decoder: JSONDecoder
     private let encoder: JSONEncoder
@@ -34,6 +38,33 @@ final class APIClient {
         baseURL = URL(string: string.trimmingCharacters(in: .whitespacesAndNewlines))
     }
 
+    func updateToken(_ string: String) {
+        token = string.trimmingCharacters(in: .whitespacesAndNewlines)
+    }
+
+    private func authorizedRequest(_ url: URL) -> URLRequest {
+        var request = URLRequest(url: url)
+        if !token.isEmpty {
+            request.addValue("Bearer \(token)", forHTTPHeaderField: "Authorization")
+        }
+        return request
+    }
+
+    private var currentDevice: MetricsEnvelope.DevicePayload {
+        .init(
+            deviceId: UIDevice.current.identifierForVendor?.uuidString ?? UUID().uuidString,
+            model: UIDevice.current.name,
+            osVersion: UIDevice.current.systemVersion,
+            timeZone: TimeZone.current.identifier
+        )
+    }
+
+    private func validate(_ response: URLResponse?) -> APIError? {
+        guard let httpResponse = response as? HTTPURLResponse else { return .invalidResponse }
+        if httpResponse.statusCode == 401 { return .unauthorized }
+        return 200..<300 ~= httpResponse.statusCode ? nil : .invalidResponse
+    }
+
     func push(sample: StepSample, completion: @escaping (Result<Void, Error>) -> Void) {
         guard let baseURL else {
             completion(.failure(APIError.invalidURL))
@@ -42,15 +73,13 @@ final class APIClient {
 
         let endpoint = baseURL.appendingPathComponent("api/metrics")
 
-        var request = URLRequest(url: endpoint)
+        var request = authorizedRequest(endpoint)
         request.httpMethod = "POST"
         request.addValue("application/json", forHTTPHeaderField: "Content-Type")
 
-        let payload = MetricsEnvelope(device: .init(
-            deviceId: UIDevice.current.identifierForVendor?.uuidString ?? UUID().uuidString,
-            model: UIDevice.current.name,
-            osVersion: UIDevice.current.systemVersion
-        ), sample: sample)
+        request.addValue(sample.id.uuidString, forHTTPHeaderField: "Idempotency-Key")
+
+        let payload = MetricsEnvelope(device: currentDevice, sample: sample)
 
         do {
             request.httpBody = try encoder.encode(payload)
@@ -65,8 +94,8 @@ final class APIClient {
                 return
             }
 
-            guard let httpResponse = response as? HTTPURLResponse, 200..<300 ~= httpResponse.statusCode else {
-                completion(.failure(APIError.invalidResponse))
+            if let apiError = self.validate(response) {
+                completion(.failure(apiError))
                 return
             }
 
@@ -74,13 +103,56 @@ final class APIClient {
         }.resume()
     }
 
+    func pushBatch(samples: [StepSample], completion: @escaping (Result<BatchResult, Error>) -> Void) {
+        guard let baseURL else {
+            completion(.failure(APIError.invalidURL))
+            return
+        }
+
+        var request = authorizedRequest(baseURL.appendingPathComponent("api/metrics/batch"))
+        request.httpMethod = "POST"
+        request.addValue("application/json", forHTTPHeaderField: "Content-Type")
+
+        let payload = BatchEnvelope(device: currentDevice, samples: samples.map(BatchEnvelope.Item.init))
+
+        do {
+            request.httpBody = try encoder.encode(payload)
+        } catch {
+            completion(.failure(error))
+            return
+        }
+
+        session.dataTask(with: request) { data, response, error in
+            if let error {
+                completion(.failure(error))
+                return
+            }
+
+            if let apiError = self.validate(response) {
+                completion(.failure(apiError))
+                return
+            }
+
+            guard let data else {
+                completion(.failure(APIError.invalidResponse))
+                return
+            }
+
+            do {
+                completion(.success(try self.decoder.decode(BatchResult.self, from: data)))
+            } catch {
+                completion(.failure(error))
+            }
+        }.resume()
+    }
+
     func resetMetrics(completion: @escaping (Result<Void, Error>) -> Void) {
         guard let baseURL else {
             completion(.failure(APIError.invalidURL))
             return
         }
 
-        var request = URLRequest(url: baseURL.appendingPathComponent("api/metrics"))
+        var request = authorizedRequest(baseURL.appendingPathComponent("api/metrics"))
         request.httpMethod = "DELETE"
 
         session.dataTask(with: request) { _, response, error in
@@ -89,8 +161,8 @@ final class APIClient {
                 return
             }
 
-            guard let httpResponse = response as? HTTPURLResponse, 200..<300 ~= httpResponse.statusCode else {
-                completion(.failure(APIError.invalidResponse))
+            if let apiError = self.validate(response) {
+                completion(.failure(apiError))
                 return
             }
 
@@ -104,14 +176,19 @@ final class APIClient {
             return
         }
 
-        let endpoint = baseURL.appendingPathComponent("api/summary")
-        session.dataTask(with: endpoint) { data, response, error in
+        let request = authorizedRequest(baseURL.appendingPathComponent("api/summary"))
+        session.dataTask(with: request) { data, response, error in
             if let error {
                 completion(.failure(error))
                 return
             }
 
-            guard let data, let httpResponse = response as? HTTPURLResponse, 200..<300 ~= httpResponse.statusCode else {
+            if let apiError = self.validate(response) {
+                completion(.failure(apiError))
+                return
+            }
+
+            guard let data else {
                 completion(.failure(APIError.invalidResponse))
                 return
             }
@@ -131,7 +208,7 @@ final class APIClient {
             return
         }
 
-        var request = URLRequest(url: baseURL.appendingPathComponent("api/goals"))
+        var request = authorizedRequest(baseURL.appendingPathComponent("api/goals"))
         request.httpMethod = "PUT"
         request.addValue("application/json", forHTTPHeaderField: "Content-Type")
 
@@ -151,7 +228,12 @@ final class APIClient {
                 return
             }
 
-            guard let data, let httpResponse = response as? HTTPURLResponse, 200..<300 ~= httpResponse.statusCode else {
+            if let apiError = self.validate(response) {
+                completion(.failure(apiError))
+                return
+            }
+
+            guard let data else {
                 completion(.failure(APIError.invalidResponse))
                 return
             }
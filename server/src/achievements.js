@@ -0,0 +1,185 @@
+import { randomUUID } from 'crypto';
+import { meetsGoals, weekdayOf } from './goals.js';
+import { shiftDateKey } from './time.js';
+
+const STREAK_TIERS = [7, 30, 100];
+
+// A personal best only counts against an established record: two weeks of tracked days, beaten by 10%.
+const PERSONAL_BEST_BASELINE_DAYS = 14;
+const PERSONAL_BEST_MARGIN = 0.1;
+
+// Lifetime distance milestones, in metres.
+const DISTANCE_TIERS = [
+  { code: 'distance-10k', title: 'First 10 km', metres: 10000 },
+  { code: 'distance-marathon', title: 'Marathon distance', metres: 42195 },
+  { code: 'distance-100k', title: '100 km walked', metres: 100000 },
+  { code: 'distance-500k', title: '500 km walked', metres: 500000 },
+  { code: 'distance-1000k', title: '1,000 km walked', metres: 1000000 },
+];
+
+let store = null;
+
+const firstDay = (days, test) => {
+  const match = days.find(test);
+  return match ? { date: match.date, steps: Math.round(match.steps) } : null;
+};
+
+// Longest run of goal days, stepping over exempt days the same way the live streak does.
+const longestStreak = (context) => {
+  const { days, dailyTotals, plan, today } = context;
+  let best = { days: 0, end: null };
+  let run = 0;
+  if (!days.length) {
+    return best;
+  }
+  for (let key = days[0].date; key <= today; key = shiftDateKey(key, 1)) {
+    if (plan.isExempt(key)) {
+      continue;
+    }
+    const totals = dailyTotals.get(key);
+    if (!totals || !meetsGoals(totals, plan.goalFor(key))) {
+      run = 0;
+      continue;
+    }
+    run += 1;
+    if (run > best.days) {
+      best = { days: run, end: key };
+    }
+  }
+  return best;
+};
+
+const personalBest = ({ days }) => {
+  let previous = 0;
+  for (const [index, day] of days.entries()) {
+    if (index >= PERSONAL_BEST_BASELINE_DAYS && previous > 0 && day.steps - previous >= previous * PERSONAL_BEST_MARGIN) {
+      return { date: day.date, steps: Math.round(day.steps), previousBest: Math.round(previous) };
+    }
+    previous = Math.max(previous, day.steps);
+  }
+  return null;
+};
+
+// A Monday-to-Sunday week where every day that isn't exempt met its goals.
+const perfectWeek = ({ days, dailyTotals, plan, today }) => {
+  if (!days.length) {
+    return null;
+  }
+  for (let monday = days[0].date; monday <= today; monday = shiftDateKey(monday, 1)) {
+    if (weekdayOf(monday) !== 'mon') {
+      continue;
+    }
+    let goalDays = 0;
+    let complete = true;
+    for (let offset = 0; offset < 7 && complete; offset += 1) {
+      const key = shiftDateKey(monday, offset);
+      if (plan.isExempt(key)) {
+        continue;
+      }
+      const totals = dailyTotals.get(key);
+      complete = Boolean(totals) && meetsGoals(totals, plan.goalFor(key));
+      goalDays += complete ? 1 : 0;
+    }
+    if (complete && goalDays) {
+      return { week: monday, goalDays };
+    }
+  }
+  return null;
+};
+
+export const ACHIEVEMENTS = [
+  {
+    code: 'first-10k-day',
+    category: 'steps',
+    title: 'First 10k day',
+    description: 'Walk 10,000 steps in a single day.',
+    check: ({ days }) => firstDay(days, (day) => day.steps >= 10000),
+  },
+  ...STREAK_TIERS.map((length) => ({
+    code: `streak-${length}`,
+    category: 'streak',
+    title: `${length}-day streak`,
+    description: `Meet your goals ${length} days in a row (rest days don't count against you).`,
+    check: (context) => {
+      const streak = context.longestStreak();
+      return streak.days >= length ? { days: streak.days, through: streak.end } : null;
+    },
+  })),
+  ...DISTANCE_TIERS.map((tier) => ({
+    code: tier.code,
+    category: 'distance',
+    title: tier.title,
+    description: `Cover ${tier.metres / 1000} km in total.`,
+    check: ({ lifetimeDistance }) => (lifetimeDistance >= tier.metres ? { distance: Math.round(lifetimeDistance) } : null),
+  })),
+  {
+    code: 'personal-best',
+    category: 'steps',
+    title: 'Personal best',
+    description: 'After two weeks of tracking, beat your best daily step count by 10%.',
+    check: personalBest,
+  },
+  {
+    code: 'perfect-week',
+    category: 'goals',
+    title: 'Perfect week',
+    description: 'Meet your goals every day from Monday to Sunday.',
+    check: perfectWeek,
+  },
+];
+
+export const initAchievements = (nextStore) => {
+  store = nextStore;
+  store.defineIndex('achievements', 'user', (unlock) => unlock.userId);
+};
+
+// The full catalog with each entry's unlock, if any; unlocks stay earned even if the samples behind them are removed.
+export const listAchievements = (userId) => {
+  const unlocks = new Map(store.lookup('achievements', 'user', userId).map((unlock) => [unlock.code, unlock]));
+  return ACHIEVEMENTS.map(({ code, category, title, description }) => {
+    const unlock = unlocks.get(code);
+    return {
+      code,
+      category,
+      title,
+      description,
+      unlocked: Boolean(unlock),
+      unlockedAt: unlock?.unlockedAt ?? null,
+      detail: unlock?.detail ?? null,
+    };
+  });
+};
+
+// Checks every rule not yet unlocked and persists the new unlocks, returning them.
+export const evaluateAchievements = async (userId, { dailyTotals, plan, today }) => {
+  const earned = new Set(store.lookup('achievements', 'user', userId).map((unlock) => unlock.code));
+  const pending = ACHIEVEMENTS.filter((achievement) => !earned.has(achievement.code));
+  if (!pending.length) {
+    return [];
+  }
+
+  const days = Array.from(dailyTotals.entries())
+    .filter(([date]) => date <= today)
+    .map(([date, totals]) => ({ date, ...totals }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  let streak = null;
+  const context = {
+    days,
+    dailyTotals,
+    plan,
+    today,
+    lifetimeDistance: days.reduce((sum, day) => sum + day.distance, 0),
+    longestStreak: () => {
+      streak = streak ?? longestStreak({ days, dailyTotals, plan, today });
+      return streak;
+    },
+  };
+
+  const unlockedAt = new Date().toISOString();
+  const unlocks = pending.flatMap((achievement) => {
+    const detail = achievement.check(context);
+    return detail ? [{ id: randomUUID(), userId, code: achievement.code, unlockedAt, detail }] : [];
+  });
+  await store.batch(unlocks.map((unlock) => ({ op: 'put', c: 'achievements', r: unlock })));
+  return unlocks;
+};
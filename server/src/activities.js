@@ -0,0 +1,155 @@
+import { randomUUID } from 'crypto';
+import { ENERGY_MODEL, estimateWorkoutCalories, profileOf } from './energy.js';
+
+// MET values per intensity, after the Compendium of Physical Activities.
+export const ACTIVITY_TYPES = {
+  cycling: { light: 4, moderate: 6.8, vigorous: 10 },
+  swimming: { light: 5.8, moderate: 7, vigorous: 9.8 },
+  strength: { light: 3.5, moderate: 5, vigorous: 6 },
+  running: { light: 7, moderate: 9.8, vigorous: 11.5 },
+  rowing: { light: 4.8, moderate: 7, vigorous: 8.5 },
+  elliptical: { light: 4.6, moderate: 5, vigorous: 6.6 },
+  hiit: { light: 6, moderate: 8, vigorous: 10 },
+  yoga: { light: 2.3, moderate: 3, vigorous: 4 },
+  other: { light: 3, moderate: 4.5, vigorous: 6 },
+};
+export const INTENSITIES = ['light', 'moderate', 'vigorous'];
+export const DEFAULT_INTENSITY = 'moderate';
+
+export const MAX_DURATION_MINUTES = 1440;
+export const MAX_ACTIVITY_CALORIES = 10000;
+export const MAX_NOTE_LENGTH = 200;
+
+// Steps credited per active MET-minute: brisk walking (~3.5 MET, ~100 steps/min) lands near 75/min.
+const STEPS_PER_MET_MINUTE = 30;
+
+let store = null;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+export const initActivities = (nextStore) => {
+  store = nextStore;
+  store.defineIndex('activities', 'user', (entry) => entry.userId);
+};
+
+const publicActivity = ({ userId, ...entry }) => ({ ...entry, source: 'manual' });
+
+// The shape is checked against the API contract first; returns { field, code, message } for what it can't see, or null.
+export const validateActivity = (input) => {
+  if (input.start !== undefined && Date.parse(input.start) > Date.now()) {
+    return { field: 'start', code: 'range', message: 'start must not be in the future' };
+  }
+  return null;
+};
+
+// Fills in everything derived from the entered fields: end time, MET, step-equivalents and,
+// unless the user gave a figure, the calorie estimate for their current profile.
+const derive = (entry, user) => {
+  const met = ACTIVITY_TYPES[entry.type][entry.intensity];
+  const profile = profileOf(user);
+  const estimated = entry.caloriesEstimated;
+  return {
+    ...entry,
+    end: new Date(Date.parse(entry.start) + entry.durationMinutes * 60000).toISOString(),
+    met,
+    stepEquivalents: Math.round(Math.max(met - 1, 0) * entry.durationMinutes * STEPS_PER_MET_MINUTE),
+    calories: estimated ? round(estimateWorkoutCalories({ met, minutes: entry.durationMinutes }, profile)) : entry.calories,
+    ...(estimated ? { energy: { model: ENERGY_MODEL, profileVersion: profile.version ?? 0 } } : { energy: undefined }),
+  };
+};
+
+// `dayOf(entry)` gives the local date an entry counts towards; used to filter by `from`/`to`.
+export const listActivities = (userId, { from, to, dayOf } = {}) =>
+  store
+    .lookup('activities', 'user', userId)
+    .filter((entry) => {
+      const day = dayOf ? dayOf(entry) : null;
+      return (!from || day >= from) && (!to || day <= to);
+    })
+    .sort((a, b) => b.start.localeCompare(a.start))
+    .map(publicActivity);
+
+export const getActivity = (userId, id) => {
+  const entry = store.get('activities', id);
+  return entry?.userId === userId ? publicActivity(entry) : null;
+};
+
+export const createActivity = async (user, input) => {
+  const now = new Date().toISOString();
+  const entry = derive(
+    {
+      id: randomUUID(),
+      userId: user.id,
+      type: input.type,
+      intensity: input.intensity ?? DEFAULT_INTENSITY,
+      start: new Date(input.start).toISOString(),
+      durationMinutes: input.durationMinutes,
+      calories: input.calories ?? null,
+      caloriesEstimated: input.calories === undefined || input.calories === null,
+      ...(input.note ? { note: input.note.trim() } : {}),
+      createdAt: now,
+      updatedAt: now,
+    },
+    user
+  );
+  await store.put('activities', entry);
+  return publicActivity(entry);
+};
+
+// `calories: null` goes back to the estimate; leaving calories out keeps an entered figure.
+export const updateActivity = async (user, id, patch) => {
+  const existing = store.get('activities', id);
+  if (!existing || existing.userId !== user.id) {
+    return null;
+  }
+  const next = { ...existing, updatedAt: new Date().toISOString() };
+  ['type', 'intensity', 'durationMinutes'].filter((field) => patch[field] !== undefined).forEach((field) => {
+    next[field] = patch[field];
+  });
+  if (patch.start !== undefined) {
+    next.start = new Date(patch.start).toISOString();
+  }
+  if (patch.calories !== undefined) {
+    next.calories = patch.calories;
+    next.caloriesEstimated = patch.calories === null;
+  }
+  if (patch.note !== undefined) {
+    next.note = patch.note?.trim() || undefined;
+  }
+  const entry = derive(next, user);
+  await store.put('activities', entry);
+  return publicActivity(entry);
+};
+
+export const removeActivity = async (userId, id) => {
+  const existing = store.get('activities', id);
+  if (!existing || existing.userId !== userId) {
+    return false;
+  }
+  await store.remove('activities', id);
+  return true;
+};
+
+// Estimated entries follow the body profile, like the per-sample estimates do.
+export const reestimateActivities = async (user) => {
+  const profile = profileOf(user);
+  const stale = store
+    .lookup('activities', 'user', user.id)
+    .filter((entry) => entry.caloriesEstimated && entry.energy?.profileVersion !== (profile.version ?? 0));
+  await store.batch(stale.map((entry) => ({ op: 'put', c: 'activities', r: derive(entry, user) })));
+  return stale.length;
+};
+
+// Calories, step-equivalents and entry counts per local day.
+export const activityTotals = (userId, dayOf) => {
+  const totals = new Map();
+  store.lookup('activities', 'user', userId).forEach((entry) => {
+    const day = dayOf(entry);
+    const existing = totals.get(day) ?? { calories: 0, steps: 0, entries: 0 };
+    existing.calories += entry.calories;
+    existing.steps += entry.stepEquivalents;
+    existing.entries += 1;
+    totals.set(day, existing);
+  });
+  return totals;
+};
@@ -0,0 +1,146 @@
+import { localDateKey } from './time.js';
+
+export const BUCKET_SIZES = {
+  '5m': 5,
+  '15m': 15,
+  '1h': 60,
+};
+
+const METRICS = ['steps', 'distance', 'calories'];
+
+const toMs = (value) => new Date(value).valueOf();
+
+const emptyTotals = () => ({ steps: 0, distance: 0, calories: 0 });
+
+// The local day a sample counts towards: its own UTC offset when it sent one, else its device's zone, else the account's.
+export const sampleDateKey = (item, timeZone) =>
+  localDateKey(item.sample.end, {
+    timeZone: item.device.timeZone ?? timeZone,
+    offsetMinutes: item.sample.utcOffsetMinutes,
+  });
+
+// An increment counts towards its sample's day, by the same rule; one read back from a rollup towards the rollup's.
+export const intervalDateKey = (interval, timeZone) =>
+  interval.date ??
+  localDateKey(interval.end, {
+    timeZone: interval.timeZone ?? timeZone,
+    offsetMinutes: interval.utcOffsetMinutes,
+  });
+
+const sessionOrder = (a, b) =>
+  toMs(a.sample.start) - toMs(b.sample.start) || toMs(a.sample.end) - toMs(b.sample.end);
+
+const deviceIntervals = (samples) => {
+  const intervals = [];
+  let previous = null;
+  let watermark = -Infinity;
+
+  samples.sort(sessionOrder).forEach((item) => {
+    const start = toMs(item.sample.start);
+    const end = toMs(item.sample.end);
+    const sameSession = previous && toMs(previous.sample.start) === start;
+    const counterReset = sameSession && METRICS.some((metric) => item.sample[metric] < previous.sample[metric]);
+
+    let from = start;
+    let delta = { steps: item.sample.steps, distance: item.sample.distance, calories: item.sample.calories };
+    if (sameSession && !counterReset) {
+      from = toMs(previous.sample.end);
+      delta = Object.fromEntries(METRICS.map((metric) => [metric, item.sample[metric] - previous.sample[metric]]));
+    } else if (counterReset) {
+      // The counter restarted somewhere after the previous reading; the new value accrued since then.
+      from = toMs(previous.sample.end);
+    }
+
+    // A new session that reaches back over time another session already covered only contributes the uncovered tail.
+    if (from < watermark) {
+      const span = end - from;
+      const uncovered = Math.max(end - watermark, 0);
+      const share = span > 0 ? uncovered / span : 0;
+      delta = Object.fromEntries(METRICS.map((metric) => [metric, delta[metric] * share]));
+      from = Math.min(watermark, end);
+    }
+
+    if (end >= from && METRICS.some((metric) => delta[metric] > 0)) {
+      intervals.push({
+        deviceId: item.device.deviceId,
+        sampleId: item.id,
+        timeZone: item.device.timeZone,
+        utcOffsetMinutes: item.sample.utcOffsetMinutes,
+        start: new Date(from).toISOString(),
+        end: new Date(end).toISOString(),
+        ...delta,
+      });
+    }
+
+    previous = item;
+    watermark = Math.max(watermark, end);
+  });
+
+  return intervals;
+};
+
+// Turns cumulative-per-session samples into non-overlapping increments, one list per device.
+export const deriveIntervals = (list) => {
+  const byDevice = new Map();
+  list.forEach((item) => {
+    const key = item.device.deviceId;
+    if (!byDevice.has(key)) {
+      byDevice.set(key, []);
+    }
+    byDevice.get(key).push(item);
+  });
+
+  return Array.from(byDevice.values())
+    .flatMap((samples) => deviceIntervals(samples))
+    .sort((a, b) => toMs(a.start) - toMs(b.start));
+};
+
+// Spreads each interval across the buckets it overlaps, proportionally to elapsed time.
+export const bucketIntervals = (intervals, { start, end, bucketMinutes }) => {
+  const size = bucketMinutes * 60000;
+  const buckets = [];
+  for (let cursor = start; cursor < end; cursor += size) {
+    buckets.push({ start: cursor, end: Math.min(cursor + size, end), ...emptyTotals(), sources: new Map() });
+  }
+
+  intervals.forEach((interval) => {
+    const from = toMs(interval.start);
+    const to = toMs(interval.end);
+    if (to < start || from >= end) {
+      return;
+    }
+    const span = to - from;
+    const first = Math.max(Math.floor((Math.max(from, start) - start) / size), 0);
+    const last = Math.min(Math.floor((Math.min(to, end - 1) - start) / size), buckets.length - 1);
+    for (let index = first; index <= last; index += 1) {
+      const bucket = buckets[index];
+      const share = span > 0 ? (Math.min(to, bucket.end) - Math.max(from, bucket.start)) / span : 1;
+      if (share <= 0) {
+        continue;
+      }
+      METRICS.forEach((metric) => {
+        bucket[metric] += interval[metric] * share;
+      });
+      bucket.sources.set(interval.deviceId, (bucket.sources.get(interval.deviceId) ?? 0) + interval.steps * share);
+    }
+  });
+
+  // `sources` attributes each bucket's steps to the devices they were counted on, largest first.
+  return buckets.map((bucket) => ({
+    ...bucket,
+    start: new Date(bucket.start).toISOString(),
+    end: new Date(bucket.end).toISOString(),
+    sources: Array.from(bucket.sources.entries())
+      .map(([deviceId, steps]) => ({ deviceId, steps: Math.round(steps) }))
+      .filter((source) => source.steps > 0)
+      .sort((a, b) => b.steps - a.steps),
+  }));
+};
+
+export const sumIntervals = (items) =>
+  items.reduce((acc, item) => {
+    METRICS.forEach((metric) => {
+      acc[metric] += item[metric];
+    });
+    return acc;
+  }, emptyTotals());
@@ -0,0 +1,127 @@
+import { createHash, randomBytes, randomUUID } from 'crypto';
+import { sendError } from './errors.js';
+
+let store = null;
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+const publicUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  createdAt: user.createdAt,
+  settings: user.settings ?? {},
+});
+
+const publicToken = (token) => ({
+  id: token.id,
+  label: token.label,
+  hint: token.hint,
+  createdAt: token.createdAt,
+});
+
+// The stored record is replaced rather than edited in place, so a write that fails leaves nothing behind;
+// `user` (usually req.user) picks the changes up once they are on disk.
+const persistUser = async (user, changes) => {
+  await store.put('users', { ...user, ...changes });
+  Object.assign(user, changes);
+};
+
+export const initAuth = (nextStore) => {
+  store = nextStore;
+  store.defineIndex('users', 'token', (user) => user.tokens.map((token) => token.hash));
+};
+
+export const issueToken = async (user, label = 'default') => {
+  const secret = `sct_${randomBytes(24).toString('hex')}`;
+  const token = {
+    id: randomUUID(),
+    label,
+    hint: secret.slice(-4),
+    hash: hashToken(secret),
+    createdAt: new Date().toISOString(),
+  };
+  await persistUser(user, { tokens: [...user.tokens, token] });
+  return { ...publicToken(token), token: secret };
+};
+
+export const createUser = async (name) => {
+  const user = {
+    id: randomUUID(),
+    name,
+    createdAt: new Date().toISOString(),
+    settings: {},
+    tokens: [],
+  };
+  const token = await issueToken(user);
+  return { user: publicUser(user), token };
+};
+
+export const updateSettings = async (user, patch) => {
+  await persistUser(user, { settings: { ...user.settings, ...patch } });
+  return user.settings;
+};
+
+// Every change bumps `version`, which stored calorie estimates are checked against.
+export const updateProfile = async (user, patch) => {
+  await persistUser(user, {
+    profile: {
+      ...user.profile,
+      ...patch,
+      version: (user.profile?.version ?? 0) + 1,
+      updatedAt: new Date().toISOString(),
+    },
+  });
+  return user.profile;
+};
+
+export const listTokens = (user) => user.tokens.map(publicToken);
+
+export const revokeToken = async (user, tokenId) => {
+  if (!user.tokens.some((token) => token.id === tokenId)) {
+    return false;
+  }
+  await persistUser(user, { tokens: user.tokens.filter((token) => token.id !== tokenId) });
+  return true;
+};
+
+const findUserByToken = (secret) => store.lookupOne('users', 'token', hashToken(secret));
+
+const readBearer = (req) => {
+  const header = req.get('authorization') ?? '';
+  const [scheme, value] = header.split(' ');
+  return scheme?.toLowerCase() === 'bearer' && value ? value.trim() : null;
+};
+
+// EventSource can't send headers, so streams may pass the token as ?access_token= instead.
+const readStreamToken = (req) =>
+  req.method === 'GET' && req.get('accept')?.includes('text/event-stream') && typeof req.query.access_token === 'string'
+    ? req.query.access_token
+    : null;
+
+export const redactUrl = (url = '') => url.replace(/([?&]access_token=)[^&]*/g, '$1[redacted]');
+
+export const requireAuth = (req, res, next) => {
+  const secret = readBearer(req) ?? readStreamToken(req);
+  const user = secret ? findUserByToken(secret) : null;
+  if (!user) {
+    return sendError(res, 401, 'unauthorized', 'a valid bearer token is required');
+  }
+  req.user = user;
+  req.publicUser = publicUser(user);
+  next();
+};
+
+// Only true when ADMIN_TOKEN is configured and the request bears it.
+export const isAdminRequest = (req) => Boolean(process.env.ADMIN_TOKEN) && readBearer(req) === process.env.ADMIN_TOKEN;
+
+// The admin routes stay closed until ADMIN_TOKEN is configured, and then need it as the bearer token.
+export const requireAdmin = (req, res, next) => {
+  if (isAdminRequest(req)) {
+    return next();
+  }
+  const message = process.env.ADMIN_TOKEN ? 'the admin token is required' : 'admin routes are disabled until ADMIN_TOKEN is set';
+  sendError(res, 403, 'forbidden', message);
+};
+
+// Without an ADMIN_TOKEN anyone may sign up; with one, only the operator creates accounts.
+export const requireSignupAccess = (req, res, next) => (process.env.ADMIN_TOKEN ? requireAdmin(req, res, next) : next());
@@ -0,0 +1,182 @@
+import { randomBytes, randomUUID } from 'crypto';
+import { daysBetween } from './history.js';
+import { shiftDateKey } from './time.js';
+
+export const CHALLENGE_METRICS = ['steps', 'calories', 'distance'];
+// `total` adds the metric up, `goal-days` counts days that reached the daily target, `streak` is the longest run of them.
+export const CHALLENGE_TYPES = ['total', 'goal-days', 'streak'];
+export const MAX_CHALLENGE_DAYS = 366;
+export const MAX_PARTICIPANTS = 100;
+export const MAX_NAME_LENGTH = 80;
+
+let store = null;
+
+export const initChallenges = (nextStore) => {
+  store = nextStore;
+  store.defineIndex('challenges', 'member', (challenge) => challenge.participants.map((entry) => entry.userId));
+  store.defineIndex('challenges', 'code', (challenge) => challenge.code);
+};
+
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// The shape is checked against the API contract first; returns { field, code, message } for what it can't see, or null.
+export const validateChallenge = (input) => {
+  if (!input.name.trim()) {
+    return { field: 'name', code: 'too-short', message: 'name must not be blank' };
+  }
+  if (input.from > input.to) {
+    return { field: 'from', code: 'range', message: 'from must not be after to' };
+  }
+  if (daysBetween(input.from, input.to) > MAX_CHALLENGE_DAYS) {
+    return { field: 'to', code: 'range', message: `a challenge may span at most ${MAX_CHALLENGE_DAYS} days` };
+  }
+  // Steps and calories fall back to each participant's own daily goal; there is no distance goal to fall back to.
+  if (input.type !== 'total' && input.metric === 'distance' && !isPositive(input.target)) {
+    return {
+      field: 'target',
+      code: 'required',
+      message: 'distance challenges counting goal days or streaks need a daily target in metres',
+    };
+  }
+  return null;
+};
+
+const participant = (user, deviceIds) => ({
+  userId: user.id,
+  name: user.name,
+  deviceIds: deviceIds?.length ? Array.from(new Set(deviceIds)) : null,
+  joinedAt: new Date().toISOString(),
+});
+
+export const listChallenges = (userId) =>
+  store.lookup('challenges', 'member', userId).sort((a, b) => b.from.localeCompare(a.from) || a.name.localeCompare(b.name));
+
+export const getChallenge = (userId, id) => {
+  const challenge = store.get('challenges', id);
+  return challenge?.participants.some((entry) => entry.userId === userId) ? challenge : null;
+};
+
+export const createChallenge = async (user, input) => {
+  const challenge = {
+    id: randomUUID(),
+    name: input.name.trim(),
+    metric: input.metric,
+    type: input.type,
+    from: input.from,
+    to: input.to,
+    target: input.target ?? null,
+    // Shared with teammates so they can join; members can always see it.
+    code: randomBytes(5).toString('hex'),
+    ownerId: user.id,
+    participants: [participant(user, input.deviceIds)],
+    createdAt: new Date().toISOString(),
+  };
+  await store.put('challenges', challenge);
+  return challenge;
+};
+
+// Joining again only updates which devices count. Returns { error } when the challenge is full.
+export const joinChallenge = async (user, code, deviceIds) => {
+  const challenge = store.lookupOne('challenges', 'code', code);
+  if (!challenge) {
+    return null;
+  }
+  const others = challenge.participants.filter((entry) => entry.userId !== user.id);
+  if (others.length >= MAX_PARTICIPANTS) {
+    return { error: `a challenge takes at most ${MAX_PARTICIPANTS} participants` };
+  }
+  const existing = challenge.participants.find((entry) => entry.userId === user.id);
+  const next = {
+    ...challenge,
+    participants: existing
+      ? challenge.participants.map((entry) =>
+          entry === existing ? { ...participant(user, deviceIds), joinedAt: existing.joinedAt } : entry
+        )
+      : [...challenge.participants, participant(user, deviceIds)],
+  };
+  await store.put('challenges', next);
+  return { challenge: next };
+};
+
+// The owner can't leave; they delete the challenge instead.
+export const leaveChallenge = async (userId, id) => {
+  const challenge = getChallenge(userId, id);
+  if (!challenge || challenge.ownerId === userId) {
+    return null;
+  }
+  const next = { ...challenge, participants: challenge.participants.filter((entry) => entry.userId !== userId) };
+  await store.put('challenges', next);
+  return next;
+};
+
+export const removeChallenge = async (userId, id) => {
+  const challenge = store.get('challenges', id);
+  if (!challenge || challenge.ownerId !== userId) {
+    return null;
+  }
+  await store.remove('challenges', id);
+  return challenge;
+};
+
+export const challengeStatus = (challenge, today) => {
+  if (today < challenge.from) {
+    return 'upcoming';
+  }
+  return today > challenge.to ? 'finished' : 'active';
+};
+
+/*
+ * Scores one participant from their own daily totals: `dailyTotals` keyed by their local dates, the goal
+ * `plan` a missing target falls back to, and their `today`, past which nothing is counted yet.
+ */
+const score = (challenge, { dailyTotals, plan, today }) => {
+  const last = challenge.to < today ? challenge.to : today;
+  const valueOn = (day) => dailyTotals.get(day)?.[challenge.metric] ?? 0;
+  const reached = (day) => valueOn(day) >= (challenge.target ?? plan.goalFor(day)[challenge.metric]);
+
+  let total = 0;
+  let goalDays = 0;
+  let run = 0;
+  let longest = 0;
+  for (let day = challenge.from; day <= last; day = shiftDateKey(day, 1)) {
+    total += valueOn(day);
+    if (reached(day)) {
+      goalDays += 1;
+      run += 1;
+      longest = Math.max(longest, run);
+    } else if (day < today) {
+      // Today can still get there, so it doesn't break a run yet.
+      run = 0;
+    }
+  }
+  // Daily totals are already rounded; adding them up mustn't bring float noise back.
+  total = Math.round(total * 100) / 100;
+  const value = { total, 'goal-days': goalDays, streak: longest }[challenge.type];
+  return {
+    value,
+    total,
+    goalDays,
+    currentStreak: run,
+    today: challenge.from <= today && today <= challenge.to ? valueOn(today) : null,
+  };
+};
+
+// Ranks participants by their score; ties share a rank. `totalsFor(participant)` supplies what `score` needs.
+export const buildStandings = (challenge, viewerId, totalsFor) => {
+  const scored = challenge.participants
+    .map((entry) => ({
+      name: entry.name,
+      you: entry.userId === viewerId,
+      owner: entry.userId === challenge.ownerId,
+      ...(entry.userId === viewerId ? { deviceIds: entry.deviceIds } : {}),
+      ...score(challenge, totalsFor(entry)),
+    }))
+    .sort((a, b) => b.value - a.value || a.name.localeCompare(b.name));
+  let rank = 0;
+  return scored.map((entry, index) => {
+    if (index === 0 || entry.value !== scored[index - 1].value) {
+      rank = index + 1;
+    }
+    return { rank, ...entry };
+  });
+};
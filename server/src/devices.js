@@ -0,0 +1,181 @@
+import { randomUUID } from 'crypto';
+import { combineRollups, rollupKey } from './retention.js';
+
+export const MAX_DEVICE_NAME_LENGTH = 60;
+
+let store = null;
+
+const deviceKey = (userId, deviceId) => `${userId}|${deviceId}`;
+
+const entryFor = (userId, deviceId) => store.lookupOne('devices', 'key', deviceKey(userId, deviceId));
+
+const samplesOf = (userId, deviceId) => store.lookup('samples', 'device', deviceKey(userId, deviceId));
+
+const rollupsOf = (userId, deviceId) => store.lookup('rollups', 'device', deviceKey(userId, deviceId));
+
+const quarantinedOf = (userId, deviceId) =>
+  store.lookup('quarantine', 'user', userId).filter((item) => item.device.deviceId === deviceId);
+
+export const initDevices = (nextStore) => {
+  store = nextStore;
+  store.defineIndex('devices', 'user', (entry) => entry.userId);
+  store.defineIndex('devices', 'key', (entry) => deviceKey(entry.userId, entry.deviceId));
+};
+
+// Uploads from a device that was merged away are filed under the device it was merged into.
+export const resolveDeviceId = (userId, deviceId) => entryFor(userId, deviceId)?.mergedInto ?? deviceId;
+
+export const isKnownDevice = (userId, deviceId) => {
+  const entry = entryFor(userId, deviceId);
+  return (
+    !entry?.mergedInto &&
+    (Boolean(entry) || samplesOf(userId, deviceId).length > 0 || rollupsOf(userId, deviceId).length > 0)
+  );
+};
+
+// Registry view: names and merges come from the registry, everything else from the device's samples
+// and the rollups retention folded its older samples into.
+export const listDevices = (userId) => {
+  const entries = store.lookup('devices', 'user', userId);
+  const devices = new Map();
+
+  const see = (deviceId, device, firstSeenAt, lastSeenAt, samples) => {
+    const existing = devices.get(deviceId);
+    if (!existing) {
+      devices.set(deviceId, {
+        deviceId,
+        model: device.model,
+        osVersion: device.osVersion,
+        timeZone: device.timeZone ?? null,
+        firstSeenAt,
+        lastSeenAt,
+        samples,
+      });
+      return;
+    }
+    existing.samples += samples;
+    if (firstSeenAt < existing.firstSeenAt) {
+      existing.firstSeenAt = firstSeenAt;
+    }
+    if (lastSeenAt >= existing.lastSeenAt) {
+      Object.assign(existing, {
+        model: device.model,
+        osVersion: device.osVersion,
+        timeZone: device.timeZone ?? existing.timeZone,
+        lastSeenAt,
+      });
+    }
+  };
+
+  store.lookup('samples', 'user', userId).forEach((item) => {
+    see(item.device.deviceId, item.device, item.receivedAt, item.receivedAt, 1);
+  });
+  store
+    .lookup('rollups', 'user', userId)
+    .filter((rollup) => rollup.samples)
+    .forEach((rollup) => {
+      see(rollup.deviceId, rollup.device, rollup.firstReceivedAt, rollup.lastReceivedAt, rollup.samples);
+    });
+
+  entries
+    .filter((entry) => !entry.mergedInto && !devices.has(entry.deviceId))
+    .forEach((entry) => {
+      devices.set(entry.deviceId, {
+        deviceId: entry.deviceId,
+        model: null,
+        osVersion: null,
+        timeZone: null,
+        firstSeenAt: null,
+        lastSeenAt: null,
+        samples: 0,
+      });
+    });
+
+  return Array.from(devices.values())
+    .map((device) => {
+      const entry = entries.find((candidate) => candidate.deviceId === device.deviceId);
+      return {
+        ...device,
+        name: entry?.name ?? null,
+        mergedFrom: entries.filter((candidate) => candidate.mergedInto === device.deviceId).map((candidate) => candidate.deviceId),
+      };
+    })
+    .sort((a, b) => (b.lastSeenAt ?? '').localeCompare(a.lastSeenAt ?? ''));
+};
+
+const upsertEntry = (userId, deviceId, patch) => {
+  const existing = entryFor(userId, deviceId);
+  return {
+    id: existing?.id ?? randomUUID(),
+    userId,
+    deviceId,
+    createdAt: existing?.createdAt ?? new Date().toISOString(),
+    ...existing,
+    ...patch,
+  };
+};
+
+export const renameDevice = async (userId, deviceId, name) => {
+  const entry = upsertEntry(userId, deviceId, { name: name || undefined });
+  await store.put('devices', entry);
+  return listDevices(userId).find((device) => device.deviceId === deviceId) ?? null;
+};
+
+// Re-files the source device's samples and rollups under the target. Where both devices hold a reading
+// for the same span, the target's reading wins and the source's is dropped; rollups for the same day are combined.
+export const mergeDevice = async (userId, sourceId, targetId) => {
+  const taken = new Set(samplesOf(userId, targetId).map((item) => `${item.sample.start}|${item.sample.end}`));
+  const moved = [];
+  const dropped = [];
+  samplesOf(userId, sourceId).forEach((item) => {
+    const span = `${item.sample.start}|${item.sample.end}`;
+    if (taken.has(span)) {
+      dropped.push(item);
+      return;
+    }
+    taken.add(span);
+    moved.push({ ...item, device: { ...item.device, deviceId: targetId } });
+  });
+
+  const rollups = rollupsOf(userId, sourceId).map((rollup) => {
+    const moved = { ...rollup, deviceId: targetId };
+    const existing = store.lookupOne('rollups', 'key', rollupKey(moved));
+    return existing ? { drop: rollup, keep: combineRollups(existing, moved) } : { keep: moved };
+  });
+
+  const source = upsertEntry(userId, sourceId, { mergedInto: targetId, mergedAt: new Date().toISOString() });
+  const earlierMerges = store
+    .lookup('devices', 'user', userId)
+    .filter((entry) => entry.mergedInto === sourceId)
+    .map((entry) => ({ ...entry, mergedInto: targetId }));
+
+  await store.batch([
+    ...moved.map((record) => ({ op: 'put', c: 'samples', r: record })),
+    ...dropped.map((record) => ({ op: 'del', c: 'samples', id: record.id })),
+    ...rollups.filter(({ drop }) => drop).map(({ drop }) => ({ op: 'del', c: 'rollups', id: drop.id })),
+    ...rollups.map(({ keep }) => ({ op: 'put', c: 'rollups', r: keep })),
+    ...quarantinedOf(userId, sourceId).map((record) => ({
+      op: 'put',
+      c: 'quarantine',
+      r: { ...record, device: { ...record.device, deviceId: targetId } },
+    })),
+    ...earlierMerges.map((entry) => ({ op: 'put', c: 'devices', r: entry })),
+    // The target keeps its own name; a merged-away name would only be confusing.
+    { op: 'put', c: 'devices', r: { ...source, name: undefined } },
+  ]);
+  return { moved: moved.length, dropped: dropped.length };
+};
+
+export const deleteDevice = async (userId, deviceId) => {
+  const samples = samplesOf(userId, deviceId);
+  const quarantined = quarantinedOf(userId, deviceId);
+  const entries = store
+    .lookup('devices', 'user', userId)
+    .filter((entry) => entry.deviceId === deviceId || entry.mergedInto === deviceId);
+  await store.batch([
+    ...samples.map((item) => ({ op: 'del', c: 'samples', id: item.id })),
+    ...quarantined.map((item) => ({ op: 'del', c: 'quarantine', id: item.id })),
+    ...entries.map((entry) => ({ op: 'del', c: 'devices', id: entry.id })),
+  ]);
+  return { samples: samples.length, quarantined: quarantined.length };
+};
@@ -0,0 +1,219 @@
+export const ENERGY_MODEL = 'met-v1';
+
+export const CALORIE_SOURCES = ['device', 'estimated'];
+export const DEFAULT_CALORIE_SOURCE = 'device';
+
+export const SEXES = ['female', 'male'];
+export const PROFILE_LIMITS = {
+  weightKg: { min: 20, max: 400 },
+  heightCm: { min: 80, max: 250 },
+  age: { min: 5, max: 120 },
+};
+
+// Stand-ins for whatever the profile leaves out.
+const DEFAULT_WEIGHT_KG = 70;
+const DEFAULT_HEIGHT_CM = 170;
+
+// Stride length as a share of height, used when a reading carries no distance.
+const STRIDE_RATIO = { female: 0.413, male: 0.415 };
+const DEFAULT_STRIDE_RATIO = 0.414;
+
+// Above either of these a reading counts as running (metres per minute, steps per minute).
+const RUNNING_SPEED = 134;
+const RUNNING_CADENCE = 150;
+
+const RECOMPUTE_CHUNK = 2000;
+
+let store = null;
+let sessionKey = null;
+const jobs = new Map();
+const finishers = new Map();
+
+const toMs = (value) => new Date(value).valueOf();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const initEnergy = (nextStore, options) => {
+  store = nextStore;
+  sessionKey = options.sessionKey;
+};
+
+export const profileOf = (user) => user?.profile ?? { version: 0 };
+
+// Mifflin-St Jeor resting rate relative to the 1 kcal/kg/h a MET assumes; needs age, height and weight.
+const restingFactor = (profile) => {
+  if (!profile.age || !profile.heightCm || !profile.weightKg) {
+    return 1;
+  }
+  const offset = profile.sex === 'male' ? 5 : profile.sex === 'female' ? -161 : -78;
+  const bmr = 10 * profile.weightKg + 6.25 * profile.heightCm - 5 * profile.age + offset;
+  return Math.min(Math.max(bmr / (24 * profile.weightKg), 0.6), 1.4);
+};
+
+/*
+ * Active energy for one stretch of movement, from the ACSM walking and running equations:
+ * oxygen cost is 0.1 (walking) or 0.2 (running) ml/kg/min per metre per minute on top of rest,
+ * and every 3.5 ml/kg/min above rest is one MET, worth weight × hours kcal.
+ */
+export const estimateCalories = ({ steps, distance, minutes }, profile) => {
+  if (minutes <= 0 || (steps <= 0 && distance <= 0)) {
+    return 0;
+  }
+  const weightKg = profile.weightKg ?? DEFAULT_WEIGHT_KG;
+  const stride = ((profile.heightCm ?? DEFAULT_HEIGHT_CM) * (STRIDE_RATIO[profile.sex] ?? DEFAULT_STRIDE_RATIO)) / 100;
+  const metres = distance > 0 ? distance : steps * stride;
+  const speed = metres / minutes;
+  const running = speed >= RUNNING_SPEED || steps / minutes >= RUNNING_CADENCE;
+  const activeMet = ((running ? 0.2 : 0.1) * speed) / 3.5;
+  return activeMet * weightKg * (minutes / 60) * restingFactor(profile);
+};
+
+// Active energy for a logged workout at a known MET: everything above the one MET spent at rest.
+export const estimateWorkoutCalories = ({ met, minutes }, profile) =>
+  Math.max(met - 1, 0) * (profile.weightKg ?? DEFAULT_WEIGHT_KG) * (minutes / 60) * restingFactor(profile);
+
+// Readings in a session are cumulative, so each one's estimate is the running sum over the
+// increments up to it; a counter that fell is a restart, as in the interval derivation.
+const estimateSession = (readings, profile) => {
+  const estimates = new Map();
+  let previous = null;
+  let total = 0;
+  readings
+    .slice()
+    .sort((a, b) => toMs(a.sample.end) - toMs(b.sample.end))
+    .forEach((item) => {
+      const restarted =
+        previous && (item.sample.steps < previous.sample.steps || item.sample.distance < previous.sample.distance);
+      const base = previous && !restarted ? previous.sample : { steps: 0, distance: 0 };
+      const from = previous ? toMs(previous.sample.end) : toMs(item.sample.start);
+      total += estimateCalories(
+        {
+          steps: item.sample.steps - base.steps,
+          distance: item.sample.distance - base.distance,
+          minutes: Math.max(toMs(item.sample.end) - from, 1000) / 60000,
+        },
+        profile
+      );
+      estimates.set(item.id, round(total));
+      previous = item;
+    });
+  return estimates;
+};
+
+const energyOf = (calories, profile) => ({ calories, model: ENERGY_MODEL, profileVersion: profile.version ?? 0 });
+
+const isCurrent = (item, profile) =>
+  item.energy?.model === ENERGY_MODEL && item.energy.profileVersion === (profile.version ?? 0);
+
+// Gives every record in `records` its estimate, returning only those whose estimate changed.
+const estimateAll = (records, profile) => {
+  const sessions = new Map();
+  records.forEach((item) => {
+    const key = sessionKey(item);
+    if (!sessions.has(key)) {
+      sessions.set(key, []);
+    }
+    sessions.get(key).push(item);
+  });
+  return Array.from(sessions.values()).flatMap((readings) => {
+    const estimates = estimateSession(readings, profile);
+    return readings
+      .filter((item) => !isCurrent(item, profile) || item.energy.calories !== estimates.get(item.id))
+      .map((item) => ({ ...item, energy: energyOf(estimates.get(item.id), profile) }));
+  });
+};
+
+// For an ingest: the staged records with their estimates, plus any stored reading from the same
+// sessions whose cumulative estimate moved because of them.
+export const withEnergy = (staged) => {
+  if (!staged.length) {
+    return [];
+  }
+  const profile = profileOf(store.get('users', staged[0].userId));
+  const records = new Map();
+  staged.forEach((item) => {
+    store.lookup('samples', 'session', sessionKey(item)).forEach((stored) => {
+      if (!records.has(stored.id)) {
+        records.set(stored.id, stored);
+      }
+    });
+  });
+  staged.forEach((item) => records.set(item.id, item));
+  const changed = new Map(estimateAll(Array.from(records.values()), profile).map((item) => [item.id, item]));
+  const stagedIds = new Set(staged.map((item) => item.id));
+  return [
+    ...staged.map((item) => changed.get(item.id) ?? item),
+    ...Array.from(changed.values()).filter((item) => !stagedIds.has(item.id)),
+  ];
+};
+
+export const energyJobFor = (userId) => jobs.get(userId) ?? null;
+
+// Profile edits store a new user record, so each pass reads the profile from the store rather than from `user`.
+const currentProfile = (userId) => profileOf(store.get('users', userId));
+
+const runRecompute = async (user) => {
+  const job = jobs.get(user.id);
+  // A profile edit while the job runs leaves records behind the new version; go round again until none are.
+  while (true) {
+    const profile = currentProfile(user.id);
+    const stale = estimateAll(store.lookup('samples', 'user', user.id), profile);
+    for (let index = 0; index < stale.length; index += RECOMPUTE_CHUNK) {
+      // Skip records that were deleted or re-uploaded since the pass started; their ingest estimated them afresh.
+      const chunk = stale
+        .slice(index, index + RECOMPUTE_CHUNK)
+        .filter((record) => store.get('samples', record.id)?.sample === record.sample);
+      await store.batch(
+        chunk.map((record) => ({
+          op: 'put',
+          c: 'samples',
+          r: { ...store.get('samples', record.id), energy: record.energy },
+        }))
+      );
+      job.updated += chunk.length;
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    if ((currentProfile(user.id).version ?? 0) === (profile.version ?? 0)) {
+      break;
+    }
+  }
+};
+
+// Re-derives every stored estimate for the user's current profile in the background; `onDone`
+// runs once the job, or the one already running, has finished.
+export const recomputeEnergy = (user, onDone) => {
+  if (onDone) {
+    finishers.set(user.id, [...(finishers.get(user.id) ?? []), onDone]);
+  }
+  const running = jobs.get(user.id);
+  if (running?.status === 'running') {
+    return running;
+  }
+  const job = { status: 'running', startedAt: new Date().toISOString(), finishedAt: null, updated: 0 };
+  jobs.set(user.id, job);
+  runRecompute(user)
+    .then(() => {
+      job.status = 'done';
+    })
+    .catch((error) => {
+      console.error('[energy] Recompute failed', error);
+      job.status = 'failed';
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+      const callbacks = finishers.get(user.id) ?? [];
+      finishers.delete(user.id);
+      callbacks.forEach((callback) => callback(job));
+    });
+  return job;
+};
+
+// Catches up on samples stored before the model existed, or left behind by an interrupted recompute.
+export const startEnergyWorker = () => {
+  store.list('users').forEach((user) => {
+    const profile = profileOf(user);
+    if (store.lookup('samples', 'user', user.id).some((item) => !isCurrent(item, profile))) {
+      recomputeEnergy(user);
+    }
+  });
+};
@@ -0,0 +1,15 @@
+/*
+ * Every API error has the same shape: a readable `message`, a stable `code` clients can branch on and,
+ * for invalid input, one `{ path, code, message }` entry per problem. `path` names the field the way it
+ * was sent, e.g. `body.samples[2].steps` or `query.from`.
+ */
+export const sendError = (res, status, code, message, details = {}) =>
+  res.status(status).json({ message, code, ...details });
+
+export const sendInvalid = (res, errors) =>
+  sendError(res, 400, 'invalid-request', errors.map((error) => error.message).join('; '), { errors });
+
+// For checks a schema can't express, such as a range running backwards.
+export const invalid = (res, path, code, message) => sendInvalid(res, [{ path, code, message }]);
+
+export const notFound = (res, message) => sendError(res, 404, 'not-found', message);
@@ -0,0 +1,60 @@
+import { EventEmitter } from 'events';
+
+const HEARTBEAT_MS = 25000;
+const SUMMARY_DEBOUNCE_MS = 250;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const pendingEvents = new Map();
+let sequence = 0;
+
+const channel = (userId) => `user:${userId}`;
+
+export const publish = (userId, type, data) => {
+  sequence += 1;
+  bus.emit(channel(userId), { id: sequence, type, data });
+};
+
+export const hasSubscribers = (userId) => bus.listenerCount(channel(userId)) > 0;
+
+// Bursts of uploads collapse into one recomputation per user and event type.
+export const scheduleEvent = (userId, type, build) => {
+  const key = `${userId}|${type}`;
+  if (!hasSubscribers(userId) || pendingEvents.has(key)) {
+    return;
+  }
+  const timer = setTimeout(() => {
+    pendingEvents.delete(key);
+    publish(userId, type, build());
+  }, SUMMARY_DEBOUNCE_MS);
+  pendingEvents.set(key, timer);
+};
+
+export const scheduleSummary = (userId, buildSummary) => scheduleEvent(userId, 'summary', buildSummary);
+
+export const openEventStream = (req, res, { userId, initial = [] }) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = ({ id, type, data }) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.write('retry: 5000\n\n');
+  initial.forEach(send);
+
+  const listener = (event) => send(event);
+  bus.on(channel(userId), listener);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    bus.off(channel(userId), listener);
+  });
+};
@@ -0,0 +1,213 @@
+import { bucketIntervals, sumIntervals } from './activity.js';
+import { weekdayOf } from './goals.js';
+import { shiftDateKey, zonedDayBounds } from './time.js';
+
+const METRICS = ['steps', 'calories'];
+
+// Daily history the seasonal model looks at, and the slice its trend is fitted over.
+const HISTORY_DAYS = 56;
+const TREND_DAYS = 14;
+const MIN_SEASONAL_DAYS = 7;
+
+// Same-weekday curves used to judge how much of a day is usually done by now.
+const CURVE_DAYS = 8;
+
+// Weekday factors are pulled towards 1 as if each weekday had this many extra average days.
+const SHRINKAGE_DAYS = 2;
+
+// Two-sided 80% band.
+export const INTERVAL_LEVEL = 0.8;
+const Z_SCORE = 1.2816;
+
+export const linearForecast = (values) => {
+  if (!values.length) return 0;
+  if (values.length < 2) return values[values.length - 1];
+
+  const n = values.length;
+  let sumX = 0;
+  let sumY = 0;
+  let sumXY = 0;
+  let sumXX = 0;
+
+  values.forEach((value, index) => {
+    sumX += index;
+    sumY += value;
+    sumXY += index * value;
+    sumXX += index * index;
+  });
+
+  const denominator = n * sumXX - sumX * sumX;
+  const slope = denominator === 0 ? 0 : (n * sumXY - sumX * sumY) / denominator;
+  const intercept = (sumY - slope * sumX) / n;
+  const prediction = intercept + slope * n;
+  return Math.max(0, prediction);
+};
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+// Abramowitz & Stegun 7.1.26; plenty for a goal probability.
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.3275911 * (Math.abs(z) / Math.SQRT2));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+const probabilityAtLeast = (target, expected, spread) => {
+  if (spread <= 0) {
+    return expected >= target ? 1 : 0;
+  }
+  return 1 - normalCdf((target - expected) / spread);
+};
+
+const round = (value, digits = 0) => Number(value.toFixed(digits));
+
+// Fits one metric: weekday factors over the history, a linear trend on the deseasonalised tail,
+// and the spread of what's left over.
+const fitMetric = (days, metric) => {
+  const values = days.map((day) => day[metric]);
+  const overall = mean(values);
+  const seasonal = days.length >= MIN_SEASONAL_DAYS && overall > 0;
+
+  const factors = {};
+  days.forEach((day) => {
+    const weekday = weekdayOf(day.date);
+    factors[weekday] = factors[weekday] ?? [];
+    factors[weekday].push(day[metric]);
+  });
+  const factorFor = (date) => {
+    const same = factors[weekdayOf(date)] ?? [];
+    if (!seasonal) {
+      return 1;
+    }
+    return (same.reduce((sum, value) => sum + value, 0) + SHRINKAGE_DAYS * overall) / ((same.length + SHRINKAGE_DAYS) * overall);
+  };
+
+  const deseasonalised = days.map((day) => {
+    const factor = factorFor(day.date);
+    return factor > 0 ? day[metric] / factor : day[metric];
+  });
+  const level = linearForecast(deseasonalised.slice(-TREND_DAYS));
+  const baseline = mean(deseasonalised.slice(-TREND_DAYS));
+  const residuals = days.map((day) => day[metric] - factorFor(day.date) * baseline);
+  const spread =
+    residuals.length > 1
+      ? Math.sqrt(residuals.reduce((sum, value) => sum + value * value, 0) / (residuals.length - 1))
+      : 0;
+
+  return {
+    seasonal,
+    spread,
+    expectedOn: (date) => Math.max(level * factorFor(date), 0),
+  };
+};
+
+// Share of a past day's total that was already done `elapsedMs` after its local midnight.
+const completedShare = (intervals, date, elapsedMs, timeZone) => {
+  const { start, end } = zonedDayBounds(date, timeZone);
+  const whole = sumIntervals(bucketIntervals(intervals, { start, end, bucketMinutes: (end - start) / 60000 }));
+  const cutoff = Math.min(start + elapsedMs, end);
+  const sofar =
+    cutoff > start
+      ? sumIntervals(bucketIntervals(intervals, { start, end: cutoff, bucketMinutes: (cutoff - start) / 60000 }))
+      : { steps: 0, calories: 0 };
+  return Object.fromEntries(METRICS.map((metric) => [metric, whole[metric] > 0 ? sofar[metric] / whole[metric] : null]));
+};
+
+// How far through a typical day the user is, per metric, judged from past same-weekday curves
+// (any recent day if there are none, and elapsed clock time as a last resort).
+const typicalShare = ({ intervals, days, today, timeZone, now }) => {
+  const { start, end } = zonedDayBounds(today, timeZone);
+  const elapsedMs = Math.min(Math.max(now - start, 0), end - start);
+  const clockShare = elapsedMs / (end - start);
+  const weekday = weekdayOf(today);
+  const past = days.slice().reverse();
+  const sameWeekday = past.filter((day) => weekdayOf(day.date) === weekday).slice(0, CURVE_DAYS);
+  const candidates = sameWeekday.length ? sameWeekday : past.slice(0, CURVE_DAYS);
+  const shares = candidates.map((day) => completedShare(intervals, day.date, elapsedMs, timeZone));
+
+  return {
+    clockShare,
+    basis: sameWeekday.length ? 'weekday' : candidates.length ? 'recent' : 'clock',
+    curves: candidates.length,
+    share: Object.fromEntries(
+      METRICS.map((metric) => {
+        const known = shares.map((entry) => entry[metric]).filter((value) => value !== null);
+        return [metric, known.length ? mean(known) : clockShare];
+      })
+    ),
+  };
+};
+
+/*
+ * Builds tomorrow's forecast and today's end-of-day projection from local daily totals.
+ * `intervals` are the derived activity increments; `now` is a millisecond timestamp.
+ */
+export const buildForecast = ({ dailyTotals, intervals, plan, today, timeZone, now = Date.now() }) => {
+  const days = Array.from(dailyTotals.entries())
+    .filter(([date]) => date < today && date >= shiftDateKey(today, -HISTORY_DAYS))
+    .map(([date, totals]) => ({ date, steps: totals.steps, calories: totals.calories }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const tomorrow = shiftDateKey(today, 1);
+  const todayTotals = dailyTotals.get(today) ?? { steps: 0, calories: 0 };
+  const progress = typicalShare({ intervals, days, today, timeZone, now });
+
+  const fits = Object.fromEntries(METRICS.map((metric) => [metric, fitMetric(days, metric)]));
+  const tomorrowGoals = plan.goalFor(tomorrow);
+  const todayGoals = plan.goalFor(today);
+
+  const next = {};
+  const projection = {};
+  const goalProbability = {};
+  METRICS.forEach((metric) => {
+    const fit = fits[metric];
+    const digits = metric === 'steps' ? 0 : 1;
+
+    const expected = fit.expectedOn(tomorrow);
+    next[metric] = {
+      value: round(expected, digits),
+      low: round(Math.max(expected - Z_SCORE * fit.spread, 0), digits),
+      high: round(expected + Z_SCORE * fit.spread, digits),
+      goal: tomorrowGoals[metric],
+      goalProbability: round(probabilityAtLeast(tomorrowGoals[metric], expected, fit.spread), 3),
+    };
+
+    // Blend "the rest of a normal day" with "today's pace scaled up", trusting pace more as the day goes on.
+    const current = todayTotals[metric];
+    const share = Math.min(Math.max(progress.share[metric], 0), 1);
+    const typicalDay = days.length ? fit.expectedOn(today) : current;
+    const restOfDay = current + (1 - share) * typicalDay;
+    const paced = share > 0 ? current / share : restOfDay;
+    const projected = Math.max(share * paced + (1 - share) * restOfDay, current);
+    const spread = fit.spread * (1 - share);
+    projection[metric] = {
+      current: round(current, digits),
+      projected: round(projected, digits),
+      low: round(Math.max(projected - Z_SCORE * spread, current), digits),
+      high: round(projected + Z_SCORE * spread, digits),
+      share: round(share, 3),
+      goal: todayGoals[metric],
+    };
+    goalProbability[metric] =
+      current >= todayGoals[metric]
+        ? 1
+        : round(probabilityAtLeast(todayGoals[metric], projected, spread), 3);
+  });
+
+  return {
+    model: fits.steps.seasonal ? 'weekday-seasonal' : 'linear',
+    basisDays: days.length,
+    intervalLevel: INTERVAL_LEVEL,
+    tomorrow: { date: tomorrow, weekday: weekdayOf(tomorrow), ...next },
+    today: {
+      date: today,
+      weekday: weekdayOf(today),
+      exempt: plan.isExempt(today),
+      dayElapsed: round(progress.clockShare, 3),
+      curveBasis: progress.basis,
+      curveDays: progress.curves,
+      ...projection,
+      goalProbability,
+    },
+  };
+};
@@ -0,0 +1,151 @@
+import { randomUUID } from 'crypto';
+
+export const DEFAULT_GOALS = { steps: 8000, calories: 400 };
+
+// Versions carried over from before goal history existed apply to every past day.
+export const EPOCH_DATE = '1970-01-01';
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const EXEMPTION_KINDS = ['rest', 'sick', 'travel', 'other'];
+
+let store = null;
+
+const versionOrder = (a, b) =>
+  a.effectiveFrom.localeCompare(b.effectiveFrom) || a.createdAt.localeCompare(b.createdAt);
+
+const pair = (version) => ({ steps: version.steps, calories: version.calories });
+
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+export const weekdayOf = (key) => WEEKDAYS[new Date(`${key}T00:00:00Z`).getUTCDay()];
+
+export const initGoals = (nextStore) => {
+  store = nextStore;
+  store.defineIndex('goalVersions', 'user', (version) => version.userId);
+  store.defineIndex('exemptions', 'user', (exemption) => exemption.userId);
+  store.defineIndex('exemptions', 'day', (exemption) => `${exemption.userId}|${exemption.date}`);
+};
+
+export const goalHistory = (userId) => store.lookup('goalVersions', 'user', userId).sort(versionOrder);
+
+// The most recently written version, whichever day it takes effect; queued offline edits are checked against it.
+export const latestGoalVersion = (userId) =>
+  store
+    .lookup('goalVersions', 'user', userId)
+    .reduce((latest, version) => (!latest || version.createdAt > latest.createdAt ? version : latest), null);
+
+// Accepts { mon: { steps, calories }, ... } with any subset of weekdays; missing days fall back to the base pair.
+export const parseSchedule = (value) => {
+  if (value === null) {
+    return { schedule: null };
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'schedule must be an object keyed by weekday (sun-sat), or null' };
+  }
+  const schedule = {};
+  for (const [day, goals] of Object.entries(value)) {
+    if (!WEEKDAYS.includes(day)) {
+      return { error: `schedule keys must be weekdays (${WEEKDAYS.join(', ')})` };
+    }
+    if (!isPositive(goals?.steps) || !isPositive(goals?.calories)) {
+      return { error: `schedule.${day} needs positive steps and calories` };
+    }
+    schedule[day] = { steps: Math.round(goals.steps), calories: goals.calories };
+  }
+  return { schedule: Object.keys(schedule).length ? schedule : null };
+};
+
+export const createGoalVersion = (userId, { steps, calories, effectiveFrom, schedule = null }) => ({
+  id: randomUUID(),
+  userId,
+  steps,
+  calories,
+  ...(schedule ? { schedule } : {}),
+  effectiveFrom,
+  createdAt: new Date().toISOString(),
+});
+
+export const appendGoalVersion = async (userId, goals) => {
+  const version = createGoalVersion(userId, goals);
+  await store.put('goalVersions', version);
+  return version;
+};
+
+export const listExemptions = (userId, { from, to } = {}) =>
+  store
+    .lookup('exemptions', 'user', userId)
+    .filter((exemption) => (!from || exemption.date >= from) && (!to || exemption.date <= to))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+// Marking a day that is already exempt replaces its kind and note.
+export const addExemptions = async (userId, dates, { kind, note }) => {
+  const records = dates.map((date) => {
+    const existing = store.lookupOne('exemptions', 'day', `${userId}|${date}`);
+    return {
+      id: existing?.id ?? randomUUID(),
+      userId,
+      date,
+      kind,
+      ...(note ? { note } : {}),
+      createdAt: existing?.createdAt ?? new Date().toISOString(),
+    };
+  });
+  await store.batch(records.map((record) => ({ op: 'put', c: 'exemptions', r: record })));
+  return records;
+};
+
+export const removeExemption = async (userId, id) => {
+  const existing = store.get('exemptions', id);
+  if (!existing || existing.userId !== userId) {
+    return false;
+  }
+  await store.remove('exemptions', id);
+  return true;
+};
+
+// Everything needed to judge a day: the version in effect, its weekday override, and whether the day is exempt.
+export const createGoalPlan = (userId) => {
+  const versions = goalHistory(userId);
+  const exemptions = new Map(store.lookup('exemptions', 'user', userId).map((exemption) => [exemption.date, exemption]));
+  const cache = new Map();
+
+  const versionFor = (day) => {
+    if (!cache.has(day)) {
+      let match = null;
+      for (const version of versions) {
+        if (version.effectiveFrom > day) {
+          break;
+        }
+        match = version;
+      }
+      cache.set(day, match);
+    }
+    return cache.get(day);
+  };
+
+  return {
+    baseFor(day) {
+      const version = versionFor(day);
+      return version ? pair(version) : DEFAULT_GOALS;
+    },
+    scheduleFor(day) {
+      return versionFor(day)?.schedule ?? null;
+    },
+    goalFor(day) {
+      const version = versionFor(day);
+      if (!version) {
+        return DEFAULT_GOALS;
+      }
+      return version.schedule?.[weekdayOf(day)] ?? pair(version);
+    },
+    exemptionFor(day) {
+      return exemptions.get(day) ?? null;
+    },
+    isExempt(day) {
+      return exemptions.has(day);
+    },
+  };
+};
+
+export const meetsGoals = (totals, goals) => totals.steps >= goals.steps && totals.calories >= goals.calories;
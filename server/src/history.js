@@ -0,0 +1,151 @@
+import { meetsGoals } from './goals.js';
+import { roundTotals } from './merge.js';
+import { shiftDateKey } from './time.js';
+
+export const GRANULARITIES = ['day', 'week', 'month'];
+
+export const DEFAULT_LOOKBACK = {
+  day: 29,
+  week: 7 * 12 - 1,
+  month: 365,
+};
+
+export const MAX_RANGE_DAYS = 3660;
+
+// The calendar shows a year ending today unless asked otherwise.
+export const CALENDAR_LOOKBACK = 364;
+
+// Active time counts intervals walked at or above this cadence (steps per minute).
+const ACTIVE_CADENCE = 60;
+
+const dayIndex = (key) => Date.parse(`${key}T00:00:00Z`) / 86400000;
+
+export const daysBetween = (from, to) => dayIndex(to) - dayIndex(from) + 1;
+
+const isoWeek = (key) => {
+  const date = new Date(`${key}T00:00:00Z`);
+  const weekday = date.getUTCDay() || 7;
+  date.setUTCDate(date.getUTCDate() + 4 - weekday);
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((date.valueOf() - yearStart) / 86400000 + 1) / 7);
+  return `${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+const weekStart = (key) => {
+  const weekday = new Date(`${key}T00:00:00Z`).getUTCDay() || 7;
+  return shiftDateKey(key, 1 - weekday);
+};
+
+const monthEnd = (key) => {
+  const [year, month] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0];
+};
+
+export const periodFor = (key, granularity) => {
+  if (granularity === 'week') {
+    const start = weekStart(key);
+    return { label: isoWeek(key), start, end: shiftDateKey(start, 6) };
+  }
+  if (granularity === 'month') {
+    const start = `${key.slice(0, 7)}-01`;
+    return { label: key.slice(0, 7), start, end: monthEnd(start) };
+  }
+  return { label: key, start: key, end: key };
+};
+
+// Minutes of brisk walking per local day, attributed to the day `dayOf(interval)` files each interval under.
+export const buildActiveMinutes = (intervals, dayOf) => {
+  const minutes = new Map();
+  intervals.forEach((interval) => {
+    const duration = (new Date(interval.end) - new Date(interval.start)) / 60000;
+    if (duration <= 0 || interval.steps / duration < ACTIVE_CADENCE) {
+      return;
+    }
+    const day = dayOf(interval);
+    minutes.set(day, (minutes.get(day) ?? 0) + duration);
+  });
+  return minutes;
+};
+
+export const buildHistory = ({ dailyTotals, activeMinutes, plan, from, to, granularity }) => {
+  const periods = new Map();
+
+  for (let key = from; key <= to; key = shiftDateKey(key, 1)) {
+    const period = periodFor(key, granularity);
+    if (!periods.has(period.label)) {
+      periods.set(period.label, {
+        period: period.label,
+        start: period.start,
+        end: period.end,
+        days: 0,
+        activeDays: 0,
+        goalDays: 0,
+        exemptDays: 0,
+        steps: 0,
+        calories: 0,
+        distance: 0,
+        activeMinutes: 0,
+        samples: 0,
+        stepGoal: 0,
+        calorieGoal: 0,
+      });
+    }
+
+    const entry = periods.get(period.label);
+    const totals = dailyTotals.get(key);
+    const goals = plan.goalFor(key);
+    const exempt = plan.isExempt(key);
+    entry.days += 1;
+    if (exempt) {
+      entry.exemptDays += 1;
+    } else {
+      entry.stepGoal += goals.steps;
+      entry.calorieGoal += goals.calories;
+    }
+    entry.activeMinutes += activeMinutes.get(key) ?? 0;
+    if (!totals) {
+      continue;
+    }
+    entry.activeDays += 1;
+    entry.steps += totals.steps;
+    entry.calories += totals.calories;
+    entry.distance += totals.distance;
+    entry.samples += totals.samples;
+    if (!exempt && meetsGoals(totals, goals)) {
+      entry.goalDays += 1;
+    }
+  }
+
+  // A week or month "meets goal" when its totals cover the goals in effect on each of its non-exempt days in range.
+  // With every day exempt there is nothing to judge, so `goalMet` is null rather than trivially true.
+  return Array.from(periods.values()).map((entry) => ({
+    ...roundTotals(entry),
+    activeMinutes: Math.round(entry.activeMinutes),
+    goalMet: entry.days > entry.exemptDays ? entry.steps >= entry.stepGoal && entry.calories >= entry.calorieGoal : null,
+  }));
+};
+
+// One entry per local day for the calendar heatmap; exempt days never count as met or missed.
+export const buildCalendar = ({ dailyTotals, activeMinutes, plan, from, to }) => {
+  const days = [];
+  for (let key = from; key <= to; key = shiftDateKey(key, 1)) {
+    const totals = dailyTotals.get(key) ?? { steps: 0, calories: 0, distance: 0, samples: 0 };
+    const goals = plan.goalFor(key);
+    const exempt = plan.isExempt(key);
+    days.push({
+      date: key,
+      steps: totals.steps,
+      calories: totals.calories,
+      distance: totals.distance,
+      samples: totals.samples ?? 0,
+      activities: totals.activities ?? 0,
+      activeMinutes: Math.round(activeMinutes.get(key) ?? 0),
+      stepGoal: goals.steps,
+      calorieGoal: goals.calories,
+      stepProgress: goals.steps ? totals.steps / goals.steps : 0,
+      exempt,
+      goalMet: !exempt && meetsGoals(totals, goals),
+    });
+  }
+  return days;
+};
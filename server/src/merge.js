@@ -0,0 +1,123 @@
+export const MERGE_POLICIES = ['sum', 'max', 'priority'];
+
+export const DEFAULT_MERGE_POLICY = 'sum';
+
+export const MAX_PRIORITY_DEVICES = 20;
+
+// Overlaps between devices are resolved on this grid, aligned to UTC.
+const MERGE_BUCKET_MINUTES = 5;
+const BUCKET_MS = MERGE_BUCKET_MINUTES * 60000;
+
+const METRICS = ['steps', 'distance', 'calories'];
+
+const toMs = (value) => new Date(value).valueOf();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const mergeSettings = (user) => ({
+  policy: user.settings?.mergePolicy ?? DEFAULT_MERGE_POLICY,
+  priority: user.settings?.priorityDevices ?? [],
+});
+
+// Devices not in the priority list rank after every listed one.
+const rankOf = (priority, deviceId) => {
+  const index = priority.indexOf(deviceId);
+  return index < 0 ? priority.length : index;
+};
+
+const pickSource = (candidates, { policy, priority }) =>
+  candidates.reduce((best, candidate) => {
+    if (!best) {
+      return candidate;
+    }
+    if (policy === 'priority') {
+      const rank = rankOf(priority, candidate.deviceId) - rankOf(priority, best.deviceId);
+      if (rank !== 0) {
+        return rank < 0 ? candidate : best;
+      }
+    }
+    return candidate.steps > best.steps || (candidate.steps === best.steps && candidate.calories > best.calories)
+      ? candidate
+      : best;
+  }, null);
+
+/*
+ * Resolves intervals from different devices that cover the same time. `sum` keeps every device's
+ * intervals as they are; `max` keeps, per 5-minute slot, the device that counted the most steps;
+ * `priority` keeps the highest-ranked device that recorded anything in the slot.
+ */
+export const mergeIntervals = (intervals, settings) => {
+  if (settings.policy === 'sum') {
+    return intervals;
+  }
+
+  const slots = new Map();
+  intervals.forEach((interval) => {
+    const from = toMs(interval.start);
+    const to = toMs(interval.end);
+    const span = to - from;
+    const first = Math.floor(from / BUCKET_MS);
+    const last = span > 0 ? Math.floor((to - 1) / BUCKET_MS) : first;
+    for (let index = first; index <= last; index += 1) {
+      const slotStart = Math.max(from, index * BUCKET_MS);
+      const slotEnd = Math.min(to, (index + 1) * BUCKET_MS);
+      const share = span > 0 ? (slotEnd - slotStart) / span : 1;
+      if (!slots.has(index)) {
+        slots.set(index, new Map());
+      }
+      const devices = slots.get(index);
+      // A slot's piece keeps the first interval's day rule, so it counts towards the same day as its sample.
+      const entry = devices.get(interval.deviceId) ?? {
+        deviceId: interval.deviceId,
+        date: interval.date,
+        timeZone: interval.timeZone,
+        utcOffsetMinutes: interval.utcOffsetMinutes,
+        start: slotStart,
+        end: slotEnd,
+        steps: 0,
+        distance: 0,
+        calories: 0,
+      };
+      entry.start = Math.min(entry.start, slotStart);
+      entry.end = Math.max(entry.end, slotEnd);
+      METRICS.forEach((metric) => {
+        entry[metric] += interval[metric] * share;
+      });
+      devices.set(interval.deviceId, entry);
+    }
+  });
+
+  return Array.from(slots.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([, devices]) => {
+      const source = pickSource(Array.from(devices.values()), settings);
+      return {
+        ...source,
+        start: new Date(source.start).toISOString(),
+        end: new Date(source.end).toISOString(),
+      };
+    });
+};
+
+// Daily totals straight from merged intervals; `dayOf(interval)` names the day each one counts towards.
+export const dailyTotalsFromIntervals = (intervals, dayOf) => {
+  const totals = new Map();
+  intervals.forEach((interval) => {
+    const day = dayOf(interval);
+    const existing = totals.get(day) ?? { steps: 0, calories: 0, distance: 0 };
+    METRICS.forEach((metric) => {
+      existing[metric] += interval[metric];
+    });
+    totals.set(day, existing);
+  });
+  return totals;
+};
+
+// Spreading readings across slots and intervals leaves float noise (2499.9999999999995 steps); totals are
+// reported in whole steps and hundredths of a metre or kilocalorie.
+export const roundTotals = (totals) => ({
+  ...totals,
+  steps: Math.round(totals.steps),
+  distance: round(totals.distance),
+  calories: round(totals.calories),
+});
@@ -0,0 +1,1217 @@
+import {
+  ACTIVITY_TYPES,
+  INTENSITIES,
+  MAX_ACTIVITY_CALORIES,
+  MAX_DURATION_MINUTES,
+  MAX_NOTE_LENGTH,
+} from './activities.js';
+import { BUCKET_SIZES } from './activity.js';
+import { CHALLENGE_METRICS, CHALLENGE_TYPES, MAX_NAME_LENGTH } from './challenges.js';
+import { MAX_DEVICE_NAME_LENGTH } from './devices.js';
+import { CALORIE_SOURCES, PROFILE_LIMITS, SEXES } from './energy.js';
+import { sendInvalid } from './errors.js';
+import { EXEMPTION_KINDS, WEEKDAYS } from './goals.js';
+import { GRANULARITIES } from './history.js';
+import { MAX_PRIORITY_DEVICES, MERGE_POLICIES } from './merge.js';
+import { REPORT_FORMATS, REPORT_KINDS } from './reports.js';
+import { validate } from './schema.js';
+import { EXPORT_DATASETS, EXPORT_FORMATS, IMPORT_FORMATS } from './transfer.js';
+import { MAX_INACTIVITY_HOURS, WEBHOOK_EVENTS } from './webhooks.js';
+
+export const API_VERSION = 'v1';
+// Bumped whenever the contract below changes; additions within v1 only move the minor version.
+const DOCUMENT_VERSION = '1.0.0';
+export const MAX_BATCH_SIZE = 1000;
+export const MAX_DELETE_IDS = 1000;
+export const MAX_IDEMPOTENCY_KEY_LENGTH = 128;
+const MAX_EXEMPTION_NOTE_LENGTH = 200;
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const orNull = (schema) =>
+  schema.$ref
+    ? { anyOf: [schema, { type: 'null' }] }
+    : { ...schema, type: [schema.type, 'null'].flat(), ...(schema.enum ? { enum: [...schema.enum, null] } : {}) };
+const object = (properties, required = [], extra = {}) => ({
+  type: 'object',
+  properties,
+  ...(required.length ? { required } : {}),
+  ...extra,
+});
+// Request bodies that only set fields reject unknown ones, so a misspelt field is an error rather than a no-op.
+const closed = (properties, required) => object(properties, required, { additionalProperties: false });
+const list = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const oneOf = (values) => ({ type: 'string', enum: values });
+
+const string = { type: 'string' };
+const id = { type: 'string', minLength: 1 };
+const number = { type: 'number' };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+const date = { type: 'string', format: 'date' };
+const dateTime = { type: 'string', format: 'date-time' };
+const counter = { type: 'number', minimum: 0 };
+const deviceIds = list(id, { maxItems: MAX_PRIORITY_DEVICES });
+
+const activityFields = {
+  type: oneOf(Object.keys(ACTIVITY_TYPES)),
+  intensity: oneOf(INTENSITIES),
+  start: dateTime,
+  durationMinutes: { type: 'number', exclusiveMinimum: 0, maximum: MAX_DURATION_MINUTES },
+  calories: { type: ['number', 'null'], minimum: 0, maximum: MAX_ACTIVITY_CALORIES, description: 'null estimates them' },
+  note: { type: ['string', 'null'], maxLength: MAX_NOTE_LENGTH },
+};
+
+const COMPONENTS = {
+  Error: object(
+    {
+      message: string,
+      code: {
+        type: 'string',
+        description:
+          'invalid-request, unauthorized, forbidden, not-found, payload-too-large, challenge-full, ' +
+          'owner-cannot-leave, goal-version-conflict or internal-error',
+      },
+      errors: list(
+        object(
+          {
+            path: { type: 'string', description: 'Where the problem is, e.g. body.samples[2].steps or query.from' },
+            code: {
+              type: 'string',
+              description: 'required, type, enum, format, too-small, too-large, too-short, too-long, unknown-field, range or not-allowed',
+            },
+            message: string,
+          },
+          ['path', 'code', 'message']
+        )
+      ),
+    },
+    ['message', 'code']
+  ),
+  Message: object({ message: string }, ['message']),
+  Goals: object({ steps: number, calories: number }, ['steps', 'calories']),
+  Schedule: object(
+    Object.fromEntries(
+      WEEKDAYS.map((day) => [
+        day,
+        closed({ steps: { type: 'number', exclusiveMinimum: 0 }, calories: { type: 'number', exclusiveMinimum: 0 } }, [
+          'steps',
+          'calories',
+        ]),
+      ])
+    ),
+    [],
+    { additionalProperties: false, description: 'Goals per weekday; days left out use the base pair' }
+  ),
+  User: object({ id, name: string, createdAt: dateTime, settings: ref('Settings') }, ['id', 'name', 'createdAt', 'settings']),
+  Token: object({ id, label: string, hint: string, createdAt: dateTime }, ['id', 'label', 'hint', 'createdAt']),
+  IssuedToken: object(
+    { id, label: string, hint: string, createdAt: dateTime, token: { type: 'string', description: 'Shown only once' } },
+    ['id', 'label', 'hint', 'createdAt', 'token']
+  ),
+  Settings: object({
+    timeZone: { type: 'string', format: 'time-zone' },
+    mergePolicy: oneOf(MERGE_POLICIES),
+    priorityDevices: deviceIds,
+    calorieSource: oneOf(CALORIE_SOURCES),
+    activitySteps: boolean,
+    reports: list(oneOf(Object.keys(REPORT_KINDS))),
+  }),
+  Profile: object({
+    profile: object({
+      ...Object.fromEntries(Object.keys(PROFILE_LIMITS).map((field) => [field, number])),
+      sex: oneOf(SEXES),
+      version: integer,
+      updatedAt: dateTime,
+    }),
+    model: string,
+    calorieSource: oneOf(CALORIE_SOURCES),
+    recompute: orNull(
+      object({ status: oneOf(['running', 'done', 'failed']), startedAt: dateTime, finishedAt: orNull(dateTime), updated: integer })
+    ),
+  }, ['profile', 'model', 'calorieSource', 'recompute']),
+  DeviceInput: object(
+    {
+      deviceId: id,
+      model: string,
+      osVersion: string,
+      timeZone: { type: 'string', format: 'time-zone' },
+    },
+    ['deviceId']
+  ),
+  SampleInput: object(
+    {
+      steps: counter,
+      distance: { ...counter, description: 'Metres' },
+      calories: counter,
+      start: dateTime,
+      end: dateTime,
+      utcOffsetMinutes: { type: 'integer', minimum: -840, maximum: 840 },
+    },
+    ['steps', 'distance', 'calories', 'start', 'end'],
+    { description: 'Cumulative readings since `start`, as the phone reports them' }
+  ),
+  BatchItem: object(
+    {
+      idempotencyKey: { type: 'string', minLength: 1, maxLength: MAX_IDEMPOTENCY_KEY_LENGTH },
+      device: ref('DeviceInput'),
+      steps: counter,
+      distance: counter,
+      calories: counter,
+      start: dateTime,
+      end: dateTime,
+      utcOffsetMinutes: { type: 'integer', minimum: -840, maximum: 840 },
+    },
+    ['idempotencyKey', 'steps', 'distance', 'calories', 'start', 'end'],
+    { description: 'One sample of a batch; `device` defaults to the batch-level one' }
+  ),
+  SampleRecord: object(
+    {
+      id,
+      idempotencyKey: string,
+      receivedAt: dateTime,
+      device: object({ deviceId: id, model: string, osVersion: string, timeZone: string }, ['deviceId']),
+      sample: object(
+        { steps: number, distance: number, calories: number, start: dateTime, end: dateTime, utcOffsetMinutes: integer },
+        ['steps', 'distance', 'calories', 'start', 'end']
+      ),
+      energy: object({ calories: number, model: string, profileVersion: integer }),
+      anchor: boolean,
+    },
+    ['id', 'receivedAt', 'device', 'sample']
+  ),
+  Activity: object(
+    {
+      id,
+      type: oneOf(Object.keys(ACTIVITY_TYPES)),
+      intensity: oneOf(INTENSITIES),
+      start: dateTime,
+      end: dateTime,
+      durationMinutes: number,
+      calories: number,
+      caloriesEstimated: boolean,
+      note: string,
+      met: number,
+      stepEquivalents: integer,
+      energy: object({ model: string, profileVersion: integer }),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+      source: oneOf(['manual']),
+    },
+    ['id', 'type', 'intensity', 'start', 'end', 'durationMinutes', 'calories', 'met', 'source']
+  ),
+  ActivityInput: closed(activityFields, ['type', 'start', 'durationMinutes']),
+  ActivityPatch: closed(activityFields),
+  Exemption: object(
+    { id, date, kind: oneOf(EXEMPTION_KINDS), note: string, createdAt: dateTime },
+    ['id', 'date', 'kind']
+  ),
+  GoalVersion: object(
+    { id, steps: number, calories: number, schedule: ref('Schedule'), effectiveFrom: date, createdAt: dateTime },
+    ['id', 'steps', 'calories', 'effectiveFrom']
+  ),
+  Insights: object(
+    {
+      averageSteps7d: number,
+      averageCalories7d: number,
+      goalComplianceRate: number,
+      bestDay: orNull(
+        object({ date, steps: number, calories: number, distance: number, goals: ref('Goals'), goalMet: boolean }, [
+          'date',
+          'steps',
+        ])
+      ),
+    },
+    ['averageSteps7d', 'averageCalories7d', 'goalComplianceRate', 'bestDay']
+  ),
+  Predictions: object(
+    {
+      steps: { type: 'number', description: "Tomorrow's point forecast, kept for older clients" },
+      calories: number,
+      model: oneOf(['weekday-seasonal', 'linear']),
+      basisDays: integer,
+      intervalLevel: number,
+      tomorrow: object(
+        {
+          date,
+          weekday: oneOf(WEEKDAYS),
+          ...Object.fromEntries(
+            ['steps', 'calories'].map((metric) => [
+              metric,
+              object({ value: number, low: number, high: number, goal: number, goalProbability: number }, [
+                'value',
+                'low',
+                'high',
+              ]),
+            ])
+          ),
+        },
+        ['date', 'steps', 'calories']
+      ),
+      today: object(
+        {
+          date,
+          weekday: oneOf(WEEKDAYS),
+          exempt: boolean,
+          dayElapsed: number,
+          curveBasis: oneOf(['weekday', 'recent', 'clock']),
+          curveDays: integer,
+          ...Object.fromEntries(
+            ['steps', 'calories'].map((metric) => [
+              metric,
+              object({ current: number, projected: number, low: number, high: number, share: number, goal: number }, [
+                'current',
+                'projected',
+              ]),
+            ])
+          ),
+          goalProbability: object({ steps: number, calories: number }),
+        },
+        ['date', 'steps', 'calories']
+      ),
+    },
+    ['steps', 'calories', 'model', 'tomorrow', 'today']
+  ),
+  Summary: object(
+    {
+      goals: ref('Goals'),
+      goalVersion: orNull(string),
+      schedule: orNull(ref('Schedule')),
+      timeZone: string,
+      today: object(
+        {
+          date,
+          steps: number,
+          calories: number,
+          stepGoal: number,
+          calorieGoal: number,
+          stepProgress: number,
+          calorieProgress: number,
+          exemption: orNull(ref('Exemption')),
+          sources: list(object({ deviceId: string, steps: number })),
+        },
+        ['date', 'steps', 'calories', 'stepGoal', 'calorieGoal', 'stepProgress', 'calorieProgress']
+      ),
+      merge: object({ policy: oneOf(MERGE_POLICIES), priority: list(string) }, ['policy']),
+      streak: object({ days: integer }, ['days']),
+      insights: ref('Insights'),
+      predictions: ref('Predictions'),
+    },
+    ['goals', 'goalVersion', 'timeZone', 'today', 'streak', 'insights', 'predictions']
+  ),
+  Bucket: object(
+    {
+      start: dateTime,
+      end: dateTime,
+      steps: number,
+      distance: number,
+      calories: number,
+      sources: list(object({ deviceId: string, steps: number })),
+    },
+    ['start', 'end', 'steps', 'distance', 'calories']
+  ),
+  HistoryPeriod: object(
+    {
+      period: string,
+      start: date,
+      end: date,
+      days: integer,
+      activeDays: integer,
+      goalDays: integer,
+      exemptDays: integer,
+      steps: number,
+      calories: number,
+      distance: number,
+      activeMinutes: number,
+      samples: integer,
+      stepGoal: number,
+      calorieGoal: number,
+      goalMet: { type: ['boolean', 'null'], description: 'null when every day in the period is exempt' },
+    },
+    ['period', 'start', 'end', 'steps', 'calories']
+  ),
+  CalendarDay: object(
+    {
+      date,
+      steps: number,
+      calories: number,
+      distance: number,
+      samples: integer,
+      activities: integer,
+      activeMinutes: number,
+      stepGoal: number,
+      calorieGoal: number,
+      stepProgress: number,
+      exempt: boolean,
+      goalMet: boolean,
+    },
+    ['date', 'steps', 'calories', 'stepGoal', 'calorieGoal', 'exempt', 'goalMet']
+  ),
+  Achievement: object(
+    {
+      code: string,
+      category: string,
+      title: string,
+      description: string,
+      unlocked: boolean,
+      unlockedAt: orNull(dateTime),
+      detail: { description: 'What earned the badge; its shape depends on the badge' },
+    },
+    ['code', 'title', 'unlocked']
+  ),
+  Webhook: object(
+    {
+      id,
+      url: string,
+      events: list(oneOf(WEBHOOK_EVENTS)),
+      inactivityHours: number,
+      secretHint: string,
+      secret: { type: 'string', description: 'Only in the response that creates the webhook' },
+      createdAt: dateTime,
+    },
+    ['id', 'url', 'events', 'inactivityHours', 'createdAt']
+  ),
+  Delivery: object(
+    {
+      id,
+      webhookId: string,
+      status: oneOf(['pending', 'delivered', 'failed']),
+      attempts: list(object({})),
+      nextAttemptAt: orNull(dateTime),
+      createdAt: dateTime,
+      event: string,
+      data: {},
+    },
+    ['id', 'webhookId', 'status', 'attempts', 'createdAt', 'event']
+  ),
+  Device: object(
+    {
+      deviceId: id,
+      name: orNull(string),
+      model: orNull(string),
+      osVersion: orNull(string),
+      timeZone: orNull(string),
+      firstSeenAt: orNull(dateTime),
+      lastSeenAt: orNull(dateTime),
+      samples: integer,
+      mergedFrom: list(string),
+    },
+    ['deviceId', 'samples']
+  ),
+  QuarantineEntry: object(
+    {
+      id,
+      receivedAt: dateTime,
+      device: object({ deviceId: string }, ['deviceId']),
+      sample: object({}),
+      reasons: list(object({ code: string, message: string }, ['code', 'message'])),
+      quarantinedAt: dateTime,
+    },
+    ['id', 'device', 'sample', 'reasons', 'quarantinedAt']
+  ),
+  Deletion: object(
+    {
+      id,
+      deletedAt: dateTime,
+      restoreUntil: dateTime,
+      filter: object({}),
+      count: integer,
+      rollups: integer,
+      snapshotId: string,
+    },
+    ['id', 'deletedAt', 'restoreUntil', 'count']
+  ),
+  Snapshot: object({ id, reason: string, createdAt: dateTime, count: integer }, ['id', 'createdAt', 'count']),
+  Challenge: object(
+    {
+      id,
+      name: string,
+      metric: oneOf(CHALLENGE_METRICS),
+      type: oneOf(CHALLENGE_TYPES),
+      target: orNull(number),
+      from: date,
+      to: date,
+      code: string,
+      owner: boolean,
+      status: oneOf(['upcoming', 'active', 'finished']),
+      participants: integer,
+      standings: list(
+        object(
+          {
+            rank: integer,
+            name: string,
+            you: boolean,
+            owner: boolean,
+            deviceIds: orNull(list(string)),
+            value: number,
+            total: number,
+            goalDays: integer,
+            currentStreak: integer,
+            today: orNull(number),
+          },
+          ['rank', 'name', 'you', 'value']
+        )
+      ),
+    },
+    ['id', 'name', 'metric', 'type', 'from', 'to', 'code', 'status', 'standings']
+  ),
+  Report: object(
+    {
+      kind: oneOf(Object.keys(REPORT_KINDS)),
+      period: object({ key: string, start: date, end: date, days: integer }, ['key', 'start', 'end']),
+      complete: boolean,
+      timeZone: string,
+      generatedAt: dateTime,
+      totals: object({ steps: number, calories: number, distance: number, activeMinutes: number }),
+      goals: object({ steps: number, calories: number, met: orNull(boolean) }),
+      goalDays: integer,
+      judgedDays: integer,
+      exemptDays: integer,
+      trackedDays: integer,
+      complianceRate: number,
+      averages: object({ steps: number, calories: number }),
+      streak: object({ start: integer, end: integer, change: integer }),
+      bestDay: orNull(object({ date, steps: number, calories: number, distance: number, goalMet: boolean })),
+      worstDay: orNull(object({ date, steps: number, calories: number, distance: number, goalMet: boolean })),
+      previous: orNull(object({ key: string })),
+      change: orNull(object({ steps: orNull(number), calories: orNull(number) })),
+      forecast: object({ key: string, start: date, end: date, steps: number, calories: number }),
+    },
+    ['kind', 'period', 'complete', 'totals', 'goals']
+  ),
+  RetentionReport: object(
+    {
+      retentionDays: integer,
+      dryRun: boolean,
+      startedAt: dateTime,
+      finishedAt: dateTime,
+      users: integer,
+      samplesFolded: integer,
+      anchors: integer,
+      rollupsWritten: integer,
+      recordsReclaimed: integer,
+      bytesReclaimed: number,
+      storage: orNull(object({})),
+    },
+    ['retentionDays', 'dryRun', 'samplesFolded']
+  ),
+  ItemResult: object(
+    {
+      index: integer,
+      idempotencyKey: string,
+      status: oneOf(['stored', 'updated', 'unchanged', 'quarantined', 'rejected']),
+      id: string,
+      reason: string,
+      reasons: list(object({ code: string, message: string })),
+      errors: list(object({ path: string, code: string, message: string })),
+    },
+    ['status']
+  ),
+};
+
+const message = ref('Message');
+const range = { from: date, to: date };
+const TEXT = Symbol('text');
+// Responses other than JSON, e.g. `text('text/csv')`.
+const text = (...types) => ({ [TEXT]: types });
+
+/*
+ * Every route the API serves, keyed by method and path as Express writes them (relative to /api/v1).
+ * `query`, `params`, `headers` and `body` are checked before the handler runs; `responses` documents the
+ * successes, and `errors` the statuses besides 400 (any input), 401 (unless `auth` is false) and 500.
+ */
+export const OPERATIONS = {
+  'GET /openapi.json': {
+    tag: 'Meta',
+    summary: 'This document',
+    auth: false,
+    responses: { 200: object({ openapi: string }) },
+  },
+  'POST /users': {
+    tag: 'Accounts',
+    summary: 'Create an account and its first API token',
+    auth: 'admin',
+    body: closed({ name: { type: 'string', minLength: 1 } }, ['name']),
+    responses: { 201: object({ user: ref('User'), token: ref('IssuedToken'), claimedSamples: integer }, ['user', 'token']) },
+  },
+  'GET /admin/retention': {
+    tag: 'Admin',
+    summary: 'Configured retention window and the last sweep',
+    auth: 'admin',
+    responses: {
+      200: object({ retentionDays: integer, sweepMs: integer, lastRun: orNull(ref('RetentionReport')) }, ['retentionDays']),
+    },
+  },
+  'POST /admin/retention': {
+    tag: 'Admin',
+    summary: 'Run the retention sweep now',
+    auth: 'admin',
+    body: closed({ days: { type: 'integer', minimum: 1 }, dryRun: boolean }),
+    responses: { 200: ref('RetentionReport') },
+  },
+  'GET /me': {
+    tag: 'Accounts',
+    summary: 'The calling account and its tokens',
+    responses: { 200: object({ user: ref('User'), tokens: list(ref('Token')) }, ['user', 'tokens']) },
+  },
+  'GET /tokens': {
+    tag: 'Accounts',
+    summary: 'List API tokens',
+    responses: { 200: object({ data: list(ref('Token')) }, ['data']) },
+  },
+  'POST /tokens': {
+    tag: 'Accounts',
+    summary: 'Issue another API token',
+    body: closed({ label: string }),
+    responses: { 201: ref('IssuedToken') },
+  },
+  'DELETE /tokens/:id': {
+    tag: 'Accounts',
+    summary: 'Revoke a token',
+    errors: [404],
+    responses: { 200: message },
+  },
+  'GET /stream': {
+    tag: 'Events',
+    summary: 'Server-Sent Events for the account',
+    query: object({ access_token: { type: 'string', description: 'For EventSource, which cannot set headers' } }),
+    responses: { 200: text('text/event-stream') },
+  },
+  'GET /webhooks': {
+    tag: 'Webhooks',
+    summary: 'List webhook subscriptions',
+    responses: { 200: object({ events: list(string), data: list(ref('Webhook')) }, ['events', 'data']) },
+  },
+  'POST /webhooks': {
+    tag: 'Webhooks',
+    summary: 'Subscribe a URL to events',
+    body: closed(
+      {
+        url: { type: 'string', format: 'uri' },
+        events: list(oneOf(WEBHOOK_EVENTS), { minItems: 1 }),
+        inactivityHours: { type: 'number', exclusiveMinimum: 0, maximum: MAX_INACTIVITY_HOURS },
+      },
+      ['url']
+    ),
+    responses: { 201: ref('Webhook') },
+  },
+  'DELETE /webhooks/:id': {
+    tag: 'Webhooks',
+    summary: 'Unsubscribe',
+    errors: [404],
+    responses: { 200: message },
+  },
+  'GET /webhooks/:id/deliveries': {
+    tag: 'Webhooks',
+    summary: 'Delivery log with every attempt',
+    errors: [404],
+    responses: { 200: object({ data: list(ref('Delivery')) }, ['data']) },
+  },
+  'POST /webhooks/:id/test': {
+    tag: 'Webhooks',
+    summary: 'Queue a ping delivery',
+    errors: [404],
+    responses: { 202: ref('Delivery') },
+  },
+  'GET /profile': {
+    tag: 'Profile',
+    summary: 'Body profile for the calorie model',
+    responses: { 200: ref('Profile') },
+  },
+  'PUT /profile': {
+    tag: 'Profile',
+    summary: 'Update the body profile; null clears a field',
+    body: closed({
+      ...Object.fromEntries(
+        Object.entries(PROFILE_LIMITS).map(([field, { min, max }]) => [
+          field,
+          { type: ['number', 'null'], minimum: min, maximum: max },
+        ])
+      ),
+      sex: { type: ['string', 'null'], enum: [...SEXES, null] },
+    }),
+    responses: { 200: ref('Profile') },
+  },
+  'GET /settings': {
+    tag: 'Profile',
+    summary: 'Account settings',
+    responses: { 200: ref('Settings') },
+  },
+  'PUT /settings': {
+    tag: 'Profile',
+    summary: 'Update settings; null restores a default',
+    body: closed({
+      timeZone: { type: ['string', 'null'], format: 'time-zone' },
+      mergePolicy: { type: ['string', 'null'], enum: [...MERGE_POLICIES, null] },
+      priorityDevices: orNull(deviceIds),
+      calorieSource: { type: ['string', 'null'], enum: [...CALORIE_SOURCES, null] },
+      activitySteps: { type: ['boolean', 'null'] },
+      reports: orNull(list(oneOf(Object.keys(REPORT_KINDS)))),
+    }),
+    responses: { 200: ref('Settings') },
+  },
+  'GET /metrics': {
+    tag: 'Metrics',
+    summary: 'Latest samples, logged workouts and the summary',
+    query: object({ limit: { type: 'integer', minimum: 1 }, since: dateTime, deviceId: id }),
+    responses: {
+      200: object(
+        {
+          data: list(ref('SampleRecord')),
+          activities: list(ref('Activity')),
+          totals: object({ steps: number, distance: number, calories: number }),
+          current: orNull(ref('SampleRecord')),
+          summary: ref('Summary'),
+        },
+        ['data', 'activities', 'totals', 'current', 'summary']
+      ),
+    },
+  },
+  'POST /metrics': {
+    tag: 'Metrics',
+    summary: 'Upload one sample',
+    headers: { 'Idempotency-Key': { type: 'string', minLength: 1, maxLength: MAX_IDEMPOTENCY_KEY_LENGTH } },
+    body: object(
+      {
+        device: ref('DeviceInput'),
+        sample: ref('SampleInput'),
+        idempotencyKey: { type: 'string', minLength: 1, maxLength: MAX_IDEMPOTENCY_KEY_LENGTH },
+      },
+      ['device', 'sample']
+    ),
+    responses: {
+      200: object({ message: oneOf(['updated']), id }, ['message', 'id']),
+      201: object({ message: oneOf(['stored']), id }, ['message', 'id']),
+      202: object({ message: oneOf(['quarantined']), id, reasons: list(object({ code: string, message: string })) }, [
+        'message',
+        'id',
+        'reasons',
+      ]),
+    },
+  },
+  'POST /metrics/batch': {
+    tag: 'Metrics',
+    summary: 'Upload up to 1000 samples; each item is checked against BatchItem on its own',
+    body: object(
+      {
+        device: ref('DeviceInput'),
+        samples: list(object({}), { minItems: 1, maxItems: MAX_BATCH_SIZE }),
+      },
+      ['samples']
+    ),
+    responses: {
+      200: object(
+        { stored: integer, updated: integer, quarantined: integer, rejected: integer, results: list(ref('ItemResult')) },
+        ['stored', 'updated', 'quarantined', 'rejected', 'results']
+      ),
+    },
+  },
+  'DELETE /metrics': {
+    tag: 'Metrics',
+    summary: 'Soft-delete matching samples; no filter at all is a full reset',
+    query: object({ ...range, deviceId: id }),
+    body: closed({ ids: list(id, { minItems: 1, maxItems: MAX_DELETE_IDS }) }),
+    responses: {
+      200: object(
+        { message: oneOf(['deleted', 'cleared']), deleted: integer, deletion: ref('Deletion'), snapshot: orNull(ref('Snapshot')) },
+        ['message', 'deleted', 'deletion', 'snapshot']
+      ),
+    },
+  },
+  'GET /metrics/trash': {
+    tag: 'Metrics',
+    summary: 'Restorable deletions and reset snapshots',
+    responses: {
+      200: object({ retentionDays: integer, data: list(ref('Deletion')), snapshots: list(ref('Snapshot')) }, [
+        'retentionDays',
+        'data',
+        'snapshots',
+      ]),
+    },
+  },
+  'POST /metrics/restore': {
+    tag: 'Metrics',
+    summary: 'Undo a delete: exactly one of deletionId, ids or snapshotId',
+    body: closed({ deletionId: id, ids: list(id, { minItems: 1 }), snapshotId: id }),
+    errors: [404],
+    responses: { 200: object({ restored: integer, rollups: integer, conflicts: list(string) }, ['restored', 'conflicts']) },
+  },
+  'GET /activity': {
+    tag: 'History',
+    summary: 'Intraday buckets for one local day',
+    query: object({ bucket: oneOf(Object.keys(BUCKET_SIZES)), date, deviceId: id }),
+    responses: {
+      200: object(
+        {
+          date,
+          timeZone: string,
+          bucket: string,
+          totals: object({ steps: number, distance: number, calories: number }),
+          buckets: list(ref('Bucket')),
+        },
+        ['date', 'timeZone', 'bucket', 'totals', 'buckets']
+      ),
+    },
+  },
+  'GET /history': {
+    tag: 'History',
+    summary: 'Totals and goal attainment per day, week or month',
+    query: object({ granularity: oneOf(GRANULARITIES), ...range }),
+    responses: {
+      200: object({ from: date, to: date, granularity: string, timeZone: string, data: list(ref('HistoryPeriod')) }, [
+        'from',
+        'to',
+        'data',
+      ]),
+    },
+  },
+  'GET /days': {
+    tag: 'History',
+    summary: 'One entry per local day, a year ending today by default',
+    query: object(range),
+    responses: { 200: object({ from: date, to: date, timeZone: string, data: list(ref('CalendarDay')) }, ['from', 'to', 'data']) },
+  },
+  'GET /days/:date': {
+    tag: 'History',
+    summary: "One day's totals, buckets, samples and workouts",
+    params: object({ date }),
+    query: object({ bucket: oneOf(Object.keys(BUCKET_SIZES)) }),
+    responses: {
+      200: object(
+        {
+          ...COMPONENTS.CalendarDay.properties,
+          timeZone: string,
+          bucket: string,
+          exemption: orNull(ref('Exemption')),
+          compacted: boolean,
+          buckets: list(ref('Bucket')),
+          samples: list(ref('SampleRecord')),
+          activities: list(ref('Activity')),
+        },
+        ['date', 'buckets', 'samples', 'activities', 'compacted']
+      ),
+    },
+  },
+  'GET /reports/:kind': {
+    tag: 'Reports',
+    summary: 'Progress report for an ISO week or a calendar month, the last finished one by default',
+    params: object({ kind: oneOf(Object.keys(REPORT_KINDS)) }),
+    query: object({
+      week: { type: 'string', format: 'iso-week', description: 'weekly only' },
+      month: { type: 'string', format: 'month', description: 'monthly only' },
+      format: oneOf(REPORT_FORMATS),
+    }),
+    responses: { 200: { json: ref('Report'), [TEXT]: ['text/markdown', 'text/html'] } },
+  },
+  'GET /challenges': {
+    tag: 'Challenges',
+    summary: "The caller's challenges with standings",
+    responses: { 200: object({ data: list(ref('Challenge')) }, ['data']) },
+  },
+  'POST /challenges': {
+    tag: 'Challenges',
+    summary: 'Start a challenge',
+    body: closed(
+      {
+        name: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+        metric: oneOf(CHALLENGE_METRICS),
+        type: oneOf(CHALLENGE_TYPES),
+        from: date,
+        to: date,
+        target: { type: ['number', 'null'], exclusiveMinimum: 0, description: 'Daily target; metres for distance' },
+        deviceIds: orNull(deviceIds),
+      },
+      ['name', 'metric', 'type', 'from', 'to']
+    ),
+    responses: { 201: ref('Challenge') },
+  },
+  'POST /challenges/join': {
+    tag: 'Challenges',
+    summary: 'Join with an invite code; without deviceIds every device counts',
+    body: closed({ code: id, deviceIds: orNull(deviceIds) }, ['code']),
+    errors: [404, 409],
+    responses: { 200: ref('Challenge') },
+  },
+  'GET /challenges/:id': {
+    tag: 'Challenges',
+    summary: 'One challenge',
+    errors: [404],
+    responses: { 200: ref('Challenge') },
+  },
+  'POST /challenges/:id/leave': {
+    tag: 'Challenges',
+    summary: 'Leave a challenge (not its owner)',
+    errors: [400, 404],
+    responses: { 200: message },
+  },
+  'DELETE /challenges/:id': {
+    tag: 'Challenges',
+    summary: 'Delete a challenge (owner only)',
+    errors: [403, 404],
+    responses: { 200: message },
+  },
+  'GET /goals': {
+    tag: 'Goals',
+    summary: 'The goal summary',
+    responses: { 200: ref('Summary') },
+  },
+  'GET /goals/history': {
+    tag: 'Goals',
+    summary: 'Every goal version',
+    responses: { 200: object({ defaults: ref('Goals'), data: list(ref('GoalVersion')) }, ['defaults', 'data']) },
+  },
+  'PUT /goals': {
+    tag: 'Goals',
+    summary: 'Append a goal version, effective from today by default',
+    body: object(
+      {
+        steps: { type: 'number', exclusiveMinimum: 0 },
+        calories: { type: 'number', exclusiveMinimum: 0 },
+        effectiveFrom: date,
+        schedule: orNull(ref('Schedule')),
+        baseVersion: {
+          type: ['string', 'null'],
+          description: 'The goalVersion the edit was made on; a newer one answers 409 with the current summary',
+        },
+      },
+      ['steps', 'calories']
+    ),
+    errors: [409],
+    responses: { 200: ref('Summary') },
+  },
+  'GET /exemptions': {
+    tag: 'Goals',
+    summary: 'Rest days and other exempt days',
+    query: object(range),
+    responses: { 200: object({ data: list(ref('Exemption')) }, ['data']) },
+  },
+  'POST /exemptions': {
+    tag: 'Goals',
+    summary: 'Exempt a date, or a from/to range, from goals',
+    body: closed({
+      date,
+      ...range,
+      kind: oneOf(EXEMPTION_KINDS),
+      note: { type: 'string', maxLength: MAX_EXEMPTION_NOTE_LENGTH },
+    }),
+    responses: { 201: object({ data: list(ref('Exemption')), summary: ref('Summary') }, ['data', 'summary']) },
+  },
+  'DELETE /exemptions/:id': {
+    tag: 'Goals',
+    summary: 'Remove an exemption',
+    errors: [404],
+    responses: { 200: object({ message: string, summary: ref('Summary') }, ['message', 'summary']) },
+  },
+  'GET /activities': {
+    tag: 'Workouts',
+    summary: 'Logged workouts, by the local day they started on',
+    query: object(range),
+    responses: { 200: object({ data: list(ref('Activity')) }, ['data']) },
+  },
+  'POST /activities': {
+    tag: 'Workouts',
+    summary: 'Log a workout',
+    body: ref('ActivityInput'),
+    responses: { 201: ref('Activity') },
+  },
+  'GET /activities/:id': {
+    tag: 'Workouts',
+    summary: 'One workout',
+    errors: [404],
+    responses: { 200: ref('Activity') },
+  },
+  'PUT /activities/:id': {
+    tag: 'Workouts',
+    summary: 'Edit a workout; fields left out keep their value',
+    body: ref('ActivityPatch'),
+    errors: [404],
+    responses: { 200: ref('Activity') },
+  },
+  'DELETE /activities/:id': {
+    tag: 'Workouts',
+    summary: 'Remove a workout',
+    errors: [404],
+    responses: { 200: message },
+  },
+  'GET /achievements': {
+    tag: 'Goals',
+    summary: 'The badge catalog',
+    responses: { 200: object({ unlocked: integer, total: integer, data: list(ref('Achievement')) }, ['unlocked', 'total', 'data']) },
+  },
+  'GET /summary': {
+    tag: 'Goals',
+    summary: 'Compact goal summary plus insights and predictions',
+    responses: { 200: ref('Summary') },
+  },
+  'GET /insights': {
+    tag: 'Goals',
+    summary: 'Rolling averages, compliance and best day',
+    responses: { 200: ref('Insights') },
+  },
+  'GET /predictions': {
+    tag: 'Goals',
+    summary: "Tomorrow's forecasts and today's projection",
+    responses: { 200: ref('Predictions') },
+  },
+  'GET /devices': {
+    tag: 'Devices',
+    summary: 'Device registry',
+    responses: { 200: object({ data: list(ref('Device')) }, ['data']) },
+  },
+  'PUT /devices/:deviceId': {
+    tag: 'Devices',
+    summary: 'Rename a device; null clears the name',
+    body: closed({ name: { type: ['string', 'null'], maxLength: MAX_DEVICE_NAME_LENGTH } }, ['name']),
+    errors: [404],
+    responses: { 200: ref('Device') },
+  },
+  'POST /devices/:deviceId/merge': {
+    tag: 'Devices',
+    summary: "Fold a device's history into another",
+    body: closed({ into: id }, ['into']),
+    errors: [404],
+    responses: {
+      200: object({ moved: integer, dropped: integer, device: orNull(ref('Device')) }, ['device']),
+    },
+  },
+  'DELETE /devices/:deviceId': {
+    tag: 'Devices',
+    summary: "Delete a device and move its samples to the trash",
+    errors: [404],
+    responses: {
+      200: object({ message: string, samples: integer, quarantined: integer, deletion: ref('Deletion') }, [
+        'message',
+        'samples',
+        'deletion',
+      ]),
+    },
+  },
+  'GET /quarantine': {
+    tag: 'Devices',
+    summary: 'Implausible uploads held out of the metrics',
+    responses: { 200: object({ data: list(ref('QuarantineEntry')) }, ['data']) },
+  },
+  'POST /quarantine/:id/approve': {
+    tag: 'Devices',
+    summary: 'Admit a quarantined sample',
+    errors: [404],
+    responses: { 200: object({ message: string, status: string, id }, ['message', 'status', 'id']) },
+  },
+  'DELETE /quarantine/:id': {
+    tag: 'Devices',
+    summary: 'Discard a quarantined sample',
+    errors: [404],
+    responses: { 200: message },
+  },
+  'GET /export': {
+    tag: 'Transfer',
+    summary: 'Download samples and daily rollups as JSON, or one of them as CSV',
+    query: object({ format: oneOf(EXPORT_FORMATS), dataset: oneOf(EXPORT_DATASETS), ...range }),
+    responses: {
+      200: {
+        json: object(
+          {
+            exportedAt: dateTime,
+            timeZone: string,
+            from: date,
+            to: date,
+            samples: list(ref('SampleRecord')),
+            activities: list(ref('Activity')),
+            daily: list(object({ date }, ['date'])),
+          },
+          ['exportedAt', 'from', 'to', 'samples', 'activities', 'daily']
+        ),
+        [TEXT]: ['text/csv'],
+      },
+    },
+  },
+  'POST /import': {
+    tag: 'Transfer',
+    summary: 'Backfill from a CSV, a JSON export or an Apple Health export.xml',
+    query: object({ format: oneOf(IMPORT_FORMATS), dryRun: boolean, ...range }),
+    body: { type: 'string', minLength: 1 },
+    bodyTypes: ['text/csv', 'application/json', 'application/xml'],
+    errors: [413],
+    responses: {
+      200: object(
+        {
+          dryRun: boolean,
+          format: oneOf(IMPORT_FORMATS),
+          received: integer,
+          added: integer,
+          updated: integer,
+          quarantined: integer,
+          skipped: integer,
+          unchanged: integer,
+          issues: list(ref('ItemResult')),
+        },
+        ['dryRun', 'format', 'received', 'added', 'updated', 'quarantined', 'skipped', 'unchanged', 'issues']
+      ),
+    },
+  },
+};
+
+const jsonSchemaFor = (response) => (response?.[TEXT] ? response.json : response);
+
+const checkPart = (schema, value, path) =>
+  schema ? validate(schema, value, { path, components: COMPONENTS, coerceStrings: path !== 'body' }) : { value, errors: [] };
+
+// For payloads checked piece by piece, like the items of a batch upload.
+export const checkSchema = (name, value, path) => validate(ref(name), value, { path, components: COMPONENTS }).errors;
+
+/*
+ * Checks an operation's path parameters, query, headers and JSON body before its handler runs. Query
+ * and path values are handed on already converted, so `?limit=5` arrives as the number 5.
+ */
+export const validateRequest = (operation) => {
+  const spec = OPERATIONS[operation];
+  if (!spec) {
+    throw new Error(`${operation} is not in the API contract`);
+  }
+  const headers = spec.headers && object(spec.headers);
+  return (req, res, next) => {
+    const params = checkPart(spec.params, req.params, 'params');
+    const query = checkPart(spec.query, req.query, 'query');
+    const sentHeaders = headers
+      ? Object.fromEntries(Object.keys(spec.headers).flatMap((name) => (req.get(name) === undefined ? [] : [[name, req.get(name)]])))
+      : {};
+    const header = checkPart(headers, sentHeaders, 'headers');
+    // Imports are raw text; without a body at all the parsers leave an empty object behind. A streamed
+    // import hasn't been read yet, so its handler checks the body as it goes.
+    const sent = spec.bodyTypes ? (typeof req.body === 'string' ? req.body : '') : req.body;
+    const payload = req.streamsBody ? { errors: [] } : checkPart(spec.body, sent, 'body');
+    const errors = [...params.errors, ...query.errors, ...header.errors, ...payload.errors];
+    if (errors.length) {
+      return sendInvalid(res, errors);
+    }
+    req.params = params.value;
+    req.query = query.value;
+    next();
+  };
+};
+
+/*
+ * With CONTRACT_CHECK=1 every JSON response is checked against the operation's documented schema on its
+ * way out, and mismatches are logged. Run the dashboard or a client against such a server to catch
+ * responses drifting from the contract.
+ */
+export const checkResponses = (operation) => {
+  const spec = OPERATIONS[operation];
+  return (req, res, next) => {
+    const send = res.json.bind(res);
+    res.json = (payload) => {
+      const documented = spec.responses[res.statusCode];
+      const schema = res.statusCode >= 400 ? ref('Error') : jsonSchemaFor(documented);
+      if (res.statusCode < 400 && !documented) {
+        console.warn(`[contract] ${operation} answered ${res.statusCode}, which is not documented`);
+      } else if (schema) {
+        const { errors } = validate(schema, JSON.parse(JSON.stringify(payload)), { path: 'response', components: COMPONENTS });
+        errors.forEach((error) => console.warn(`[contract] ${operation} ${res.statusCode}: ${error.path} ${error.code}`));
+      }
+      return send(payload);
+    };
+    next();
+  };
+};
+
+const toOpenApiPath = (routePath) => routePath.replace(/:(\w+)/g, '{$1}');
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } },
+});
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid input; `errors` lists each problem with its path',
+  401: 'Missing or unknown bearer token',
+  403: 'Not allowed',
+  404: 'Not found',
+  409: 'Conflicts with the current state',
+  413: 'Too large',
+  500: 'The server failed to complete the request',
+};
+
+const successResponse = (status, response) => {
+  const content = response[TEXT]
+    ? Object.fromEntries([
+        ...(response.json ? [['application/json', { schema: response.json }]] : []),
+        ...response[TEXT].map((type) => [type, { schema: { type: 'string' } }]),
+      ])
+    : { 'application/json': { schema: response } };
+  return [status, { description: status === '202' ? 'Accepted' : status === '201' ? 'Created' : 'OK', content }];
+};
+
+const buildOperation = (key, spec) => {
+  const [method, routePath] = key.split(' ');
+  const pathParams = Array.from(routePath.matchAll(/:(\w+)/g), ([, name]) => name);
+  const parameters = [
+    ...pathParams.map((name) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: spec.params?.properties?.[name] ?? { type: 'string' },
+    })),
+    ...Object.entries(spec.query?.properties ?? {}).map(([name, schema]) => ({
+      name,
+      in: 'query',
+      required: spec.query.required?.includes(name) ?? false,
+      schema,
+    })),
+    ...Object.entries(spec.headers ?? {}).map(([name, schema]) => ({ name, in: 'header', required: false, schema })),
+  ];
+  const { body } = spec;
+  const errors = [
+    ...(spec.body || spec.query || spec.params || spec.headers ? [400] : []),
+    ...(spec.auth === false ? [] : spec.auth === 'admin' ? [403] : [401]),
+    ...(spec.errors ?? []),
+    500,
+  ];
+  return [
+    method.toLowerCase(),
+    {
+      operationId: `${method.toLowerCase()}${routePath.replace(/[/:{}.-](\w)?/g, (_match, letter = '') => letter.toUpperCase())}`,
+      summary: spec.summary,
+      tags: [spec.tag],
+      ...(spec.auth === false ? { security: [] } : {}),
+      ...(parameters.length ? { parameters } : {}),
+      ...(body
+        ? {
+            requestBody: {
+              required: true,
+              content: Object.fromEntries((spec.bodyTypes ?? ['application/json']).map((type) => [type, { schema: body }])),
+            },
+          }
+        : {}),
+      responses: Object.fromEntries([
+        ...Object.entries(spec.responses).map(([status, response]) => successResponse(status, response)),
+        ...errors.map((status) => [String(status), errorResponse(ERROR_DESCRIPTIONS[status])]),
+      ]),
+    },
+  ];
+};
+
+// OpenAPI 3.1, whose schemas are plain JSON Schema, so the ones above go in as they are.
+export const buildOpenApi = () => {
+  const paths = {};
+  Object.entries(OPERATIONS).forEach(([key, spec]) => {
+    const routePath = toOpenApiPath(key.split(' ')[1]);
+    const [method, operation] = buildOperation(key, spec);
+    paths[routePath] = { ...paths[routePath], [method]: operation };
+  });
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Step & Calorie Counter API',
+      version: DOCUMENT_VERSION,
+      description:
+        `Served under /api/${API_VERSION}; the unversioned /api paths are aliases of this version. ` +
+        'Errors share one shape (see Error).',
+    },
+    servers: [{ url: `/api/${API_VERSION}` }],
+    security: [{ bearer: [] }],
+    components: {
+      securitySchemes: { bearer: { type: 'http', scheme: 'bearer' } },
+      schemas: COMPONENTS,
+    },
+    paths,
+  };
+};
@@ -0,0 +1,316 @@
+import { mkdir, stat, writeFile } from 'fs/promises';
+import path from 'path';
+import { linearForecast } from './forecast.js';
+import { buildCalendar, buildHistory, daysBetween, periodFor } from './history.js';
+import { shiftDateKey } from './time.js';
+
+// Report kind → the history granularity its periods follow (ISO weeks from Monday, calendar months).
+export const REPORT_KINDS = { weekly: 'week', monthly: 'month' };
+export const REPORT_FORMATS = ['markdown', 'html', 'json'];
+
+// How many periods, ending with the reported one, the next-period trend is fitted over.
+const FORECAST_PERIODS = { weekly: 8, monthly: 6 };
+const SWEEP_MS = Number(process.env.REPORTS_SWEEP_MS) || 60 * 60 * 1000;
+
+let store = null;
+let dir = null;
+let build = null;
+let todayFor = null;
+
+// `build(user, kind, period)` assembles one account's report and `todayFor(user)` gives its local date.
+export const initReports = (nextStore, options) => {
+  store = nextStore;
+  dir = options.dir;
+  build = options.build;
+  todayFor = options.todayFor;
+};
+
+const WEEK_KEY = /^(\d{4})-W(\d{2})$/;
+const MONTH_KEY = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Parses `YYYY-Www` / `YYYY-MM`; without a key, the last period that has fully ended by `today`.
+export const reportPeriod = (kind, key, today) => {
+  const granularity = REPORT_KINDS[kind];
+  if (!key) {
+    return periodFor(shiftDateKey(periodFor(today, granularity).start, -1), granularity);
+  }
+  if (kind === 'monthly') {
+    return MONTH_KEY.test(key) ? periodFor(`${key}-01`, granularity) : null;
+  }
+  const match = WEEK_KEY.exec(key);
+  if (!match) {
+    return null;
+  }
+  // ISO week 1 is the one holding 4 January.
+  const january4 = new Date(Date.UTC(Number(match[1]), 0, 4));
+  const monday = new Date(january4.valueOf() - ((january4.getUTCDay() || 7) - 1) * 86400000);
+  const period = periodFor(shiftDateKey(monday.toISOString().split('T')[0], (Number(match[2]) - 1) * 7), granularity);
+  return period.label === key ? period : null;
+};
+
+const previousPeriod = (period, granularity) => periodFor(shiftDateKey(period.start, -1), granularity);
+
+const relativeChange = (current, previous) => (previous ? (current - previous) / previous : null);
+
+const dayEntry = (day) =>
+  day && { date: day.date, steps: day.steps, calories: day.calories, distance: day.distance, goalMet: day.goalMet };
+
+/*
+ * Totals against goals, compliance, streak movement, best and worst days, the change from the previous
+ * period and a trend forecast for the next one. `insights(range)` and `streak(date)` are the summary's
+ * own calculations, so a report agrees with what the dashboard showed at the time.
+ */
+export const buildReport = ({ kind, period, today, timeZone, dailyTotals, activeMinutes, plan, insights, streak }) => {
+  const granularity = REPORT_KINDS[kind];
+  let first = period;
+  for (let index = 1; index < FORECAST_PERIODS[kind]; index += 1) {
+    first = previousPeriod(first, granularity);
+  }
+  const periods = buildHistory({ dailyTotals, activeMinutes, plan, from: first.start, to: period.end, granularity });
+  const current = periods[periods.length - 1];
+  const previous = periods[periods.length - 2];
+
+  // An unfinished period is reported up to today; today itself can't be its worst day yet.
+  const lastDay = period.end < today ? period.end : today;
+  const days = period.start <= lastDay ? buildCalendar({ dailyTotals, activeMinutes, plan, from: period.start, to: lastDay }) : [];
+  const tracked = days.filter((day) => day.samples || day.activities);
+  const best = tracked.reduce((top, day) => (!top || day.steps > top.steps ? day : top), null);
+  const worst = days
+    .filter((day) => !day.exempt && day.date < today)
+    .reduce((low, day) => (!low || day.steps < low.steps ? day : low), null);
+  const { averageSteps7d, averageCalories7d, goalComplianceRate } = insights({ from: period.start, to: lastDay });
+
+  // Per-day rates keep months of different lengths comparable; periods before any data would drag the trend down.
+  const firstActive = periods.findIndex((entry) => entry.activeDays > 0);
+  const basis = firstActive >= 0 ? periods.slice(firstActive) : [];
+  const next = periodFor(shiftDateKey(period.end, 1), granularity);
+  const nextDays = daysBetween(next.start, next.end);
+  const [nextGoals] = buildHistory({
+    dailyTotals: new Map(),
+    activeMinutes: new Map(),
+    plan,
+    from: next.start,
+    to: next.end,
+    granularity,
+  });
+  const forecast = (metric) => linearForecast(basis.map((entry) => entry[metric] / entry.days)) * nextDays;
+
+  const streakBefore = streak(shiftDateKey(period.start, -1));
+  const streakAfter = streak(lastDay);
+
+  return {
+    kind,
+    period: { key: period.label, start: period.start, end: period.end, days: current.days },
+    complete: period.end < today,
+    timeZone,
+    generatedAt: new Date().toISOString(),
+    totals: {
+      steps: current.steps,
+      calories: current.calories,
+      distance: current.distance,
+      activeMinutes: current.activeMinutes,
+    },
+    goals: { steps: current.stepGoal, calories: current.calorieGoal, met: current.goalMet },
+    goalDays: current.goalDays,
+    judgedDays: days.filter((day) => !day.exempt).length,
+    exemptDays: current.exemptDays,
+    trackedDays: tracked.length,
+    complianceRate: goalComplianceRate,
+    averages: { steps: averageSteps7d, calories: averageCalories7d },
+    streak: { start: streakBefore, end: streakAfter, change: streakAfter - streakBefore },
+    bestDay: dayEntry(best),
+    worstDay: dayEntry(worst),
+    previous: previous
+      ? {
+          key: previous.period,
+          steps: previous.steps,
+          calories: previous.calories,
+          distance: previous.distance,
+          activeMinutes: previous.activeMinutes,
+          goalDays: previous.goalDays,
+        }
+      : null,
+    change: previous
+      ? {
+          steps: relativeChange(current.steps, previous.steps),
+          calories: relativeChange(current.calories, previous.calories),
+          distance: relativeChange(current.distance, previous.distance),
+          activeMinutes: relativeChange(current.activeMinutes, previous.activeMinutes),
+        }
+      : null,
+    forecast: {
+      key: next.label,
+      start: next.start,
+      end: next.end,
+      steps: Math.round(forecast('steps')),
+      calories: Math.round(forecast('calories')),
+      stepGoal: nextGoals.stepGoal,
+      calorieGoal: nextGoals.calorieGoal,
+      basisPeriods: basis.length,
+    },
+  };
+};
+
+const number = (value, digits = 0) =>
+  new Intl.NumberFormat('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+
+const percent = (value) => (value === null || value === undefined ? '–' : `${Math.round(value * 100)}%`);
+
+const signedPercent = (value) => (value === null ? 'n/a' : `${value >= 0 ? '+' : '−'}${Math.round(Math.abs(value) * 100)}%`);
+
+const dateLabel = (key, options = { weekday: 'short', month: 'short', day: 'numeric' }) =>
+  new Date(`${key}T00:00:00Z`).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+
+const title = (report) => `${report.kind === 'weekly' ? 'Weekly' : 'Monthly'} report · ${report.period.key}`;
+
+const subtitle = (report) =>
+  `${dateLabel(report.period.start, { month: 'short', day: 'numeric', year: 'numeric' })} – ${dateLabel(report.period.end, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  })} · ${report.timeZone}${report.complete ? '' : ' · in progress'}`;
+
+const dayLine = (label, day) =>
+  day
+    ? `${label}: ${dateLabel(day.date)} – ${number(day.steps)} steps, ${number(day.calories, 1)} kcal${day.goalMet ? ' (goal met)' : ''}`
+    : `${label}: –`;
+
+// Both formats render the same lines; Markdown and HTML only differ in markup.
+const reportSections = (report) => ({
+  totals: [
+    ['Steps', number(report.totals.steps), number(report.goals.steps), percent(report.goals.steps ? report.totals.steps / report.goals.steps : null)],
+    [
+      'Calories (kcal)',
+      number(report.totals.calories, 1),
+      number(report.goals.calories, 1),
+      percent(report.goals.calories ? report.totals.calories / report.goals.calories : null),
+    ],
+    ['Distance (km)', number(report.totals.distance / 1000, 1), '–', '–'],
+    ['Active minutes', number(report.totals.activeMinutes), '–', '–'],
+  ],
+  highlights: [
+    `Goals met on ${report.goalDays} of ${report.judgedDays} days${report.exemptDays ? `, ${report.exemptDays} rest day${report.exemptDays === 1 ? '' : 's'}` : ''}`,
+    `Compliance: ${percent(report.complianceRate)} of tracked days`,
+    `Average per tracked day: ${number(report.averages.steps)} steps, ${number(report.averages.calories)} kcal`,
+    `Streak: ${report.streak.start} → ${report.streak.end} days (${report.streak.change >= 0 ? '+' : '−'}${Math.abs(report.streak.change)})`,
+    dayLine('Best day', report.bestDay),
+    dayLine('Worst day', report.worstDay),
+  ],
+  previous: report.previous
+    ? [
+        `Steps: ${signedPercent(report.change.steps)} (${number(report.previous.steps)} → ${number(report.totals.steps)})`,
+        `Calories: ${signedPercent(report.change.calories)} (${number(report.previous.calories, 1)} → ${number(report.totals.calories, 1)})`,
+        `Distance: ${signedPercent(report.change.distance)} (${number(report.previous.distance / 1000, 1)} → ${number(report.totals.distance / 1000, 1)} km)`,
+        `Active minutes: ${signedPercent(report.change.activeMinutes)} (${number(report.previous.activeMinutes)} → ${number(report.totals.activeMinutes)})`,
+        `Goal days: ${report.previous.goalDays} → ${report.goalDays}`,
+      ]
+    : [],
+  forecast: report.forecast.basisPeriods
+    ? [
+        `Steps: about ${number(report.forecast.steps)} (goal ${number(report.forecast.stepGoal)})`,
+        `Calories: about ${number(report.forecast.calories)} kcal (goal ${number(report.forecast.calorieGoal, 1)})`,
+        `Trend fitted over ${report.forecast.basisPeriods} ${report.kind === 'weekly' ? 'week' : 'month'}${report.forecast.basisPeriods === 1 ? '' : 's'}`,
+      ]
+    : ['Not enough history yet'],
+});
+
+export const renderMarkdown = (report) => {
+  const sections = reportSections(report);
+  return [
+    `# ${title(report)}`,
+    '',
+    `_${subtitle(report)}_`,
+    '',
+    '| | Total | Goal | Progress |',
+    '| --- | ---: | ---: | ---: |',
+    ...sections.totals.map((row) => `| ${row.join(' | ')} |`),
+    '',
+    ...sections.highlights.map((line) => `- ${line}`),
+    '',
+    ...(report.previous ? [`## Compared with ${report.previous.key}`, '', ...sections.previous.map((line) => `- ${line}`), ''] : []),
+    `## Forecast for ${report.forecast.key}`,
+    '',
+    ...sections.forecast.map((line) => `- ${line}`),
+    '',
+  ].join('\n');
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+const list = (lines) => `<ul>${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`;
+
+export const renderHtml = (report) => {
+  const sections = reportSections(report);
+  const rows = sections.totals
+    .map(([label, ...cells]) => `<tr><th>${escapeHtml(label)}</th>${cells.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+    .join('');
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHtml(title(report))}</title>
+    <style>
+      body { font-family: system-ui, sans-serif; max-width: 42rem; margin: 2rem auto; padding: 0 1rem; color: #1f2933; }
+      table { border-collapse: collapse; width: 100%; }
+      th, td { padding: 0.4rem 0.6rem; border-bottom: 1px solid #e4e7eb; text-align: right; }
+      th:first-child { text-align: left; }
+      .subtitle { color: #616e7c; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(title(report))}</h1>
+    <p class="subtitle">${escapeHtml(subtitle(report))}</p>
+    <table>
+      <thead><tr><th></th><th>Total</th><th>Goal</th><th>Progress</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${list(sections.highlights)}
+    ${report.previous ? `<h2>Compared with ${escapeHtml(report.previous.key)}</h2>${list(sections.previous)}` : ''}
+    <h2>Forecast for ${escapeHtml(report.forecast.key)}</h2>
+    ${list(sections.forecast)}
+  </body>
+</html>
+`;
+};
+
+const exists = (file) =>
+  stat(file).then(
+    () => true,
+    () => false
+  );
+
+/*
+ * Writes the last finished week's and month's reports, as Markdown and HTML, for every account that
+ * opted in through `settings.reports`. A period whose files already exist is left alone, so the sweep
+ * can run as often as it likes and picks up where it left off after a restart.
+ */
+export const runReports = async () => {
+  const written = [];
+  for (const user of store.list('users')) {
+    const kinds = (user.settings?.reports ?? []).filter((kind) => REPORT_KINDS[kind]);
+    for (const kind of kinds) {
+      const period = reportPeriod(kind, null, todayFor(user));
+      const base = path.join(dir, user.id, `${kind}-${period.label}`);
+      if (await exists(`${base}.md`)) {
+        continue;
+      }
+      const report = build(user, kind, period);
+      await mkdir(path.dirname(base), { recursive: true });
+      await writeFile(`${base}.html`, renderHtml(report));
+      await writeFile(`${base}.md`, renderMarkdown(report));
+      written.push(`${base}.md`);
+    }
+  }
+  return written;
+};
+
+export const startReportWorker = () => {
+  const sweep = () =>
+    runReports()
+      .then((written) => written.forEach((file) => console.log(`[reports] Wrote ${file}`)))
+      .catch((error) => console.error('[reports] Sweep failed', error));
+  sweep();
+  const timer = setInterval(sweep, SWEEP_MS);
+  timer.unref?.();
+};
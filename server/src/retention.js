@@ -0,0 +1,236 @@
+import { randomUUID } from 'crypto';
+import { deriveIntervals, intervalDateKey } from './activity.js';
+import { shiftDateKey, todayKey } from './time.js';
+
+export const RETENTION_DAYS = Number(process.env.RETENTION_DAYS) || 90;
+const SWEEP_MS = Number(process.env.RETENTION_SWEEP_MS) || 6 * 60 * 60 * 1000;
+
+let store = null;
+let dayOf = null;
+let timeZoneFor = null;
+let lastRun = null;
+let queue = Promise.resolve();
+
+const deviceKey = (userId, deviceId) => `${userId}|${deviceId}`;
+
+export const rollupKey = (rollup) => [rollup.userId, rollup.deviceId, rollup.date].join('|');
+
+// `dayOf(item, timeZone)` is the local date a sample counts towards; `timeZoneFor(user, list)` the account's zone.
+export const initRetention = (nextStore, options) => {
+  store = nextStore;
+  dayOf = options.dayOf;
+  timeZoneFor = options.timeZoneFor;
+  store.defineIndex('rollups', 'user', (rollup) => rollup.userId);
+  store.defineIndex('rollups', 'device', (rollup) => deviceKey(rollup.userId, rollup.deviceId));
+  store.defineIndex('rollups', 'key', (rollup) => rollupKey(rollup));
+};
+
+/*
+ * One rollup per device and local day stands in for the samples folded into it: the device's latest
+ * reading that day and how many samples there were, plus the increments derived from them as
+ * [start, end, steps, distance, calories, estimatedCalories], which daily totals, charts, merge policies
+ * and active minutes are built from. Increments are filed under their sample's day, so a rollup's
+ * totals, its sample count and `isCompactedDay` all agree on which day it is.
+ */
+export const listRollups = (userId, deviceId = null) =>
+  deviceId ? store.lookup('rollups', 'device', deviceKey(userId, deviceId)) : store.lookup('rollups', 'user', userId);
+
+export const rollupIntervals = (rollup, { estimated = false } = {}) =>
+  rollup.intervals.map(([start, end, steps, distance, calories, estimatedCalories]) => ({
+    deviceId: rollup.deviceId,
+    date: rollup.date,
+    start,
+    end,
+    steps,
+    distance,
+    calories: estimated ? estimatedCalories : calories,
+  }));
+
+export const isCompactedDay = (userId, deviceId, date) =>
+  Boolean(store.lookupOne('rollups', 'key', rollupKey({ userId, deviceId, date })));
+
+// The rollups a delete filtered like DELETE /api/metrics takes along.
+export const selectRollups = (userId, { from, to, deviceId }) =>
+  listRollups(userId, deviceId).filter((rollup) => (!from || rollup.date >= from) && (!to || rollup.date <= to));
+
+// Folds `addition` into `rollup`, both describing the same device and day.
+export const combineRollups = (rollup, addition) => ({
+  ...rollup,
+  device: rollup.device ?? addition.device,
+  latest: addition.latest && (!rollup.latest || addition.latest.end > rollup.latest.end) ? addition.latest : rollup.latest,
+  samples: rollup.samples + addition.samples,
+  firstReceivedAt: [rollup.firstReceivedAt, addition.firstReceivedAt].filter(Boolean).sort()[0] ?? null,
+  lastReceivedAt: [rollup.lastReceivedAt, addition.lastReceivedAt].filter(Boolean).sort().pop() ?? null,
+  intervals: [...rollup.intervals, ...addition.intervals].sort((a, b) => a[0].localeCompare(b[0])),
+});
+
+const withEstimates = (list) =>
+  list.map((item) => ({ ...item, sample: { ...item.sample, calories: item.energy?.calories ?? item.sample.calories } }));
+
+const latestOf = (items) =>
+  items.reduce((latest, item) => (!latest || item.sample.end > latest.sample.end ? item : latest), null);
+
+const sizeOf = (records) => records.reduce((sum, record) => sum + JSON.stringify(record).length, 0);
+
+/*
+ * Folds one user's samples from local days before the cutoff into rollups. A session that carries on
+ * past the cutoff keeps its last folded reading as a raw `anchor`, so the readings after it still have
+ * something to be measured against; the anchor's own increment already lives in a rollup.
+ */
+const planUser = (user, cutoff) => {
+  const list = store.lookup('samples', 'user', user.id);
+  const timeZone = timeZoneFor(user, list);
+  const folded = list.filter((item) => dayOf(item, timeZone) < cutoff);
+  if (!folded.length) {
+    return null;
+  }
+
+  const foldedIds = new Set(folded.map((item) => item.id));
+  const sessions = new Map();
+  list.forEach((item) => {
+    const key = `${item.device.deviceId}|${item.sample.start}`;
+    if (!sessions.has(key)) {
+      sessions.set(key, { folded: [], continues: false });
+    }
+    const session = sessions.get(key);
+    if (foldedIds.has(item.id)) {
+      session.folded.push(item);
+    } else {
+      session.continues = true;
+    }
+  });
+  const anchors = Array.from(sessions.values())
+    .filter((session) => session.continues && session.folded.length)
+    .map((session) => latestOf(session.folded));
+  const anchorIds = new Set(anchors.map((item) => item.id));
+  const removed = folded.filter((item) => !anchorIds.has(item.id));
+
+  // Increments of an earlier anchor were folded in the run that made it one.
+  const fresh = (intervals) => intervals.filter((interval) => !store.get('samples', interval.sampleId)?.anchor);
+  const estimates = new Map(
+    fresh(deriveIntervals(withEstimates(folded))).map((interval) => [interval.sampleId, interval.calories])
+  );
+
+  const additions = new Map();
+  const additionFor = (deviceId, date) => {
+    const key = rollupKey({ userId: user.id, deviceId, date });
+    if (!additions.has(key)) {
+      additions.set(key, {
+        userId: user.id,
+        deviceId,
+        date,
+        device: null,
+        latest: null,
+        samples: 0,
+        firstReceivedAt: null,
+        lastReceivedAt: null,
+        intervals: [],
+      });
+    }
+    return additions.get(key);
+  };
+
+  removed.forEach((item) => {
+    const addition = additionFor(item.device.deviceId, dayOf(item, timeZone));
+    Object.assign(
+      addition,
+      combineRollups(addition, {
+        device: { model: item.device.model, osVersion: item.device.osVersion, timeZone: item.device.timeZone },
+        latest: {
+          end: item.sample.end,
+          steps: item.sample.steps,
+          distance: item.sample.distance,
+          calories: item.sample.calories,
+          estimatedCalories: item.energy?.calories ?? item.sample.calories,
+        },
+        samples: 1,
+        firstReceivedAt: item.receivedAt,
+        lastReceivedAt: item.receivedAt,
+        intervals: [],
+      })
+    );
+  });
+  fresh(deriveIntervals(folded)).forEach((interval) => {
+    additionFor(interval.deviceId, intervalDateKey(interval, timeZone)).intervals.push([
+      interval.start,
+      interval.end,
+      interval.steps,
+      interval.distance,
+      interval.calories,
+      estimates.get(interval.sampleId) ?? interval.calories,
+    ]);
+  });
+
+  const replaced = [];
+  const written = Array.from(additions.entries()).map(([key, addition]) => {
+    const current = store.lookupOne('rollups', 'key', key);
+    if (current) {
+      replaced.push(current);
+      return combineRollups(current, addition);
+    }
+    return { id: randomUUID(), ...addition, intervals: addition.intervals.sort((a, b) => a[0].localeCompare(b[0])) };
+  });
+  const marked = anchors.filter((item) => !item.anchor).map((item) => ({ ...item, anchor: true }));
+
+  return {
+    ops: [
+      ...removed.map((item) => ({ op: 'del', c: 'samples', id: item.id })),
+      ...marked.map((item) => ({ op: 'put', c: 'samples', r: item })),
+      ...written.map((rollup) => ({ op: 'put', c: 'rollups', r: rollup })),
+    ],
+    report: {
+      samplesFolded: removed.length,
+      anchors: anchors.length,
+      rollupsWritten: written.length,
+      recordsReclaimed: removed.length - (written.length - replaced.length),
+      bytesReclaimed: sizeOf(removed) + sizeOf(replaced) - sizeOf(written),
+    },
+  };
+};
+
+/*
+ * Folds samples older than `days` local days into rollups for every account, then compacts the
+ * store's log. With `dryRun` nothing is written and the report says what would be reclaimed.
+ */
+const sweep = async ({ days = RETENTION_DAYS, dryRun = false } = {}) => {
+  const startedAt = new Date().toISOString();
+  const totals = { users: 0, samplesFolded: 0, anchors: 0, rollupsWritten: 0, recordsReclaimed: 0, bytesReclaimed: 0 };
+  for (const user of store.list('users')) {
+    const list = store.lookup('samples', 'user', user.id);
+    const cutoff = shiftDateKey(todayKey(timeZoneFor(user, list)), -days);
+    // Planning and queueing the write happen in one tick, so no upload can land in between.
+    const plan = planUser(user, cutoff);
+    if (!plan) {
+      continue;
+    }
+    if (!dryRun) {
+      await store.batch(plan.ops);
+    }
+    totals.users += 1;
+    Object.keys(plan.report).forEach((key) => {
+      totals[key] += plan.report[key];
+    });
+  }
+  const storage = dryRun || !totals.samplesFolded ? null : await store.compact();
+  const report = { retentionDays: days, dryRun, startedAt, finishedAt: new Date().toISOString(), ...totals, storage };
+  if (!dryRun) {
+    lastRun = report;
+  }
+  return report;
+};
+
+// Runs queue behind each other, so the scheduled sweep and an admin request never compact the log at once.
+export const runRetention = (options) => {
+  const run = queue.then(() => sweep(options));
+  queue = run.catch(() => {});
+  return run;
+};
+
+export const retentionStatus = () => ({ retentionDays: RETENTION_DAYS, sweepMs: SWEEP_MS, lastRun });
+
+export const startRetentionWorker = () => {
+  const scheduled = () => runRetention().catch((error) => console.error('[retention] Sweep failed', error));
+  scheduled();
+  const timer = setInterval(scheduled, SWEEP_MS);
+  timer.unref?.();
+};
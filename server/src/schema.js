@@ -0,0 +1,197 @@
+import { isDateKey, isValidTimeZone } from './time.js';
+
+/*
+ * A small JSON Schema subset, enough for the API contract in openapi.js: type (including 'integer' and
+ * 'null'), enum, properties/required/additionalProperties, items/minItems/maxItems, minimum/maximum/
+ * exclusiveMinimum, minLength/maxLength, format, anyOf and local $refs into the contract's components.
+ */
+
+const FORMATS = {
+  date: { check: isDateKey, label: 'formatted YYYY-MM-DD' },
+  'date-time': {
+    check: (value) => !Number.isNaN(Date.parse(value)) && (!/^\d{4}-\d{2}-\d{2}/.test(value) || isDateKey(value.slice(0, 10))),
+    label: 'an ISO 8601 timestamp',
+  },
+  'time-zone': { check: isValidTimeZone, label: 'an IANA zone name such as America/New_York' },
+  uri: {
+    check: (value) => {
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch (error) {
+        return false;
+      }
+    },
+    label: 'an http(s) URL',
+  },
+  'iso-week': { check: (value) => /^\d{4}-W\d{2}$/.test(value), label: 'formatted YYYY-Www (ISO week)' },
+  month: { check: (value) => /^\d{4}-(0[1-9]|1[0-2])$/.test(value), label: 'formatted YYYY-MM' },
+};
+
+const TYPE_LABELS = {
+  object: 'an object',
+  array: 'a list',
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  null: 'null',
+};
+
+const typeOf = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    // NaN never comes from JSON, but a number read out of an import's text can be one.
+    if (!Number.isFinite(value)) {
+      return 'non-finite';
+    }
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  return type === actual || (type === 'number' && actual === 'integer');
+};
+
+const typesOf = (schema) => [schema.type ?? []].flat();
+
+// Query strings and path segments only carry text, so numbers and booleans are read out of it first.
+const coerce = (schema, value) => {
+  const types = typesOf(schema);
+  if (typeof value !== 'string' || types.includes('string')) {
+    return value;
+  }
+  if ((types.includes('number') || types.includes('integer')) && value.trim() && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && ['true', '1', 'false', '0'].includes(value)) {
+    return value === 'true' || value === '1';
+  }
+  return value;
+};
+
+const describeList = (values) =>
+  values.map((value) => (value === null ? 'null' : value)).join(', ');
+
+const childPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`);
+
+// `body.samples[2].steps` reads as `samples[2].steps` in a message; the location stays in `path`.
+const fieldName = (path) => path.replace(/^(body|query|params|headers)\.?/, '') || path;
+
+const resolve = (schema, components) => {
+  if (!schema?.$ref) {
+    return schema;
+  }
+  const name = schema.$ref.replace('#/components/schemas/', '');
+  if (!components?.[name]) {
+    throw new Error(`unknown schema reference ${schema.$ref}`);
+  }
+  return components[name];
+};
+
+/*
+ * Checks `value` against `schema` and returns `{ value, errors }`: the value with query-style coercion
+ * applied when `coerceStrings` is set, and one `{ path, code, message }` per problem found.
+ */
+export const validate = (schema, value, { path = 'body', components, coerceStrings = false } = {}) => {
+  let errors = [];
+  const fail = (at, code, message) => errors.push({ path: at, code, message: `${fieldName(at)} ${message}` });
+
+  // Tries each alternative on its own; when none fits, the one that came closest reports its problems.
+  const walkAny = (alternatives, input, at) => {
+    const outer = errors;
+    const attempts = alternatives.map((alternative) => {
+      errors = [];
+      const value = walk(alternative, input, at);
+      return { value, errors };
+    });
+    errors = outer;
+    const best = attempts.reduce((closest, attempt) => (attempt.errors.length < closest.errors.length ? attempt : closest));
+    errors.push(...best.errors);
+    return best.value;
+  };
+
+  const walk = (rawSchema, input, at) => {
+    const current = resolve(rawSchema, components);
+    if (!current) {
+      return input;
+    }
+    if (current.anyOf) {
+      return walkAny(current.anyOf, input, at);
+    }
+    const value = coerceStrings ? coerce(current, input) : input;
+    const types = typesOf(current);
+    if (types.length && !types.some((type) => matchesType(type, value))) {
+      fail(at, 'type', `must be ${types.map((type) => TYPE_LABELS[type]).join(', or ')}`);
+      return value;
+    }
+    if (current.enum && !current.enum.includes(value)) {
+      fail(at, 'enum', `must be one of ${describeList(current.enum)}`);
+      return value;
+    }
+
+    if (typeof value === 'number') {
+      if (current.minimum !== undefined && value < current.minimum) {
+        fail(at, 'too-small', `must be at least ${current.minimum}`);
+      } else if (current.exclusiveMinimum !== undefined && value <= current.exclusiveMinimum) {
+        fail(at, 'too-small', `must be greater than ${current.exclusiveMinimum}`);
+      } else if (current.maximum !== undefined && value > current.maximum) {
+        fail(at, 'too-large', `must be at most ${current.maximum}`);
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (current.minLength !== undefined && value.length < current.minLength) {
+        fail(at, 'too-short', current.minLength === 1 ? 'must not be empty' : `must be at least ${current.minLength} characters`);
+      } else if (current.maxLength !== undefined && value.length > current.maxLength) {
+        fail(at, 'too-long', `must be at most ${current.maxLength} characters`);
+      } else if (current.format && FORMATS[current.format] && !FORMATS[current.format].check(value)) {
+        fail(at, 'format', `must be ${FORMATS[current.format].label}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (current.minItems !== undefined && value.length < current.minItems) {
+        fail(at, 'too-short', current.minItems === 1 ? 'must not be empty' : `must have at least ${current.minItems} items`);
+      } else if (current.maxItems !== undefined && value.length > current.maxItems) {
+        fail(at, 'too-long', `must have at most ${current.maxItems} items`);
+      }
+      if (current.items) {
+        return value.map((item, index) => walk(current.items, item, childPath(at, index)));
+      }
+      return value;
+    }
+
+    if (typeOf(value) === 'object') {
+      const next = { ...value };
+      (current.required ?? []).forEach((key) => {
+        if (value[key] === undefined) {
+          fail(childPath(at, key), 'required', 'is required');
+        }
+      });
+      Object.keys(value).forEach((key) => {
+        const propertySchema = current.properties?.[key];
+        if (propertySchema) {
+          if (value[key] !== undefined) {
+            next[key] = walk(propertySchema, value[key], childPath(at, key));
+          }
+        } else if (current.additionalProperties === false) {
+          fail(childPath(at, key), 'unknown-field', 'is not a known field');
+        } else if (typeof current.additionalProperties === 'object') {
+          next[key] = walk(current.additionalProperties, value[key], childPath(at, key));
+        }
+      });
+      return next;
+    }
+    return value;
+  };
+
+  const result = walk(schema, value, path);
+  return { value: result, errors };
+};
@@ -1,53 +1,233 @@
 import cors from 'cors';
 import express from 'express';
 import morgan from 'morgan';
-import { readFile, writeFile } from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { randomUUID } from 'crypto';
+import {
+  createUser,
+  initAuth,
+  isAdminRequest,
+  issueToken,
+  listTokens,
+  redactUrl,
+  requireAdmin,
+  requireAuth,
+  requireSignupAccess,
+  revokeToken,
+  updateProfile,
+  updateSettings,
+} from './auth.js';
+import { evaluateAchievements, initAchievements, listAchievements } from './achievements.js';
+import {
+  buildStandings,
+  challengeStatus,
+  createChallenge,
+  getChallenge,
+  initChallenges,
+  joinChallenge,
+  leaveChallenge,
+  listChallenges,
+  removeChallenge,
+  validateChallenge,
+} from './challenges.js';
+import {
+  activityTotals,
+  createActivity,
+  getActivity,
+  initActivities,
+  listActivities,
+  reestimateActivities,
+  removeActivity,
+  updateActivity,
+  validateActivity,
+} from './activities.js';
+import {
+  BUCKET_SIZES,
+  bucketIntervals,
+  deriveIntervals,
+  intervalDateKey,
+  sampleDateKey,
+  sumIntervals,
+} from './activity.js';
+import {
+  DEFAULT_GOALS,
+  EPOCH_DATE,
+  addExemptions,
+  appendGoalVersion,
+  createGoalPlan,
+  createGoalVersion,
+  goalHistory,
+  initGoals,
+  latestGoalVersion,
+  listExemptions,
+  meetsGoals,
+  parseSchedule,
+  removeExemption,
+} from './goals.js';
+import {
+  CALENDAR_LOOKBACK,
+  DEFAULT_LOOKBACK,
+  MAX_RANGE_DAYS,
+  buildActiveMinutes,
+  buildCalendar,
+  buildHistory,
+  daysBetween,
+} from './history.js';
+import {
+  deleteDevice,
+  initDevices,
+  isKnownDevice,
+  listDevices,
+  mergeDevice,
+  renameDevice,
+  resolveDeviceId,
+} from './devices.js';
+import {
+  DEFAULT_CALORIE_SOURCE,
+  ENERGY_MODEL,
+  PROFILE_LIMITS,
+  energyJobFor,
+  initEnergy,
+  recomputeEnergy,
+  startEnergyWorker,
+  withEnergy,
+} from './energy.js';
+import { invalid, notFound, sendError } from './errors.js';
+import { buildForecast } from './forecast.js';
+import { dailyTotalsFromIntervals, mergeIntervals, mergeSettings, roundTotals } from './merge.js';
+import { openEventStream, publish, scheduleEvent, scheduleSummary } from './events.js';
+import {
+  API_VERSION,
+  MAX_IDEMPOTENCY_KEY_LENGTH,
+  OPERATIONS,
+  buildOpenApi,
+  checkResponses,
+  checkSchema,
+  validateRequest,
+} from './openapi.js';
+import { openStore } from './storage/index.js';
+import { migrateGoalVersions, migrateLegacyJson } from './storage/migrate.js';
+import {
+  initRetention,
+  isCompactedDay,
+  listRollups,
+  retentionStatus,
+  rollupIntervals,
+  runRetention,
+  selectRollups,
+  startRetentionWorker,
+} from './retention.js';
+import {
+  REPORT_KINDS,
+  buildReport,
+  initReports,
+  renderHtml,
+  renderMarkdown,
+  reportPeriod,
+  startReportWorker,
+} from './reports.js';
+import {
+  TRASH_RETENTION_DAYS,
+  createSnapshot,
+  initTrash,
+  listDeletions,
+  listSnapshots,
+  restoreSamples,
+  startTrashWorker,
+  trashSamples,
+} from './trash.js';
+import {
+  DAILY_COLUMNS,
+  MAX_IMPORT_SAMPLES,
+  SAMPLE_COLUMNS,
+  detectImportFormat,
+  parseHealthStream,
+  parseImport,
+  sampleRow,
+  toCsv,
+} from './transfer.js';
+import { detectAnomalies, validateSamplePayload } from './validation.js';
+import {
+  DEFAULT_INACTIVITY_HOURS,
+  WEBHOOK_EVENTS,
+  checkWebhookTarget,
+  createWebhook,
+  evaluateProgressEvents,
+  hasWebhooks,
+  initWebhooks,
+  listDeliveries,
+  listWebhooks,
+  removeWebhook,
+  sendTestEvent,
+  startWebhookWorker,
+} from './webhooks.js';
+import {
+  isValidOffset,
+  isValidTimeZone,
+  localDateKey,
+  shiftDateKey,
+  todayKey,
+  zonedDayBounds,
+} from './time.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const dataFile = path.join(__dirname, '../data/metrics.json');
-const goalsFile = path.join(__dirname, '../data/goals.json');
+const dataDir = process.env.DATA_DIR ?? path.join(__dirname, '../data');
 
 const app = express();
 app.use(cors());
-app.use(express.json({ limit: '512kb' }));
+// Imports arrive as raw CSV, JSON or XML text and may be far larger than an upload. A Health export.xml
+// runs to gigabytes, so one sent as XML or with ?format=apple-health is left unread for the route to stream.
+app.use(['/api/import', `/api/${API_VERSION}/import`], (req, _res, next) => {
+  req.streamsBody = req.query.format ? req.query.format === 'apple-health' : /xml/.test(req.get('content-type') ?? '');
+  next();
+});
+app.use(['/api/import', `/api/${API_VERSION}/import`], express.text({ type: (req) => !req.streamsBody, limit: '50mb' }));
+app.use(express.json({ limit: '512kb', type: (req) => !req.streamsBody && Boolean(req.is('application/json')) }));
+morgan.token('url', (req) => redactUrl(req.originalUrl || req.url));
 app.use(morgan('dev'));
 
-let metrics = [];
-let goals = { steps: 8000, calories: 400 };
+let store = null;
 
-const loadFromDisk = async () => {
-  try {
-    const buffer = await readFile(dataFile, 'utf8');
-    metrics = JSON.parse(buffer);
-  } catch (error) {
-    console.warn('[metrics] Unable to read cache, starting empty', error.message);
-    metrics = [];
-  }
-};
+const metricsFor = (userId) => store.lookup('samples', 'user', userId);
 
-const persistToDisk = async () => {
-  await writeFile(dataFile, JSON.stringify(metrics, null, 2), 'utf8');
-};
+const slotKey = (item) =>
+  [item.userId, item.device.deviceId, item.sample.start, item.sample.end].join('|');
 
-const loadGoals = async () => {
-  try {
-    const buffer = await readFile(goalsFile, 'utf8');
-    const next = JSON.parse(buffer);
-    if (typeof next.steps === 'number' && typeof next.calories === 'number') {
-      goals = next;
-    }
-  } catch (error) {
-    console.warn('[goals] Using defaults', error.message);
-    await persistGoals();
-  }
+const sessionKey = (item) => [item.userId, item.device.deviceId, item.sample.start].join('|');
+
+const defineSampleIndexes = () => {
+  store.defineIndex('samples', 'user', (item) => item.userId);
+  store.defineIndex('samples', 'slot', (item) => (item.userId ? slotKey(item) : null));
+  store.defineIndex('samples', 'device', (item) => `${item.userId}|${item.device.deviceId}`);
+  store.defineIndex('samples', 'session', (item) => sessionKey(item));
+  store.defineIndex('samples', 'idempotency', (item) =>
+    item.idempotencyKey ? `${item.userId}|${item.idempotencyKey}` : null
+  );
+  store.defineIndex('quarantine', 'user', (item) => item.userId);
+  store.defineIndex('quarantine', 'slot', (item) => slotKey(item));
+  store.defineIndex('quarantine', 'idempotency', (item) =>
+    item.idempotencyKey ? `${item.userId}|${item.idempotencyKey}` : null
+  );
 };
 
-const persistGoals = async () => {
-  await writeFile(goalsFile, JSON.stringify(goals, null, 2), 'utf8');
+const claimLegacyData = async (userId) => {
+  const ops = store
+    .list('samples')
+    .filter((item) => !item.userId)
+    .map((item) => ({ op: 'put', c: 'samples', r: { ...item, userId } }));
+  const legacyGoals = store.get('meta', 'legacy-goals');
+  if (legacyGoals) {
+    const version = createGoalVersion(userId, {
+      steps: legacyGoals.steps,
+      calories: legacyGoals.calories,
+      effectiveFrom: EPOCH_DATE,
+    });
+    ops.push({ op: 'put', c: 'goalVersions', r: version }, { op: 'del', c: 'meta', id: 'legacy-goals' });
+  }
+  await store.batch(ops);
+  return ops.filter((op) => op.c === 'samples').length;
 };
 
 const coerceNumber = (value, fallback = 0) => {
@@ -55,32 +235,186 @@ const coerceNumber = (value, fallback = 0) => {
   return Number.isFinite(parsed) ? parsed : fallback;
 };
 
-const normalizeSample = (payload) => ({
-  id: randomUUID(),
-  receivedAt: new Date().toISOString(),
-  device: {
-    deviceId: payload?.device?.deviceId ?? 'unknown',
-    model: payload?.device?.model ?? 'unknown',
-    osVersion: payload?.device?.osVersion ?? 'unknown',
-  },
-  sample: {
-    steps: coerceNumber(payload?.sample?.steps),
-    distance: coerceNumber(payload?.sample?.distance),
-    calories: coerceNumber(payload?.sample?.calories),
-    start: payload?.sample?.start ?? new Date().toISOString(),
-    end: payload?.sample?.end ?? new Date().toISOString(),
-  },
-});
-
-const findMatchingIndex = (incoming) =>
-  metrics.findIndex(
-    (item) =>
-      item.device.deviceId === incoming.device.deviceId &&
-      item.sample.start === incoming.sample.start &&
-      item.sample.end === incoming.sample.end
-  );
+const isValidIdempotencyKey = (value) =>
+  typeof value === 'string' && value.length > 0 && value.length <= MAX_IDEMPOTENCY_KEY_LENGTH;
+
+// Uploads and import rows reach this having passed the DeviceInput and SampleInput schemas; the fallbacks
+// only fill in the optional device fields.
+const normalizeSample = (payload, userId) => {
+  const timeZone = payload?.device?.timeZone;
+  const utcOffsetMinutes = Number(payload?.sample?.utcOffsetMinutes);
+  const idempotencyKey = payload?.idempotencyKey ?? payload?.sample?.idempotencyKey;
+  return {
+    id: randomUUID(),
+    userId,
+    ...(isValidIdempotencyKey(idempotencyKey) ? { idempotencyKey } : {}),
+    receivedAt: new Date().toISOString(),
+    device: {
+      deviceId: resolveDeviceId(userId, payload?.device?.deviceId ?? 'unknown'),
+      model: payload?.device?.model ?? 'unknown',
+      osVersion: payload?.device?.osVersion ?? 'unknown',
+      ...(isValidTimeZone(timeZone) ? { timeZone } : {}),
+    },
+    sample: {
+      steps: coerceNumber(payload?.sample?.steps),
+      distance: coerceNumber(payload?.sample?.distance),
+      calories: coerceNumber(payload?.sample?.calories),
+      start: payload?.sample?.start ?? new Date().toISOString(),
+      end: payload?.sample?.end ?? new Date().toISOString(),
+      ...(isValidOffset(utcOffsetMinutes) ? { utcOffsetMinutes } : {}),
+    },
+  };
+};
+
+const idempotencyLookupKey = (item) => `${item.userId}|${item.idempotencyKey}`;
+
+// Stages upserts so a batch sees its own earlier items and lands in the store as one atomic write.
+// Implausible samples are staged into quarantine instead of samples. With `skipUnchanged`, re-sending
+// a stored reading as-is is reported as `unchanged` instead of rewriting it.
+const createIngest = ({ skipUnchanged = false } = {}) => {
+  const staged = new Map();
+  const stagedBySession = new Map();
+  const bySlot = new Map();
+  const byIdempotencyKey = new Map();
+  const quarantined = new Map();
+  const released = new Set();
 
-const buildSummary = (list) => {
+  const findIn = (collection, incoming, pending) => {
+    if (incoming.idempotencyKey) {
+      const key = idempotencyLookupKey(incoming);
+      const keyed = pending.byIdempotencyKey?.get(key) ?? store.lookupOne(collection, 'idempotency', key);
+      if (keyed) {
+        return keyed;
+      }
+    }
+    const slot = slotKey(incoming);
+    return pending.bySlot?.get(slot) ?? store.lookupOne(collection, 'slot', slot);
+  };
+
+  const findMatchingSample = (incoming) => findIn('samples', incoming, { bySlot, byIdempotencyKey });
+
+  const findQuarantined = (incoming) => {
+    const pending = Array.from(quarantined.values()).find(
+      (entry) =>
+        slotKey(entry) === slotKey(incoming) ||
+        (incoming.idempotencyKey && entry.idempotencyKey === incoming.idempotencyKey)
+    );
+    const existing = pending ?? findIn('quarantine', incoming, {});
+    return existing && !released.has(existing.id) ? existing : null;
+  };
+
+  // Other readings from the same device session, with this batch's staged records taking precedence.
+  const sessionFor = (incoming) => {
+    const key = sessionKey(incoming);
+    const records = new Map(store.lookup('samples', 'session', key).map((item) => [item.id, item]));
+    stagedBySession.get(key)?.forEach((item) => records.set(item.id, item));
+    return Array.from(records.values()).filter((item) => slotKey(item) !== slotKey(incoming));
+  };
+
+  // Retention folds days in the account's zone, so the check has to resolve it the same way.
+  const timeZones = new Map();
+  const timeZoneOf = (userId) => {
+    if (!timeZones.has(userId)) {
+      timeZones.set(userId, resolveTimeZone(store.get('users', userId), metricsFor(userId)));
+    }
+    return timeZones.get(userId);
+  };
+
+  // Readings for a day retention has folded into rollups would be counted twice, unless they
+  // replace a reading that was kept raw.
+  const isCompacted = (sample) =>
+    isCompactedDay(sample.userId, sample.device.deviceId, sampleDateKey(sample, timeZoneOf(sample.userId))) &&
+    !findMatchingSample(sample);
+
+  const stage = (record) => {
+    staged.set(record.id, record);
+    if (!stagedBySession.has(sessionKey(record))) {
+      stagedBySession.set(sessionKey(record), new Map());
+    }
+    stagedBySession.get(sessionKey(record)).set(record.id, record);
+    bySlot.set(slotKey(record), record);
+    if (record.idempotencyKey) {
+      byIdempotencyKey.set(idempotencyLookupKey(record), record);
+    }
+  };
+
+  const upsert = (sample) => {
+    // A plausible reading supersedes any quarantined copy of the same upload.
+    const superseded = findQuarantined(sample);
+    if (superseded) {
+      quarantined.delete(superseded.id);
+      released.add(superseded.id);
+    }
+
+    const existing = findMatchingSample(sample);
+    if (existing && skipUnchanged && JSON.stringify(existing.sample) === JSON.stringify(sample.sample)) {
+      return { status: 'unchanged', id: existing.id };
+    }
+    if (existing) {
+      stage({
+        ...existing,
+        idempotencyKey: existing.idempotencyKey ?? sample.idempotencyKey,
+        receivedAt: sample.receivedAt,
+        sample: sample.sample,
+      });
+      return { status: 'updated', id: existing.id };
+    }
+
+    stage(sample);
+    return { status: 'stored', id: sample.id };
+  };
+
+  return {
+    add(payload, userId) {
+      const error = validateSamplePayload(payload?.sample);
+      if (error) {
+        return { status: 'rejected', reason: error };
+      }
+      const sample = normalizeSample(payload, userId);
+      if (isCompacted(sample)) {
+        return { status: 'rejected', reason: 'sample falls on a day already compacted by retention' };
+      }
+      const reasons = detectAnomalies(sample, sessionFor(sample));
+      if (!reasons.length) {
+        return upsert(sample);
+      }
+
+      const existing = findQuarantined(sample);
+      const entry = {
+        ...sample,
+        id: existing?.id ?? sample.id,
+        reasons,
+        quarantinedAt: sample.receivedAt,
+      };
+      quarantined.set(entry.id, entry);
+      return { status: 'quarantined', id: entry.id, reasons };
+    },
+
+    // Admits a quarantined entry as if it had passed the checks.
+    approve(entry) {
+      const { reasons: _reasons, quarantinedAt: _quarantinedAt, ...sample } = entry;
+      released.add(entry.id);
+      return upsert({ ...sample, receivedAt: new Date().toISOString() });
+    },
+
+    staged() {
+      return Array.from(staged.values());
+    },
+
+    // Stored samples carry the server's calorie estimate next to the phone's own figure.
+    commit() {
+      const records = withEnergy(Array.from(staged.values()));
+      records.filter((record) => staged.has(record.id)).forEach((record) => staged.set(record.id, record));
+      return store.batch([
+        ...Array.from(released).map((id) => ({ op: 'del', c: 'quarantine', id })),
+        ...records.map((record) => ({ op: 'put', c: 'samples', r: record })),
+        ...Array.from(quarantined.values()).map((record) => ({ op: 'put', c: 'quarantine', r: record })),
+      ]);
+    },
+  };
+};
+
+const buildSummary = (list, merge) => {
   if (!list.length) {
     return { steps: 0, distance: 0, calories: 0 };
   }
@@ -94,7 +428,18 @@ const buildSummary = (list) => {
     }
   });
 
-  return Array.from(latestByDevice.values()).reduce(
+  // Overlapping devices count once: the busiest one, or the highest-ranked one that has a reading.
+  let latest = Array.from(latestByDevice.values());
+  if (merge.policy === 'max') {
+    latest = [latest.reduce((best, item) => (item.sample.steps > best.sample.steps ? item : best))];
+  } else if (merge.policy === 'priority') {
+    const ranked = latest.filter((item) => merge.priority.includes(item.device.deviceId));
+    latest = ranked.length
+      ? [ranked.sort((a, b) => merge.priority.indexOf(a.device.deviceId) - merge.priority.indexOf(b.device.deviceId))[0]]
+      : [latest.reduce((best, item) => (item.sample.steps > best.sample.steps ? item : best))];
+  }
+
+  return latest.reduce(
     (acc, item) => {
       acc.steps += item.sample.steps;
       acc.distance += item.sample.distance;
@@ -105,57 +450,108 @@ const buildSummary = (list) => {
   );
 };
 
-const dateKey = (value) => new Date(value).toISOString().split('T')[0];
+const usesEstimates = (user) => (user.settings?.calorieSource ?? DEFAULT_CALORIE_SOURCE) === 'estimated';
 
-const buildDailyTotals = (list) => {
-  const latestPerDeviceDay = new Map();
-  list.forEach((item) => {
-    const day = dateKey(item.sample.end);
-    const key = `${item.device.deviceId}-${day}`;
-    const existing = latestPerDeviceDay.get(key);
-    if (!existing || new Date(item.sample.end) > new Date(existing.sample.end)) {
-      latestPerDeviceDay.set(key, item);
+// With `calorieSource: 'estimated'`, goals, streaks and insights see the server's estimate in place of the phone's.
+const progressSamples = (user, list = metricsFor(user.id)) => {
+  if (!usesEstimates(user)) {
+    return list;
+  }
+  return list.map((item) => (item.energy ? { ...item, sample: { ...item.sample, calories: item.energy.calories } } : item));
+};
+
+const resolveTimeZone = (user, list) => {
+  if (user.settings?.timeZone) {
+    return user.settings.timeZone;
+  }
+  const latestWithZone = list.reduce((latest, item) => {
+    if (!item.device.timeZone) {
+      return latest;
     }
-  });
+    return !latest || new Date(item.sample.end) > new Date(latest.sample.end) ? item : latest;
+  }, null);
+  return latestWithZone?.device.timeZone ?? 'UTC';
+};
 
-  const totals = new Map();
-  latestPerDeviceDay.forEach((item) => {
-    const day = dateKey(item.sample.end);
-    const existing = totals.get(day) ?? { steps: 0, calories: 0 };
-    existing.steps += item.sample.steps;
-    existing.calories += item.sample.calories;
-    totals.set(day, existing);
+// Logged workouts add their calories to the day they started on, and their step-equivalents
+// too when `settings.activitySteps` is on. They never show up as intervals.
+const withWorkouts = (user, dailyTotals, dayOf) => {
+  const countSteps = user.settings?.activitySteps === true;
+  activityTotals(user.id, (entry) => dayOf(entry.start)).forEach((workouts, day) => {
+    const existing = dailyTotals.get(day) ?? { steps: 0, calories: 0, distance: 0, samples: 0 };
+    dailyTotals.set(day, {
+      ...existing,
+      steps: existing.steps + (countSteps ? workouts.steps : 0),
+      calories: existing.calories + workouts.calories,
+      activities: workouts.entries,
+    });
   });
+  return dailyTotals;
+};
 
-  return totals;
+/*
+ * A day's totals come from the merged intervals under every policy, so one device's numbers don't depend on
+ * the policy and always add up to the day's buckets. Days retention folded away come from rollups; a retained
+ * `anchor` reading only marks where its session picks up again, its own increment being in a rollup already.
+ */
+const buildActivity = (user, list, timeZone, { deviceId, deviceIds } = {}) => {
+  const merge = mergeSettings(user);
+  const estimated = usesEstimates(user);
+  const rollups = listRollups(user.id, deviceId).filter((rollup) => !deviceIds || deviceIds.includes(rollup.deviceId));
+  const anchors = new Set(list.filter((item) => item.anchor).map((item) => item.id));
+  const intervals = mergeIntervals(
+    [
+      ...rollups.flatMap((rollup) => rollupIntervals(rollup, { estimated })),
+      ...deriveIntervals(list).filter((interval) => !anchors.has(interval.sampleId)),
+    ].sort((a, b) => new Date(a.start) - new Date(b.start)),
+    merge
+  );
+  const dayOf = (value) => localDateKey(value, { timeZone });
+  // Increments land on the same day as the samples they come from, whose zone may not be the account's.
+  const intervalDay = (interval) => intervalDateKey(interval, timeZone);
+  const activeMinutes = buildActiveMinutes(intervals, intervalDay);
+  const dailyTotals = withWorkouts(user, dailyTotalsFromIntervals(intervals, intervalDay), dayOf);
+  const addSamples = (day, count) => {
+    const existing = dailyTotals.get(day) ?? { steps: 0, calories: 0, distance: 0 };
+    dailyTotals.set(day, { ...existing, samples: (existing.samples ?? 0) + count });
+  };
+  list.forEach((item) => addSamples(sampleDateKey(item, timeZone), 1));
+  rollups.filter((rollup) => rollup.samples).forEach((rollup) => addSamples(rollup.date, rollup.samples));
+  dailyTotals.forEach((totals, day) => dailyTotals.set(day, roundTotals(totals)));
+  return { intervals, activeMinutes, dailyTotals };
 };
 
-const computeStreak = (dailyTotals) => {
+// Exempt days (rest, sick, ...) are stepped over: they neither extend nor break the streak.
+const computeStreak = (dailyTotals, plan, timeZone, from = todayKey(timeZone)) => {
   let streak = 0;
-  let cursor = new Date(`${dateKey(new Date())}T00:00:00Z`);
+  let key = from;
 
   while (true) {
-    const key = cursor.toISOString().split('T')[0];
+    if (plan.isExempt(key)) {
+      key = shiftDateKey(key, -1);
+      continue;
+    }
     const totals = dailyTotals.get(key);
     if (!totals) {
       break;
     }
-    const meetsGoal = totals.steps >= goals.steps && totals.calories >= goals.calories;
-    if (!meetsGoal) {
+    if (!meetsGoals(totals, plan.goalFor(key))) {
       break;
     }
     streak += 1;
-    cursor.setUTCDate(cursor.getUTCDate() - 1);
+    key = shiftDateKey(key, -1);
   }
 
   return streak;
 };
 
-const buildInsights = (dailyTotals) => {
+// Averages and compliance cover the 7 days up to today unless `range` names other dates; the best day is all-time.
+const buildInsights = (dailyTotals, plan, timeZone, range = {}) => {
   const entries = Array.from(dailyTotals.entries()).map(([date, totals]) => ({
     date,
     steps: totals.steps,
     calories: totals.calories,
+    distance: totals.distance,
   }));
 
   if (!entries.length) {
@@ -167,114 +563,392 @@ const buildInsights = (dailyTotals) => {
     };
   }
 
-  entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+  entries.sort((a, b) => a.date.localeCompare(b.date));
   const lookbackDays = 7;
-  const cutoff = new Date();
-  cutoff.setUTCHours(0, 0, 0, 0);
-  cutoff.setUTCDate(cutoff.getUTCDate() - (lookbackDays - 1));
+  const to = range.to ?? todayKey(timeZone);
+  const from = range.from ?? shiftDateKey(to, -(lookbackDays - 1));
 
-  const window = entries.filter((entry) => new Date(entry.date) >= cutoff);
+  const window = entries.filter((entry) => entry.date >= from && entry.date <= to);
   const divisor = window.length || 1;
   const avgSteps = window.reduce((sum, entry) => sum + entry.steps, 0) / divisor;
   const avgCalories = window.reduce((sum, entry) => sum + entry.calories, 0) / divisor;
-  const complianceDays = window.filter(
-    (entry) => entry.steps >= goals.steps && entry.calories >= goals.calories
-  ).length;
+  const judgedDays = window.filter((entry) => !plan.isExempt(entry.date));
+  const complianceDays = judgedDays.filter((entry) => meetsGoals(entry, plan.goalFor(entry.date))).length;
 
-  const bestDay = entries.reduce((best, entry) => {
-    if (!best || entry.steps > best.steps) {
+  const best = entries.reduce((top, entry) => {
+    if (!top || entry.steps > top.steps) {
       return entry;
     }
-    return best;
+    return top;
   }, null);
+  const bestGoals = plan.goalFor(best.date);
+  const bestDay = { ...best, goals: bestGoals, goalMet: meetsGoals(best, bestGoals) };
 
   return {
     averageSteps7d: Math.round(avgSteps),
     averageCalories7d: Math.round(avgCalories),
-    goalComplianceRate: window.length ? complianceDays / window.length : 0,
+    goalComplianceRate: judgedDays.length ? complianceDays / judgedDays.length : 0,
     bestDay,
   };
 };
 
-const linearForecast = (values) => {
-  if (!values.length) return 0;
-  if (values.length < 2) return values[values.length - 1];
-
-  const n = values.length;
-  let sumX = 0;
-  let sumY = 0;
-  let sumXY = 0;
-  let sumXX = 0;
-
-  values.forEach((value, index) => {
-    sumX += index;
-    sumY += value;
-    sumXY += index * value;
-    sumXX += index * index;
-  });
-
-  const denominator = n * sumXX - sumX * sumX;
-  const slope = denominator === 0 ? 0 : (n * sumXY - sumX * sumY) / denominator;
-  const intercept = (sumY - slope * sumX) / n;
-  const prediction = intercept + slope * n;
-  return Math.max(0, prediction);
-};
-
-const buildSummaryPayload = () => {
-  const dailyTotals = buildDailyTotals(metrics);
-  const todayKey = dateKey(new Date());
-  const todayTotals = dailyTotals.get(todayKey) ?? { steps: 0, calories: 0 };
-  const insights = buildInsights(dailyTotals);
-  const sortedEntries = Array.from(dailyTotals.entries()).sort(
-    (a, b) => new Date(a[0]) - new Date(b[0])
-  );
-  const recentEntries = sortedEntries.slice(-14);
-  const stepsSeries = recentEntries.map(([, totals]) => totals.steps);
-  const caloriesSeries = recentEntries.map(([, totals]) => totals.calories);
+const buildSummaryPayload = (user) => {
+  const plan = createGoalPlan(user.id);
+  const list = progressSamples(user);
+  const timeZone = resolveTimeZone(user, list);
+  const { intervals, dailyTotals } = buildActivity(user, list, timeZone);
+  const today = todayKey(timeZone);
+  const goals = plan.baseFor(today);
+  const todayGoals = plan.goalFor(today);
+  const todayTotals = dailyTotals.get(today) ?? { steps: 0, calories: 0 };
+  const insights = buildInsights(dailyTotals, plan, timeZone);
+  const forecast = buildForecast({ dailyTotals, intervals, plan, today, timeZone });
+  const { start, end } = zonedDayBounds(today, timeZone);
+  const [todayBucket] = bucketIntervals(intervals, { start, end, bucketMinutes: (end - start) / 60000 });
+  // `steps` and `calories` stay tomorrow's point forecasts for older clients.
   const predictions = {
-    steps: Math.round(linearForecast(stepsSeries)),
-    calories: Math.round(linearForecast(caloriesSeries)),
-    basisDays: recentEntries.length,
+    steps: Math.round(forecast.tomorrow.steps.value),
+    calories: Math.round(forecast.tomorrow.calories.value),
+    ...forecast,
   };
 
   return {
     goals,
+    goalVersion: latestGoalVersion(user.id)?.id ?? null,
+    schedule: plan.scheduleFor(today),
+    timeZone,
     today: {
+      date: today,
       steps: todayTotals.steps,
       calories: todayTotals.calories,
-      stepGoal: goals.steps,
-      calorieGoal: goals.calories,
-      stepProgress: goals.steps ? todayTotals.steps / goals.steps : 0,
-      calorieProgress: goals.calories ? todayTotals.calories / goals.calories : 0,
+      stepGoal: todayGoals.steps,
+      calorieGoal: todayGoals.calories,
+      stepProgress: todayGoals.steps ? todayTotals.steps / todayGoals.steps : 0,
+      calorieProgress: todayGoals.calories ? todayTotals.calories / todayGoals.calories : 0,
+      exemption: plan.exemptionFor(today),
+      sources: todayBucket.sources,
     },
+    merge: mergeSettings(user),
     streak: {
-      days: computeStreak(dailyTotals),
+      days: computeStreak(dailyTotals, plan, timeZone),
     },
     insights,
     predictions,
   };
 };
 
+// Summaries go out after a debounce, and may follow a background job; they read the account as it is stored
+// by then, since a record a request held may have been replaced by a later edit.
+const scheduleSummaryFor = (userId) =>
+  scheduleSummary(userId, () => buildSummaryPayload(store.get('users', userId)));
+
 app.get('/health', (_req, res) => {
-  res.json({ status: 'ok', count: metrics.length });
+  res.json({ status: 'ok', count: store.count('samples'), storage: store.driver });
+});
+
+// The API lives on one router, served at /api/v1 and, for clients that predate versioning, at /api.
+const api = express.Router();
+app.use(`/api/${API_VERSION}`, api);
+app.use('/api', api);
+
+const routed = new Set();
+
+// Registers one operation of the contract in openapi.js, with its input checked before the last handler runs.
+// Express 4 doesn't see rejected promises, so a handler's failure is passed on to the error handler below.
+const route = (operation, ...handlers) => {
+  const [method, routePath] = operation.split(' ');
+  const handler = handlers.pop();
+  const checks = process.env.CONTRACT_CHECK ? [checkResponses(operation)] : [];
+  const run = (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+  api[method.toLowerCase()](routePath, ...handlers, ...checks, validateRequest(operation), run);
+  routed.add(operation);
+};
+
+const openApiDocument = buildOpenApi();
+
+route('GET /openapi.json', (_req, res) => {
+  res.json(openApiDocument);
+});
+
+route('POST /users', requireSignupAccess, async (req, res) => {
+  const name = req.body.name.trim();
+  if (!name) {
+    return invalid(res, 'body.name', 'too-short', 'name must not be blank');
+  }
+  const account = await createUser(name);
+  // Data from before accounts existed goes to an account the operator creates with the admin token,
+  // never to whoever happens to sign up first.
+  const claimedSamples = isAdminRequest(req) ? await claimLegacyData(account.user.id) : 0;
+  if (claimedSamples) {
+    recomputeEnergy(store.get('users', account.user.id));
+  }
+  res.status(201).json({ ...account, claimedSamples });
+});
+
+route('GET /admin/retention', requireAdmin, (_req, res) => {
+  res.json(retentionStatus());
+});
+
+// Runs the retention sweep now; { days } overrides RETENTION_DAYS for this run and { dryRun: true } only reports.
+route('POST /admin/retention', requireAdmin, async (req, res) => {
+  const report = await runRetention({ days: req.body.days, dryRun: req.body.dryRun === true });
+  if (!report.dryRun && report.samplesFolded) {
+    store.list('users').forEach((user) => scheduleSummaryFor(user.id));
+  }
+  res.json(report);
+});
+
+api.use(requireAuth);
+
+route('GET /me', (req, res) => {
+  res.json({ user: req.publicUser, tokens: listTokens(req.user) });
 });
 
-app.get('/api/metrics', (req, res) => {
-  const { limit, since } = req.query;
-  let data = [...metrics];
+route('GET /tokens', (req, res) => {
+  res.json({ data: listTokens(req.user) });
+});
+
+route('POST /tokens', async (req, res) => {
+  const label = req.body.label?.trim() || 'default';
+  const token = await issueToken(req.user, label);
+  res.status(201).json(token);
+});
+
+route('DELETE /tokens/:id', async (req, res) => {
+  const removed = await revokeToken(req.user, req.params.id);
+  if (!removed) {
+    return notFound(res, 'token not found');
+  }
+  res.json({ message: 'revoked' });
+});
+
+const progressContext = (user) => {
+  const list = progressSamples(user);
+  const timeZone = resolveTimeZone(user, list);
+  return {
+    timeZone,
+    dailyTotals: buildActivity(user, list, timeZone).dailyTotals,
+    plan: createGoalPlan(user.id),
+    today: todayKey(timeZone),
+  };
+};
+
+const checkAchievements = async (user, context) => {
+  const unlocks = await evaluateAchievements(user.id, context);
+  if (unlocks.length) {
+    publish(user.id, 'achievements', {
+      unlocked: unlocks.map((unlock) => unlock.code),
+      data: listAchievements(user.id),
+    });
+  }
+};
+
+// Unlike the summary streak, today only counts once its goals are met, so a fresh morning doesn't read as a break.
+const checkWebhookEvents = async (user, { timeZone, dailyTotals, plan, today }) => {
+  if (!hasWebhooks(user.id)) {
+    return;
+  }
+  const totals = dailyTotals.get(today) ?? { steps: 0, calories: 0 };
+  const goals = plan.goalFor(today);
+  const carried = computeStreak(dailyTotals, plan, timeZone, shiftDateKey(today, -1));
+  const extendsToday = !plan.isExempt(today) && meetsGoals(totals, goals);
+  await evaluateProgressEvents(user.id, {
+    date: today,
+    steps: totals.steps,
+    calories: totals.calories,
+    stepGoal: goals.steps,
+    calorieGoal: goals.calories,
+    streak: carried + (extendsToday ? 1 : 0),
+  });
+};
+
+const checkProgress = async (user) => {
+  const context = progressContext(user);
+  await checkAchievements(user, context);
+  await checkWebhookEvents(user, context);
+};
+
+/*
+ * Every participant is scored from their own daily totals, in their own time zone and with their own
+ * calorie source and merge policy, limited to the devices they entered with. Totals are built once per
+ * participant and device set per call.
+ */
+const challengesFor = (viewer) => {
+  const totals = new Map();
+  const totalsFor = (entry) => {
+    const key = [entry.userId, ...(entry.deviceIds ?? [])].join('|');
+    if (!totals.has(key)) {
+      const user = store.get('users', entry.userId);
+      let list = progressSamples(user);
+      const timeZone = resolveTimeZone(user, list);
+      if (entry.deviceIds) {
+        list = list.filter((item) => entry.deviceIds.includes(item.device.deviceId));
+      }
+      totals.set(key, {
+        dailyTotals: buildActivity(user, list, timeZone, { deviceIds: entry.deviceIds ?? undefined }).dailyTotals,
+        plan: createGoalPlan(user.id),
+        today: todayKey(timeZone),
+      });
+    }
+    return totals.get(key);
+  };
+  const today = todayKey(resolveTimeZone(viewer, metricsFor(viewer.id)));
+  return listChallenges(viewer.id).map((challenge) => ({
+    id: challenge.id,
+    name: challenge.name,
+    metric: challenge.metric,
+    type: challenge.type,
+    target: challenge.target,
+    from: challenge.from,
+    to: challenge.to,
+    code: challenge.code,
+    owner: challenge.ownerId === viewer.id,
+    status: challengeStatus(challenge, today),
+    participants: challenge.participants.length,
+    standings: buildStandings(challenge, viewer.id, totalsFor),
+  }));
+};
+
+// Someone's numbers moved, so everyone sharing a challenge with them gets fresh standings.
+const announceStandings = (userId, challenges = listChallenges(userId)) => {
+  new Set(challenges.flatMap((challenge) => challenge.participants.map((entry) => entry.userId))).forEach((memberId) =>
+    scheduleEvent(memberId, 'challenges', () => ({ data: challengesFor(store.get('users', memberId)) }))
+  );
+};
+
+const devicesFor = (userId) => listDevices(userId).filter((device) => device.lastSeenAt);
+
+const announceSamples = async (user, results, records) => {
+  const byId = new Map(records.map((record) => [record.id, record]));
+  const items = results
+    .filter((result) => byId.has(result.id))
+    .map((result) => ({ status: result.status, record: byId.get(result.id) }));
+  if (items.length) {
+    publish(user.id, 'samples', { items });
+    await checkProgress(user);
+    announceStandings(user.id);
+  }
+  scheduleSummaryFor(user.id);
+};
+
+route('GET /stream', (req, res) => {
+  openEventStream(req, res, {
+    userId: req.user.id,
+    initial: [{ type: 'summary', data: buildSummaryPayload(req.user) }],
+  });
+});
+
+route('GET /webhooks', (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS, data: listWebhooks(req.user.id) });
+});
+
+route('POST /webhooks', async (req, res) => {
+  const { url, events = WEBHOOK_EVENTS, inactivityHours = DEFAULT_INACTIVITY_HOURS } = req.body;
+  const blocked = await checkWebhookTarget(url);
+  if (blocked) {
+    return invalid(res, 'body.url', 'not-allowed', blocked);
+  }
+  const webhook = await createWebhook(req.user.id, { url, events: [...new Set(events)], inactivityHours });
+  res.status(201).json(webhook);
+});
+
+route('DELETE /webhooks/:id', async (req, res) => {
+  const removed = await removeWebhook(req.user.id, req.params.id);
+  if (!removed) {
+    return notFound(res, 'webhook not found');
+  }
+  res.json({ message: 'removed' });
+});
+
+route('GET /webhooks/:id/deliveries', (req, res) => {
+  const data = listDeliveries(req.user.id, req.params.id);
+  if (!data) {
+    return notFound(res, 'webhook not found');
+  }
+  res.json({ data });
+});
+
+route('POST /webhooks/:id/test', async (req, res) => {
+  const delivery = await sendTestEvent(req.user.id, req.params.id);
+  if (!delivery) {
+    return notFound(res, 'webhook not found');
+  }
+  res.status(202).json(delivery);
+});
+
+const profilePayload = (user) => ({
+  profile: user.profile ?? {},
+  model: ENERGY_MODEL,
+  calorieSource: user.settings?.calorieSource ?? DEFAULT_CALORIE_SOURCE,
+  recompute: energyJobFor(user.id),
+});
+
+route('GET /profile', (req, res) => {
+  res.json(profilePayload(req.user));
+});
+
+// Any change re-derives the stored calorie estimates in the background; `recompute` reports progress.
+route('PUT /profile', async (req, res) => {
+  const fields = [...Object.keys(PROFILE_LIMITS), 'sex'];
+  const patch = Object.fromEntries(
+    fields.filter((field) => field in req.body).map((field) => [field, req.body[field] ?? undefined])
+  );
+  if (!Object.keys(patch).length) {
+    return invalid(res, 'body', 'required', `provide at least one of ${fields.join(', ')}`);
+  }
+  await updateProfile(req.user, patch);
+  await reestimateActivities(req.user);
+  recomputeEnergy(req.user, () => {
+    scheduleSummaryFor(req.user.id);
+    announceStandings(req.user.id);
+  });
+  res.json(profilePayload(req.user));
+});
+
+route('GET /settings', (req, res) => {
+  res.json(req.user.settings ?? {});
+});
+
+// null restores a setting's default.
+route('PUT /settings', async (req, res) => {
+  const body = req.body;
+  const patch = {};
+  ['timeZone', 'mergePolicy', 'calorieSource', 'activitySteps']
+    .filter((field) => field in body)
+    .forEach((field) => {
+      patch[field] = body[field] ?? undefined;
+    });
+  if ('priorityDevices' in body) {
+    patch.priorityDevices = body.priorityDevices ? Array.from(new Set(body.priorityDevices)) : undefined;
+  }
+  if ('reports' in body) {
+    patch.reports = body.reports?.length ? Array.from(new Set(body.reports)) : undefined;
+  }
+  const settings = await updateSettings(req.user, patch);
+  scheduleSummaryFor(req.user.id);
+  announceStandings(req.user.id);
+  res.json(settings);
+});
+
+route('GET /metrics', (req, res) => {
+  const { limit, since, deviceId } = req.query;
+  let data = metricsFor(req.user.id);
+  // Logged workouts ride along separately (newest first, `source: 'manual'`); they belong to no device.
+  let activities = deviceId ? [] : listActivities(req.user.id);
+
+  if (deviceId) {
+    data = data.filter((item) => item.device.deviceId === deviceId);
+  }
 
   if (since) {
     const cutoff = new Date(since);
-    if (!Number.isNaN(cutoff.valueOf())) {
-      data = data.filter((item) => new Date(item.sample.end) >= cutoff);
-    }
+    data = data.filter((item) => new Date(item.sample.end) >= cutoff);
+    activities = activities.filter((entry) => new Date(entry.end) >= cutoff);
   }
 
   if (limit) {
-    const parsedLimit = Number(limit);
-    if (Number.isFinite(parsedLimit) && parsedLimit > 0) {
-      data = data.slice(-parsedLimit);
-    }
+    data = data.slice(-limit);
+    activities = activities.slice(0, limit);
   }
 
   const latestSample = data.reduce((latest, item) => {
@@ -286,76 +960,787 @@ app.get('/api/metrics', (req, res) => {
 
   res.json({
     data,
-    totals: buildSummary(data),
+    activities,
+    totals: buildSummary(progressSamples(req.user, data), mergeSettings(req.user)),
     current: latestSample,
-    summary: buildSummaryPayload(),
+    summary: buildSummaryPayload(req.user),
+  });
+});
+
+route('GET /activity', (req, res) => {
+  const bucket = req.query.bucket ?? '15m';
+  let list = progressSamples(req.user);
+  const timeZone = resolveTimeZone(req.user, list);
+  const date = req.query.date ?? todayKey(timeZone);
+  if (req.query.deviceId) {
+    list = list.filter((item) => item.device.deviceId === req.query.deviceId);
+  }
+
+  const { start, end } = zonedDayBounds(date, timeZone);
+  const { intervals } = buildActivity(req.user, list, timeZone, { deviceId: req.query.deviceId });
+  const buckets = bucketIntervals(intervals, { start, end, bucketMinutes: BUCKET_SIZES[bucket] });
+  res.json({
+    date,
+    timeZone,
+    bucket,
+    totals: sumIntervals(buckets),
+    buckets,
   });
 });
 
-app.get('/api/goals', (_req, res) => {
-  res.json(buildSummaryPayload());
+// What the schemas can't check about a from/to pair: returns invalid()'s path, code and message, or null.
+const dateRangeError = (from, to, { maxDays, at = 'query' } = {}) => {
+  if (from && to && from > to) {
+    return [`${at}.from`, 'range', 'from must not be after to'];
+  }
+  if (maxDays && from && to && daysBetween(from, to) > maxDays) {
+    return [`${at}.to`, 'range', `range may span at most ${maxDays} days`];
+  }
+  return null;
+};
+
+route('GET /history', (req, res) => {
+  const granularity = req.query.granularity ?? 'day';
+  const list = progressSamples(req.user);
+  const timeZone = resolveTimeZone(req.user, list);
+  const to = req.query.to ?? todayKey(timeZone);
+  const from = req.query.from ?? shiftDateKey(to, -DEFAULT_LOOKBACK[granularity]);
+  const rangeError = dateRangeError(from, to, { maxDays: MAX_RANGE_DAYS });
+  if (rangeError) {
+    return invalid(res, ...rangeError);
+  }
+
+  const { activeMinutes, dailyTotals } = buildActivity(req.user, list, timeZone);
+  res.json({
+    from,
+    to,
+    granularity,
+    timeZone,
+    data: buildHistory({
+      dailyTotals,
+      activeMinutes,
+      plan: createGoalPlan(req.user.id),
+      from,
+      to,
+      granularity,
+    }),
+  });
+});
+
+route('GET /days', (req, res) => {
+  const list = progressSamples(req.user);
+  const timeZone = resolveTimeZone(req.user, list);
+  const to = req.query.to ?? todayKey(timeZone);
+  const from = req.query.from ?? shiftDateKey(to, -CALENDAR_LOOKBACK);
+  const rangeError = dateRangeError(from, to, { maxDays: MAX_RANGE_DAYS });
+  if (rangeError) {
+    return invalid(res, ...rangeError);
+  }
+
+  const { activeMinutes, dailyTotals } = buildActivity(req.user, list, timeZone);
+  res.json({
+    from,
+    to,
+    timeZone,
+    data: buildCalendar({ dailyTotals, activeMinutes, plan: createGoalPlan(req.user.id), from, to }),
+  });
+});
+
+/*
+ * Everything the dashboard's drill-down shows for one local day: its totals and goal outcome, the
+ * intraday buckets, and the samples and workouts behind them. Samples folded away by retention are
+ * only in the totals and buckets; `compacted` says so.
+ */
+route('GET /days/:date', (req, res) => {
+  const { date } = req.params;
+  const bucket = req.query.bucket ?? '15m';
+  const list = progressSamples(req.user);
+  const timeZone = resolveTimeZone(req.user, list);
+  const { intervals, activeMinutes, dailyTotals } = buildActivity(req.user, list, timeZone);
+  const [day] = buildCalendar({ dailyTotals, activeMinutes, plan: createGoalPlan(req.user.id), from: date, to: date });
+  const { start, end } = zonedDayBounds(date, timeZone);
+  res.json({
+    ...day,
+    timeZone,
+    bucket,
+    exemption: listExemptions(req.user.id, { from: date, to: date })[0] ?? null,
+    compacted: listRollups(req.user.id).some((rollup) => rollup.date === date),
+    buckets: bucketIntervals(intervals, { start, end, bucketMinutes: BUCKET_SIZES[bucket] }),
+    samples: withinDates(metricsFor(req.user.id), timeZone, date, date)
+      .filter((item) => !item.anchor)
+      .sort((a, b) => new Date(a.sample.end) - new Date(b.sample.end)),
+    activities: listActivities(req.user.id, { from: date, to: date, dayOf: activityDayOf(req.user) }),
+  });
+});
+
+const buildUserReport = (user, kind, period) => {
+  const plan = createGoalPlan(user.id);
+  const list = progressSamples(user);
+  const timeZone = resolveTimeZone(user, list);
+  const { activeMinutes, dailyTotals } = buildActivity(user, list, timeZone);
+  return buildReport({
+    kind,
+    period,
+    today: todayKey(timeZone),
+    timeZone,
+    dailyTotals,
+    activeMinutes,
+    plan,
+    insights: (range) => buildInsights(dailyTotals, plan, timeZone, range),
+    streak: (day) => computeStreak(dailyTotals, plan, timeZone, day),
+  });
+};
+
+const reportToday = (user) => todayKey(resolveTimeZone(user, metricsFor(user.id)));
+
+// ?week=YYYY-Www or ?month=YYYY-MM; by default the last period that has ended.
+route('GET /reports/:kind', (req, res) => {
+  const { kind } = req.params;
+  const format = req.query.format ?? 'markdown';
+  const param = REPORT_KINDS[kind];
+  const today = reportToday(req.user);
+  const period = reportPeriod(kind, req.query[param], today);
+  if (!period) {
+    return invalid(res, `query.${param}`, 'format', `${param} is not a valid ${kind === 'weekly' ? 'ISO week' : 'month'}`);
+  }
+  if (period.start > today) {
+    return invalid(res, `query.${param}`, 'range', `${param} must not be in the future`);
+  }
+
+  const report = buildUserReport(req.user, kind, period);
+  if (format === 'json') {
+    return res.json(report);
+  }
+  res.type(format === 'html' ? 'html' : 'text/markdown; charset=utf-8');
+  res.send(format === 'html' ? renderHtml(report) : renderMarkdown(report));
+});
+
+const challengeFor = (user, id) => challengesFor(user).find((challenge) => challenge.id === id);
+
+route('GET /challenges', (req, res) => {
+  res.json({ data: challengesFor(req.user) });
+});
+
+route('POST /challenges', async (req, res) => {
+  const error = validateChallenge(req.body);
+  if (error) {
+    return invalid(res, `body.${error.field}`, error.code, error.message);
+  }
+  const challenge = await createChallenge(req.user, req.body);
+  res.status(201).json(challengeFor(req.user, challenge.id));
+});
+
+// { code, deviceIds? }: without deviceIds every device on the account counts.
+route('POST /challenges/join', async (req, res) => {
+  const { code, deviceIds } = req.body;
+  const result = await joinChallenge(req.user, code.trim().toLowerCase(), deviceIds);
+  if (!result) {
+    return notFound(res, 'challenge not found');
+  }
+  if (result.error) {
+    return sendError(res, 409, 'challenge-full', result.error);
+  }
+  announceStandings(req.user.id, [result.challenge]);
+  res.json(challengeFor(req.user, result.challenge.id));
+});
+
+route('GET /challenges/:id', (req, res) => {
+  const challenge = challengeFor(req.user, req.params.id);
+  if (!challenge) {
+    return notFound(res, 'challenge not found');
+  }
+  res.json(challenge);
+});
+
+route('POST /challenges/:id/leave', async (req, res) => {
+  const challenge = getChallenge(req.user.id, req.params.id);
+  if (!challenge) {
+    return notFound(res, 'challenge not found');
+  }
+  if (challenge.ownerId === req.user.id) {
+    return sendError(res, 400, 'owner-cannot-leave', 'the owner deletes the challenge instead of leaving it');
+  }
+  announceStandings(req.user.id, [await leaveChallenge(req.user.id, req.params.id)]);
+  publish(req.user.id, 'challenges', { data: challengesFor(req.user) });
+  res.json({ message: 'left' });
 });
 
-app.put('/api/goals', async (req, res) => {
-  const nextSteps = Number(req.body?.steps);
-  const nextCalories = Number(req.body?.calories);
-  if (!Number.isFinite(nextSteps) || nextSteps <= 0 || !Number.isFinite(nextCalories) || nextCalories <= 0) {
-    return res.status(400).json({ message: 'steps and calories must be positive numbers' });
+route('DELETE /challenges/:id', async (req, res) => {
+  const challenge = getChallenge(req.user.id, req.params.id);
+  if (!challenge) {
+    return notFound(res, 'challenge not found');
   }
-  goals = { steps: Math.round(nextSteps), calories: nextCalories };
-  await persistGoals();
-  res.json(buildSummaryPayload());
+  if (challenge.ownerId !== req.user.id) {
+    return sendError(res, 403, 'forbidden', 'only the owner can delete a challenge');
+  }
+  const removed = await removeChallenge(req.user.id, req.params.id);
+  announceStandings(req.user.id, [removed]);
+  res.json({ message: 'removed' });
+});
+
+route('GET /goals', (req, res) => {
+  res.json(buildSummaryPayload(req.user));
+});
+
+route('GET /goals/history', (req, res) => {
+  res.json({ defaults: DEFAULT_GOALS, data: goalHistory(req.user.id) });
+});
+
+route('PUT /goals', async (req, res) => {
+  const { steps, calories, effectiveFrom, baseVersion } = req.body;
+  // Edits replayed from an offline queue name the version they were made on, so a newer edit isn't silently overwritten.
+  if (baseVersion !== undefined && baseVersion !== (latestGoalVersion(req.user.id)?.id ?? null)) {
+    return sendError(res, 409, 'goal-version-conflict', 'goals changed since baseVersion', {
+      summary: buildSummaryPayload(req.user),
+    });
+  }
+  const parsed = 'schedule' in req.body ? parseSchedule(req.body.schedule) : null;
+  const day = effectiveFrom ?? todayKey(resolveTimeZone(req.user, metricsFor(req.user.id)));
+  // Clients that only know the flat pair (like the iOS app) keep whatever weekly schedule is in place.
+  const schedule = parsed ? parsed.schedule : createGoalPlan(req.user.id).scheduleFor(day);
+  await appendGoalVersion(req.user.id, {
+    steps: Math.round(steps),
+    calories,
+    schedule,
+    effectiveFrom: day,
+  });
+  const summary = buildSummaryPayload(req.user);
+  publish(req.user.id, 'goals', summary);
+  announceStandings(req.user.id);
+  res.json(summary);
+});
+
+const MAX_EXEMPTION_SPAN_DAYS = 366;
+
+route('GET /exemptions', (req, res) => {
+  const { from, to } = req.query;
+  const rangeError = dateRangeError(from, to);
+  if (rangeError) {
+    return invalid(res, ...rangeError);
+  }
+  res.json({ data: listExemptions(req.user.id, { from, to }) });
+});
+
+route('POST /exemptions', async (req, res) => {
+  const { date, from = date, to = from, kind = 'rest', note } = req.body;
+  if (!from) {
+    return invalid(res, 'body.date', 'required', 'provide a date, or a from/to range');
+  }
+  const rangeError = dateRangeError(from, to, { maxDays: MAX_EXEMPTION_SPAN_DAYS, at: 'body' });
+  if (rangeError) {
+    return invalid(res, ...rangeError);
+  }
+
+  const dates = [];
+  for (let key = from; key <= to; key = shiftDateKey(key, 1)) {
+    dates.push(key);
+  }
+  const data = await addExemptions(req.user.id, dates, { kind, note: note?.trim() });
+  const summary = buildSummaryPayload(req.user);
+  publish(req.user.id, 'goals', summary);
+  res.status(201).json({ data, summary });
+});
+
+route('DELETE /exemptions/:id', async (req, res) => {
+  const removed = await removeExemption(req.user.id, req.params.id);
+  if (!removed) {
+    return notFound(res, 'exemption not found');
+  }
+  const summary = buildSummaryPayload(req.user);
+  publish(req.user.id, 'goals', summary);
+  res.json({ message: 'removed', summary });
+});
+
+const activityDayOf = (user) => {
+  const timeZone = resolveTimeZone(user, metricsFor(user.id));
+  return (entry) => localDateKey(entry.start, { timeZone });
+};
+
+const announceActivities = async (user, data) => {
+  publish(user.id, 'activities', data);
+  await checkProgress(user);
+  scheduleSummaryFor(user.id);
+  announceStandings(user.id);
+};
+
+// `from`/`to` are local dates, judged by the day a workout started on.
+route('GET /activities', (req, res) => {
+  const { from, to } = req.query;
+  const rangeError = dateRangeError(from, to);
+  if (rangeError) {
+    return invalid(res, ...rangeError);
+  }
+  res.json({ data: listActivities(req.user.id, { from, to, dayOf: activityDayOf(req.user) }) });
+});
+
+route('GET /activities/:id', (req, res) => {
+  const entry = getActivity(req.user.id, req.params.id);
+  if (!entry) {
+    return notFound(res, 'activity not found');
+  }
+  res.json(entry);
+});
+
+route('POST /activities', async (req, res) => {
+  const error = validateActivity(req.body);
+  if (error) {
+    return invalid(res, `body.${error.field}`, error.code, error.message);
+  }
+  const entry = await createActivity(req.user, req.body);
+  await announceActivities(req.user, { saved: entry });
+  res.status(201).json(entry);
+});
+
+route('PUT /activities/:id', async (req, res) => {
+  const error = validateActivity(req.body);
+  if (error) {
+    return invalid(res, `body.${error.field}`, error.code, error.message);
+  }
+  const entry = await updateActivity(req.user, req.params.id, req.body);
+  if (!entry) {
+    return notFound(res, 'activity not found');
+  }
+  await announceActivities(req.user, { saved: entry });
+  res.json(entry);
+});
+
+route('DELETE /activities/:id', async (req, res) => {
+  const removed = await removeActivity(req.user.id, req.params.id);
+  if (!removed) {
+    return notFound(res, 'activity not found');
+  }
+  await announceActivities(req.user, { removed: req.params.id });
+  res.json({ message: 'removed' });
+});
+
+route('GET /achievements', (req, res) => {
+  const data = listAchievements(req.user.id);
+  res.json({ unlocked: data.filter((achievement) => achievement.unlocked).length, total: data.length, data });
 });
 
-app.get('/api/summary', (_req, res) => {
-  res.json(buildSummaryPayload());
+route('GET /summary', (req, res) => {
+  res.json(buildSummaryPayload(req.user));
 });
 
-app.get('/api/insights', (_req, res) => {
-  const payload = buildSummaryPayload();
+route('GET /insights', (req, res) => {
+  const payload = buildSummaryPayload(req.user);
   res.json(payload.insights);
 });
 
-app.get('/api/predictions', (_req, res) => {
-  const payload = buildSummaryPayload();
+route('GET /predictions', (req, res) => {
+  const payload = buildSummaryPayload(req.user);
   res.json(payload.predictions);
 });
 
-app.post('/api/metrics', async (req, res) => {
-  if (!req.body?.sample) {
-    return res.status(400).json({ message: 'sample payload is required' });
+route('POST /metrics', async (req, res) => {
+  const ingest = createIngest();
+  const result = ingest.add(
+    { ...req.body, idempotencyKey: req.body.idempotencyKey ?? req.get('idempotency-key') },
+    req.user.id
+  );
+  if (result.status === 'rejected') {
+    return invalid(res, 'body.sample', 'range', result.reason);
   }
+  await ingest.commit();
+  await announceSamples(req.user, [result], ingest.staged());
+  if (result.status === 'quarantined') {
+    return res.status(202).json({ message: result.status, id: result.id, reasons: result.reasons });
+  }
+  res.status(result.status === 'stored' ? 201 : 200).json({ message: result.status, id: result.id });
+});
 
-  const sample = normalizeSample(req.body);
-  const existingIndex = findMatchingIndex(sample);
-
-  if (existingIndex >= 0) {
-    const existing = metrics[existingIndex];
-    metrics[existingIndex] = {
-      ...existing,
-      receivedAt: sample.receivedAt,
-      sample: sample.sample,
+route('POST /metrics/batch', async (req, res) => {
+  const { device, samples } = req.body;
+  const ingest = createIngest();
+  // A bad item is rejected on its own, with the same `errors` a single upload would get, and the rest still land.
+  const results = samples.map((item, index) => {
+    const errors = checkSchema('BatchItem', item, `body.samples[${index}]`);
+    if (!errors.length && !item.device && !device) {
+      errors.push({ path: `body.samples[${index}].device`, code: 'required', message: 'device is required' });
+    }
+    if (errors.length) {
+      return {
+        index,
+        ...(typeof item?.idempotencyKey === 'string' ? { idempotencyKey: item.idempotencyKey } : {}),
+        status: 'rejected',
+        reason: errors.map((error) => error.message).join('; '),
+        errors,
+      };
+    }
+    const { idempotencyKey, device: itemDevice, ...sample } = item;
+    return {
+      index,
+      idempotencyKey,
+      ...ingest.add({ device: itemDevice ?? device, sample, idempotencyKey }, req.user.id),
     };
-    await persistToDisk();
-    return res.status(200).json({ message: 'updated', id: existing.id });
+  });
+  await ingest.commit();
+  await announceSamples(req.user, results, ingest.staged());
+
+  const counts = results.reduce(
+    (acc, result) => ({ ...acc, [result.status]: acc[result.status] + 1 }),
+    { stored: 0, updated: 0, quarantined: 0, rejected: 0 }
+  );
+  res.json({ ...counts, results });
+});
+
+const announceDevices = (user) => {
+  publish(user.id, 'devices', { data: listDevices(user.id) });
+  scheduleSummaryFor(user.id);
+  announceStandings(user.id);
+};
+
+route('GET /devices', (req, res) => {
+  res.json({ data: listDevices(req.user.id) });
+});
+
+route('PUT /devices/:deviceId', async (req, res) => {
+  const { deviceId } = req.params;
+  if (!isKnownDevice(req.user.id, deviceId)) {
+    return notFound(res, 'device not found');
   }
+  const name = req.body.name?.trim() ?? null;
+  const device = await renameDevice(req.user.id, deviceId, name);
+  announceDevices(req.user);
+  res.json(device);
+});
 
-  metrics.push(sample);
-  await persistToDisk();
-  res.status(201).json({ message: 'stored', id: sample.id });
+route('POST /devices/:deviceId/merge', async (req, res) => {
+  const { deviceId } = req.params;
+  const { into } = req.body;
+  if (into === deviceId) {
+    return invalid(res, 'body.into', 'range', 'a device cannot be merged into itself');
+  }
+  if (!isKnownDevice(req.user.id, deviceId) || !isKnownDevice(req.user.id, into)) {
+    return notFound(res, 'device not found');
+  }
+  const result = await mergeDevice(req.user.id, deviceId, into);
+  announceDevices(req.user);
+  res.json({ ...result, device: listDevices(req.user.id).find((device) => device.deviceId === into) ?? null });
+});
+
+route('DELETE /devices/:deviceId', async (req, res) => {
+  const { deviceId } = req.params;
+  if (!isKnownDevice(req.user.id, deviceId)) {
+    return notFound(res, 'device not found');
+  }
+  // Samples go to the trash like any other delete, so removing the wrong device can be undone.
+  const samples = store.lookup('samples', 'device', `${req.user.id}|${deviceId}`);
+  const rollups = selectRollups(req.user.id, { deviceId });
+  const deletion = await trashSamples(req.user.id, samples, { filter: { deviceId }, rollups });
+  const removed = await deleteDevice(req.user.id, deviceId);
+  publish(req.user.id, 'deleted', { deletionId: deletion.id, ids: samples.map((item) => item.id) });
+  announceDevices(req.user);
+  res.json({ message: 'deleted', ...removed, samples: samples.length, deletion });
 });
 
-app.delete('/api/metrics', async (_req, res) => {
-  metrics = [];
-  await persistToDisk();
-  res.json({ message: 'cleared' });
+route('GET /quarantine', (req, res) => {
+  const data = store
+    .lookup('quarantine', 'user', req.user.id)
+    .sort((a, b) => b.quarantinedAt.localeCompare(a.quarantinedAt));
+  res.json({ data });
 });
 
+const findQuarantineEntry = (req) => {
+  const entry = store.get('quarantine', req.params.id);
+  return entry?.userId === req.user.id ? entry : null;
+};
+
+route('POST /quarantine/:id/approve', async (req, res) => {
+  const entry = findQuarantineEntry(req);
+  if (!entry) {
+    return notFound(res, 'quarantined sample not found');
+  }
+  const ingest = createIngest();
+  const result = ingest.approve(entry);
+  await ingest.commit();
+  await announceSamples(req.user, [result], ingest.staged());
+  res.json({ message: 'approved', status: result.status, id: result.id });
+});
+
+route('DELETE /quarantine/:id', async (req, res) => {
+  const entry = findQuarantineEntry(req);
+  if (!entry) {
+    return notFound(res, 'quarantined sample not found');
+  }
+  await store.remove('quarantine', entry.id);
+  res.json({ message: 'discarded' });
+});
+
+// `from`/`to` are local dates, judged the same way as daily totals.
+const withinDates = (list, timeZone, from, to) =>
+  list.filter((item) => {
+    const day = sampleDateKey(item, timeZone);
+    return (!from || day >= from) && (!to || day <= to);
+  });
+
+// Filters combine: ?from=&to= (local dates), ?deviceId=, and a body of { ids }. No filter at all is a full reset.
+route('DELETE /metrics', async (req, res) => {
+  const { from, to, deviceId } = req.query;
+  const { ids } = req.body;
+  const rangeError = dateRangeError(from, to);
+  if (rangeError) {
+    return invalid(res, ...rangeError);
+  }
+
+  const all = metricsFor(req.user.id);
+  const timeZone = resolveTimeZone(req.user, all);
+  const fullReset = !from && !to && !deviceId && !ids;
+  let records = all;
+  if (from || to) {
+    records = withinDates(records, timeZone, from, to);
+  }
+  if (deviceId) {
+    records = records.filter((item) => item.device.deviceId === deviceId);
+  }
+  if (ids) {
+    const wanted = new Set(ids);
+    records = records.filter((item) => wanted.has(item.id));
+  }
+
+  // Picking samples by id never reaches into the rollups retention folded older days into.
+  const rollups = ids ? [] : selectRollups(req.user.id, { from, to, deviceId });
+
+  const snapshot =
+    fullReset && (records.length || rollups.length)
+      ? await createSnapshot(req.user.id, records, 'reset', rollups)
+      : null;
+  const filter = {
+    ...(from ? { from } : {}),
+    ...(to ? { to } : {}),
+    ...(deviceId ? { deviceId } : {}),
+    ...(ids ? { ids: ids.length } : {}),
+  };
+  const deletion = await trashSamples(req.user.id, records, { filter, snapshotId: snapshot?.id, rollups });
+  if (fullReset) {
+    publish(req.user.id, 'cleared', { deletionId: deletion.id });
+  } else {
+    publish(req.user.id, 'deleted', { deletionId: deletion.id, ids: records.map((item) => item.id) });
+  }
+  scheduleSummaryFor(req.user.id);
+  announceStandings(req.user.id);
+  res.json({ message: fullReset ? 'cleared' : 'deleted', deleted: records.length, deletion, snapshot });
+});
+
+route('GET /metrics/trash', (req, res) => {
+  res.json({
+    retentionDays: TRASH_RETENTION_DAYS,
+    data: listDeletions(req.user.id),
+    snapshots: listSnapshots(req.user.id),
+  });
+});
+
+route('POST /metrics/restore', async (req, res) => {
+  const { deletionId, ids, snapshotId } = req.body;
+  const selectors = [deletionId, ids, snapshotId].filter((value) => value !== undefined);
+  if (selectors.length !== 1) {
+    return invalid(res, 'body', 'required', 'provide exactly one of deletionId, ids or snapshotId');
+  }
+  const result = await restoreSamples(req.user.id, { deletionId, ids, snapshotId });
+  if (!result) {
+    return notFound(res, 'nothing to restore');
+  }
+  await announceSamples(
+    req.user,
+    result.restored.map((record) => ({ status: 'restored', id: record.id })),
+    result.restored
+  );
+  res.json({ restored: result.restored.length, rollups: result.rollups, conflicts: result.conflicts });
+});
+
+const MAX_IMPORT_ISSUES = 100;
+
+// JSON carries both datasets; CSV holds one table, picked with ?dataset=samples|daily.
+route('GET /export', (req, res) => {
+  const { format = 'json', dataset = 'samples' } = req.query;
+  const rangeError = dateRangeError(req.query.from, req.query.to);
+  if (rangeError) {
+    return invalid(res, ...rangeError);
+  }
+
+  const list = metricsFor(req.user.id);
+  const timeZone = resolveTimeZone(req.user, list);
+  const { activeMinutes, dailyTotals } = buildActivity(req.user, progressSamples(req.user, list), timeZone);
+  const to = req.query.to ?? todayKey(timeZone);
+  const from = req.query.from ?? Array.from(dailyTotals.keys()).sort()[0] ?? to;
+  if (from <= to && daysBetween(from, to) > MAX_RANGE_DAYS) {
+    return invalid(res, 'query.from', 'range', `range may span at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  const samples = withinDates(list, timeZone, from, to).sort((a, b) => a.sample.end.localeCompare(b.sample.end));
+  const daily =
+    from <= to
+      ? buildHistory({
+          dailyTotals,
+          activeMinutes,
+          plan: createGoalPlan(req.user.id),
+          from,
+          to,
+          granularity: 'day',
+        }).map((entry) => ({
+          date: entry.period,
+          steps: entry.steps,
+          distance: entry.distance,
+          calories: entry.calories,
+          samples: entry.samples,
+          activeMinutes: entry.activeMinutes,
+          stepGoal: entry.stepGoal,
+          calorieGoal: entry.calorieGoal,
+          exempt: entry.exemptDays > 0,
+          goalMet: entry.goalMet === null ? null : entry.activeDays > 0 && entry.goalMet,
+        }))
+      : [];
+
+  const name = `step-calorie-${format === 'csv' ? dataset : 'export'}-${from}-${to}.${format}`;
+  res.attachment(name);
+  if (format === 'csv') {
+    return res.type('text/csv').send(
+      dataset === 'daily' ? toCsv(DAILY_COLUMNS, daily) : toCsv(SAMPLE_COLUMNS, samples.map(sampleRow))
+    );
+  }
+  res.json({
+    exportedAt: new Date().toISOString(),
+    timeZone,
+    from,
+    to,
+    samples: samples.map(({ userId: _userId, ...item }) => item),
+    activities: listActivities(req.user.id, { from, to, dayOf: (entry) => localDateKey(entry.start, { timeZone }) }),
+    daily,
+  });
+});
+
+// Runs every row through the same checks and upserts as POST /api/metrics. ?dryRun=true reports
+// what would happen without writing anything.
+route('POST /import', async (req, res) => {
+  const text = req.streamsBody ? null : req.body;
+  if (text !== null && !text.trim()) {
+    return invalid(res, 'body', 'too-short', 'import body is empty');
+  }
+  const format = req.streamsBody ? 'apple-health' : req.query.format ?? detectImportFormat(req.get('content-type'), text);
+  const { from, to, dryRun = false } = req.query;
+  const rangeError = dateRangeError(from, to);
+  if (rangeError) {
+    return invalid(res, ...rangeError);
+  }
+
+  let parsed;
+  try {
+    parsed = req.streamsBody ? await parseHealthStream(req, { from, to }) : parseImport(text, format, { from, to });
+  } catch (error) {
+    return invalid(res, 'body', 'format', error.message);
+  }
+  if (parsed.tooLarge || parsed.payloads.length > MAX_IMPORT_SAMPLES) {
+    return sendError(
+      res,
+      413,
+      'payload-too-large',
+      `an import may contain at most ${MAX_IMPORT_SAMPLES} samples; narrow it with from and to`
+    );
+  }
+
+  const ingest = createIngest({ skipUnchanged: true });
+  // Rows get the schema checks an upload gets; one that fails is rejected on its own, like a batch item.
+  const results = parsed.payloads.map((payload, index) => {
+    const errors = [
+      ...checkSchema('DeviceInput', payload.device, `rows[${index}].device`),
+      ...checkSchema('SampleInput', payload.sample, `rows[${index}].sample`),
+    ];
+    if (errors.length) {
+      return {
+        index,
+        ...(typeof payload.idempotencyKey === 'string' ? { idempotencyKey: payload.idempotencyKey } : {}),
+        status: 'rejected',
+        reason: errors.map((error) => error.message).join('; '),
+        errors,
+      };
+    }
+    return { index, ...ingest.add(payload, req.user.id) };
+  });
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const issues = [
+    ...parsed.skipped.map((entry) => ({ status: 'rejected', ...entry })),
+    ...results
+      .filter((result) => result.status === 'rejected' || result.status === 'quarantined')
+      .map(({ id: _id, ...result }) => result),
+  ];
+  const report = {
+    dryRun,
+    format,
+    received: results.length + parsed.skipped.length,
+    added: count('stored'),
+    updated: count('updated'),
+    quarantined: count('quarantined'),
+    skipped: count('unchanged') + count('rejected') + parsed.skipped.length,
+    unchanged: count('unchanged'),
+    issues: issues.slice(0, MAX_IMPORT_ISSUES),
+  };
+  if (dryRun) {
+    return res.json(report);
+  }
+
+  await ingest.commit();
+  if (report.added || report.updated) {
+    publish(req.user.id, 'imported', { added: report.added, updated: report.updated });
+    await checkProgress(req.user);
+    scheduleSummaryFor(req.user.id);
+    announceStandings(req.user.id);
+  }
+  res.json(report);
+});
+
+api.use((req, res) => {
+  notFound(res, `${req.method} ${req.originalUrl.split('?')[0]} is not an API endpoint`);
+});
+
+// Bodies the parsers refuse (malformed JSON, over the size limit) get the same error shape as everything else,
+// and so does anything that went wrong inside a handler, such as a store write that failed.
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return invalid(res, 'body', 'format', `body is not valid JSON: ${error.message}`);
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 413, 'payload-too-large', `body may be at most ${error.limit} bytes`);
+  }
+  console.error(`[api] ${req.method} ${redactUrl(req.originalUrl)} failed`, error);
+  if (res.headersSent) {
+    return next(error);
+  }
+  sendError(res, 500, 'internal-error', 'the server could not complete the request');
+});
+
+const unrouted = Object.keys(OPERATIONS).filter((operation) => !routed.has(operation));
+if (unrouted.length) {
+  throw new Error(`the API contract lists operations no route serves: ${unrouted.join(', ')}`);
+}
+
 const bootstrap = async () => {
-  await Promise.all([loadFromDisk(), loadGoals()]);
-  const port = process.env.PORT ?? 4000;
-  app.listen(port, () => {
-    console.log(`API listening on http://localhost:${port}`);
+  store = await openStore({ driver: process.env.STORAGE_DRIVER ?? 'log', dataDir });
+  initAuth(store);
+  initGoals(store);
+  initAchievements(store);
+  initWebhooks(store);
+  initDevices(store);
+  initTrash(store, { slotKey });
+  initActivities(store);
+  initChallenges(store);
+  defineSampleIndexes();
+  initEnergy(store, { sessionKey });
+  initRetention(store, { dayOf: sampleDateKey, timeZoneFor: resolveTimeZone });
+  initReports(store, {
+    dir: process.env.REPORTS_DIR ?? path.join(dataDir, 'reports'),
+    build: buildUserReport,
+    todayFor: reportToday,
+  });
+  await migrateLegacyJson(store, dataDir);
+  await migrateGoalVersions(store);
+  startWebhookWorker(devicesFor);
+  startTrashWorker();
+  startEnergyWorker();
+  startRetentionWorker();
+  startReportWorker();
+  // PORT=0 picks a free port; the log line names the one actually bound.
+  const server = app.listen(process.env.PORT ?? 4000, () => {
+    console.log(`API listening on http://localhost:${server.address().port}`);
   });
 };
 
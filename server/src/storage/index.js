@@ -0,0 +1,198 @@
+import { createLogDriver } from './log.js';
+import { createMemoryDriver } from './memory.js';
+
+const drivers = {
+  log: createLogDriver,
+  memory: createMemoryDriver,
+};
+
+const COMPACT_MIN_DEAD_OPS = 5000;
+
+export const openStore = async ({ driver = 'log', dataDir }) => {
+  const createDriver = drivers[driver];
+  if (!createDriver) {
+    throw new Error(`Unknown storage driver "${driver}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+  }
+
+  const backend = createDriver({ dataDir });
+  const collections = new Map();
+  let writeQueue = Promise.resolve();
+  let opsWritten = 0;
+
+  const collection = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, { records: new Map(), indexes: new Map() });
+    }
+    return collections.get(name);
+  };
+
+  const indexKeys = (index, record) => {
+    const keys = index.key(record);
+    const list = Array.isArray(keys) ? keys : [keys];
+    return list.filter((key) => key !== undefined && key !== null);
+  };
+
+  const dropKey = (index, key, id) => {
+    const ids = index.ids.get(key);
+    ids?.delete(id);
+    if (ids && !ids.size) {
+      index.ids.delete(key);
+    }
+  };
+
+  const unindex = (index, id) => {
+    (index.keysById.get(id) ?? []).forEach((key) => dropKey(index, key, id));
+    index.keysById.delete(id);
+  };
+
+  // Only touched keys move, so an upsert keeps its place in insertion-ordered lookups.
+  const reindex = (index, record) => {
+    const previous = index.keysById.get(record.id) ?? [];
+    const keys = indexKeys(index, record);
+    previous.filter((key) => !keys.includes(key)).forEach((key) => dropKey(index, key, record.id));
+    keys
+      .filter((key) => !previous.includes(key))
+      .forEach((key) => {
+        if (!index.ids.has(key)) {
+          index.ids.set(key, new Set());
+        }
+        index.ids.get(key).add(record.id);
+      });
+    index.keysById.set(record.id, keys);
+  };
+
+  const apply = (op) => {
+    const target = collection(op.c);
+    if (op.op === 'put') {
+      target.records.set(op.r.id, op.r);
+      target.indexes.forEach((index) => reindex(index, op.r));
+    } else if (op.op === 'del') {
+      target.records.delete(op.id);
+      target.indexes.forEach((index) => unindex(index, op.id));
+    }
+  };
+
+  const liveRecords = () =>
+    Array.from(collections.values()).reduce((sum, entry) => sum + entry.records.size, 0);
+
+  const snapshot = () =>
+    Array.from(collections.entries()).flatMap(([name, entry]) =>
+      Array.from(entry.records.values()).map((record) => ({ ops: [{ op: 'put', c: name, r: record }] }))
+    );
+
+  const enqueue = (task) => {
+    const next = writeQueue.then(task);
+    writeQueue = next.catch((error) => {
+      console.error('[storage] Write failed', error);
+    });
+    return next;
+  };
+
+  const compact = () =>
+    enqueue(async () => {
+      const entries = snapshot();
+      await backend.rewrite(entries);
+      const reclaimed = Math.max(opsWritten - entries.length, 0);
+      opsWritten = entries.length;
+      return { records: entries.length, reclaimedOps: reclaimed };
+    });
+
+  const maybeCompact = () => {
+    const deadOps = opsWritten - liveRecords();
+    if (deadOps > COMPACT_MIN_DEAD_OPS && deadOps > liveRecords()) {
+      // A failed rewrite is logged by the queue and leaves the old log in place.
+      compact().catch(() => {});
+    }
+  };
+
+  const recordId = (op) => (op.op === 'put' ? op.r.id : op.id);
+
+  // Puts back what a failed commit replaced, except records a later commit has moved on from since.
+  const revert = (undo) => {
+    undo.reverse().forEach(({ c, id, previous, written }) => {
+      if ((collection(c).records.get(id) ?? null) !== written) {
+        return;
+      }
+      apply(previous ? { op: 'put', c, r: previous } : { op: 'del', c, id });
+    });
+  };
+
+  // Memory is updated synchronously so a read-then-write in one request can't interleave with another;
+  // the returned promise settles once the ops are durable on disk. A failed append undoes the ops again,
+  // so memory never holds what a restart wouldn't load.
+  const commit = (ops) => {
+    if (!ops.length) {
+      return Promise.resolve();
+    }
+    const undo = ops.map((op) => {
+      const previous = collection(op.c).records.get(recordId(op)) ?? null;
+      apply(op);
+      return { c: op.c, id: recordId(op), previous, written: op.op === 'put' ? op.r : null };
+    });
+    const written = enqueue(async () => {
+      await backend.append({ t: new Date().toISOString(), ops });
+      opsWritten += ops.length;
+    });
+    written.then(maybeCompact, () => revert(undo));
+    return written;
+  };
+
+  const entries = await backend.load();
+  entries.forEach((entry) => entry.ops.forEach(apply));
+  opsWritten = entries.reduce((sum, entry) => sum + entry.ops.length, 0);
+
+  return {
+    driver: backend.name,
+
+    defineIndex(name, indexName, key) {
+      const target = collection(name);
+      const index = { key, ids: new Map(), keysById: new Map() };
+      target.indexes.set(indexName, index);
+      target.records.forEach((record) => reindex(index, record));
+    },
+
+    list(name) {
+      return Array.from(collection(name).records.values());
+    },
+
+    count(name) {
+      return collection(name).records.size;
+    },
+
+    get(name, id) {
+      return collection(name).records.get(id) ?? null;
+    },
+
+    lookup(name, indexName, key) {
+      const target = collection(name);
+      const index = target.indexes.get(indexName);
+      if (!index) {
+        throw new Error(`No index "${indexName}" on ${name}`);
+      }
+      return Array.from(index.ids.get(key) ?? []).map((id) => target.records.get(id));
+    },
+
+    lookupOne(name, indexName, key) {
+      return this.lookup(name, indexName, key)[0] ?? null;
+    },
+
+    put(name, record) {
+      return commit([{ op: 'put', c: name, r: record }]);
+    },
+
+    remove(name, id) {
+      return commit([{ op: 'del', c: name, id }]);
+    },
+
+    batch(ops) {
+      return commit(ops);
+    },
+
+    compact,
+
+    async close() {
+      await writeQueue;
+      await backend.close();
+    },
+  };
+};
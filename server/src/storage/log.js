@@ -0,0 +1,87 @@
+import { mkdir, open, readFile, rename, truncate } from 'fs/promises';
+import path from 'path';
+
+// Every write is one JSON line holding a list of ops, so a batch is applied all-or-nothing.
+export const createLogDriver = ({ dataDir }) => {
+  const file = path.join(dataDir, 'store.log');
+  let handle = null;
+  // Bytes of whole entries in the file; a failed append is cut back to this.
+  let size = 0;
+
+  const openForAppend = async () => {
+    handle = await open(file, 'a');
+  };
+
+  return {
+    name: 'log',
+
+    async load() {
+      await mkdir(dataDir, { recursive: true });
+      let buffer = '';
+      try {
+        buffer = await readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      const entries = [];
+      let offset = 0;
+      size = Buffer.byteLength(buffer);
+      for (const line of buffer.split('\n')) {
+        if (!line) {
+          offset += 1;
+          continue;
+        }
+        try {
+          entries.push(JSON.parse(line));
+          offset += Buffer.byteLength(line) + 1;
+        } catch (error) {
+          // A torn final line means the process died mid-append; drop it so later appends stay parseable.
+          console.warn('[storage] Discarding incomplete log entry', error.message);
+          await truncate(file, offset);
+          size = offset;
+          break;
+        }
+      }
+
+      await openForAppend();
+      return entries;
+    },
+
+    // A partly written line would make the next load discard every entry after it.
+    async append(entry) {
+      const line = `${JSON.stringify(entry)}\n`;
+      try {
+        await handle.write(line);
+        await handle.datasync();
+      } catch (error) {
+        await handle?.truncate(size).catch(() => {});
+        throw error;
+      }
+      size += Buffer.byteLength(line);
+    },
+
+    async rewrite(entries) {
+      const tmpFile = `${file}.tmp`;
+      const tmp = await open(tmpFile, 'w');
+      const text = entries.map((entry) => `${JSON.stringify(entry)}\n`).join('');
+      try {
+        await tmp.write(text);
+        await tmp.datasync();
+      } finally {
+        await tmp.close();
+      }
+      await handle.close();
+      await rename(tmpFile, file);
+      await openForAppend();
+      size = Buffer.byteLength(text);
+    },
+
+    async close() {
+      await handle?.close();
+      handle = null;
+    },
+  };
+};
@@ -0,0 +1,9 @@
+export const createMemoryDriver = () => ({
+  name: 'memory',
+  async load() {
+    return [];
+  },
+  async append() {},
+  async rewrite() {},
+  async close() {},
+});
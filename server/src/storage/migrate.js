@@ -0,0 +1,89 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { EPOCH_DATE, createGoalVersion } from '../goals.js';
+
+const MIGRATION_ID = 'legacy-json';
+
+const readJson = async (file) => {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[storage] Skipping unreadable ${path.basename(file)}`, error.message);
+    }
+    return null;
+  }
+};
+
+const goalOps = (goals) => {
+  if (!goals) {
+    return [];
+  }
+  if (typeof goals.steps === 'number' && typeof goals.calories === 'number') {
+    return [{ op: 'put', c: 'meta', r: { id: 'legacy-goals', steps: goals.steps, calories: goals.calories } }];
+  }
+  const ops = Object.entries(goals.users ?? {}).map(([userId, pair]) => ({
+    op: 'put',
+    c: 'goals',
+    r: { id: userId, steps: pair.steps, calories: pair.calories },
+  }));
+  if (goals.legacy) {
+    ops.push({ op: 'put', c: 'meta', r: { id: 'legacy-goals', ...goals.legacy } });
+  }
+  return ops;
+};
+
+// Imports metrics.json, goals.json and users.json from the pre-store layout exactly once.
+export const migrateLegacyJson = async (store, dataDir) => {
+  if (store.get('meta', MIGRATION_ID)) {
+    return null;
+  }
+
+  const [metrics, goals, users] = await Promise.all([
+    readJson(path.join(dataDir, 'metrics.json')),
+    readJson(path.join(dataDir, 'goals.json')),
+    readJson(path.join(dataDir, 'users.json')),
+  ]);
+
+  const samples = Array.isArray(metrics) ? metrics.filter((item) => item?.id && item.sample) : [];
+  const accounts = Array.isArray(users) ? users.filter((user) => user?.id) : [];
+  const report = {
+    id: MIGRATION_ID,
+    migratedAt: new Date().toISOString(),
+    samples: samples.length,
+    users: accounts.length,
+  };
+
+  await store.batch([
+    ...samples.map((record) => ({ op: 'put', c: 'samples', r: record })),
+    ...accounts.map((record) => ({ op: 'put', c: 'users', r: record })),
+    ...goalOps(goals),
+    { op: 'put', c: 'meta', r: report },
+  ]);
+
+  console.log(`[storage] Migrated ${report.samples} samples and ${report.users} accounts from JSON files`);
+  return report;
+};
+
+// Single per-account goal pairs become the first entry of that account's goal history.
+export const migrateGoalVersions = async (store) => {
+  const records = store.list('goals');
+  if (!records.length) {
+    return 0;
+  }
+  await store.batch(
+    records.flatMap((record) => [
+      {
+        op: 'put',
+        c: 'goalVersions',
+        r: createGoalVersion(record.id, {
+          steps: record.steps,
+          calories: record.calories,
+          effectiveFrom: EPOCH_DATE,
+        }),
+      },
+      { op: 'del', c: 'goals', id: record.id },
+    ])
+  );
+  return records.length;
+};
@@ -0,0 +1,107 @@
+const formatters = new Map();
+
+const MAX_OFFSET_MINUTES = 14 * 60;
+
+export const isValidTimeZone = (value) => {
+  if (typeof value !== 'string' || !value) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const isValidOffset = (value) =>
+  Number.isInteger(value) && Math.abs(value) <= MAX_OFFSET_MINUTES;
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+// An explicit per-sample offset wins over a zone name, which keeps replayed uploads stable.
+export const localDateKey = (value, { timeZone = 'UTC', offsetMinutes } = {}) => {
+  const date = new Date(value);
+  if (isValidOffset(offsetMinutes)) {
+    return new Date(date.valueOf() + offsetMinutes * 60000).toISOString().split('T')[0];
+  }
+  const parts = Object.fromEntries(
+    formatterFor(timeZone)
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+export const todayKey = (timeZone = 'UTC') => localDateKey(new Date(), { timeZone });
+
+// Calendar arithmetic on YYYY-MM-DD keys, so DST transitions never skip or repeat a day.
+export const shiftDateKey = (key, days) => {
+  const cursor = new Date(`${key}T00:00:00Z`);
+  cursor.setUTCDate(cursor.getUTCDate() + days);
+  return cursor.toISOString().split('T')[0];
+};
+
+const offsetFormatters = new Map();
+
+// Minutes east of UTC that `timeZone` observes at the given instant.
+export const zoneOffsetMinutes = (instant, timeZone = 'UTC') => {
+  if (!offsetFormatters.has(timeZone)) {
+    offsetFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  const parts = Object.fromEntries(
+    offsetFormatters
+      .get(timeZone)
+      .formatToParts(new Date(instant))
+      .map((part) => [part.type, Number(part.value)])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(instant / 1000) * 1000) / 60000);
+};
+
+const localMidnight = (key, timeZone) => {
+  const naive = Date.parse(`${key}T00:00:00Z`);
+  const guess = naive - zoneOffsetMinutes(naive, timeZone) * 60000;
+  // Re-read the offset at the guess in case a DST switch sits between it and naive midnight.
+  return naive - zoneOffsetMinutes(guess, timeZone) * 60000;
+};
+
+// UTC millisecond bounds [start, end) of a local calendar day; 23 or 25 hours long across DST switches.
+export const zonedDayBounds = (key, timeZone = 'UTC') => ({
+  start: localMidnight(key, timeZone),
+  end: localMidnight(shiftDateKey(key, 1), timeZone),
+});
+
+// Date.parse rolls impossible days over (2020-02-30 becomes 2020-03-01), so the date has to round-trip.
+export const isDateKey = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.valueOf()) && parsed.toISOString().slice(0, 10) === value;
+};
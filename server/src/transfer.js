@@ -0,0 +1,369 @@
+export const EXPORT_FORMATS = ['csv', 'json'];
+export const EXPORT_DATASETS = ['samples', 'daily'];
+export const IMPORT_FORMATS = ['csv', 'json', 'apple-health'];
+
+export const MAX_IMPORT_SAMPLES = 50000;
+
+export const SAMPLE_COLUMNS = [
+  'id',
+  'deviceId',
+  'model',
+  'osVersion',
+  'timeZone',
+  'start',
+  'end',
+  'utcOffsetMinutes',
+  'steps',
+  'distance',
+  'calories',
+  'estimatedCalories',
+  'idempotencyKey',
+  'receivedAt',
+];
+
+export const DAILY_COLUMNS = [
+  'date',
+  'steps',
+  'distance',
+  'calories',
+  'samples',
+  'activeMinutes',
+  'stepGoal',
+  'calorieGoal',
+  'exempt',
+  'goalMet',
+];
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (columns, rows) =>
+  `${[columns.join(','), ...rows.map((row) => columns.map((column) => csvCell(row[column])).join(','))].join('\r\n')}\r\n`;
+
+export const sampleRow = (item) => ({
+  id: item.id,
+  deviceId: item.device.deviceId,
+  model: item.device.model,
+  osVersion: item.device.osVersion,
+  timeZone: item.device.timeZone,
+  start: item.sample.start,
+  end: item.sample.end,
+  utcOffsetMinutes: item.sample.utcOffsetMinutes,
+  steps: item.sample.steps,
+  distance: item.sample.distance,
+  calories: item.sample.calories,
+  estimatedCalories: item.energy?.calories,
+  idempotencyKey: item.idempotencyKey,
+  receivedAt: item.receivedAt,
+});
+
+// RFC 4180: quoted cells may hold commas, doubled quotes and line breaks.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+};
+
+// A flat row (a CSV line or a JSON object shaped like one) as an upload payload.
+const payloadFromRow = (row) => {
+  const value = (column) => (row[column] === undefined || row[column] === '' ? undefined : row[column]);
+  const number = (column) => (value(column) === undefined ? undefined : Number(value(column)));
+  return {
+    idempotencyKey: value('idempotencyKey'),
+    device: {
+      deviceId: value('deviceId'),
+      model: value('model'),
+      osVersion: value('osVersion'),
+      timeZone: value('timeZone'),
+    },
+    sample: {
+      steps: number('steps'),
+      distance: number('distance'),
+      calories: number('calories'),
+      start: value('start'),
+      end: value('end'),
+      utcOffsetMinutes: number('utcOffsetMinutes'),
+    },
+  };
+};
+
+// Every row needs these, as an upload does; the other sample columns are optional.
+const REQUIRED_COLUMNS = ['deviceId', 'start', 'end', 'steps', 'distance', 'calories'];
+
+const parseCsvImport = (text) => {
+  const [header, ...lines] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const columns = (header ?? []).map((column) => column.trim());
+  const missing = REQUIRED_COLUMNS.filter((column) => !columns.includes(column));
+  if (missing.length) {
+    throw new Error(`CSV header must name the ${missing.join(', ')} column${missing.length > 1 ? 's' : ''}`);
+  }
+  return lines.map((cells) =>
+    payloadFromRow(Object.fromEntries(columns.map((column, index) => [column, cells[index]?.trim()])))
+  );
+};
+
+// Accepts this server's own JSON export, a bare list of stored samples, or a list of flat rows.
+const parseJsonImport = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('body is not valid JSON');
+  }
+  const items = Array.isArray(parsed) ? parsed : parsed?.samples;
+  if (!Array.isArray(items)) {
+    throw new Error('JSON must be a list of samples or an object with a samples list');
+  }
+  return items.map((item) => {
+    if (item?.sample && typeof item.sample === 'object') {
+      return { idempotencyKey: item.idempotencyKey, device: item.device, sample: item.sample };
+    }
+    return item && typeof item === 'object' ? payloadFromRow(item) : { sample: item };
+  });
+};
+
+const HEALTH_TYPES = {
+  HKQuantityTypeIdentifierStepCount: 'steps',
+  HKQuantityTypeIdentifierDistanceWalkingRunning: 'distance',
+  HKQuantityTypeIdentifierActiveEnergyBurned: 'calories',
+};
+
+// Distances are stored in metres and energy in kilocalories.
+const HEALTH_UNITS = {
+  steps: { count: 1 },
+  distance: { m: 1, km: 1000, mi: 1609.344, ft: 0.3048, yd: 0.9144 },
+  calories: { kcal: 1, Cal: 1, cal: 0.001, kJ: 0.239006, J: 0.000239006 },
+};
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const decodeXml = (value) => value.replace(/&(lt|gt|amp|quot|apos);/g, (_match, name) => XML_ENTITIES[name]);
+
+// Health writes local times with their offset, e.g. "2024-03-09 18:41:02 -0500".
+const parseHealthDate = (value) => {
+  const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-])(\d{2})(\d{2})$/.exec(value ?? '');
+  if (!match) {
+    return null;
+  }
+  const [, date, time, sign, hours, minutes] = match;
+  const offsetMinutes = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+  return {
+    iso: new Date(`${date}T${time}${sign}${hours}:${minutes}`).toISOString(),
+    date,
+    offsetMinutes,
+  };
+};
+
+const healthDeviceId = (sourceName) =>
+  `health-${sourceName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'unknown'}`;
+
+const toMs = (value) => new Date(value).valueOf();
+
+const readHealthRecord = (attributes) => {
+  const metric = HEALTH_TYPES[attributes.type];
+  if (!metric) {
+    return null;
+  }
+  const start = parseHealthDate(attributes.startDate);
+  const end = parseHealthDate(attributes.endDate);
+  const factor = HEALTH_UNITS[metric][attributes.unit];
+  const value = Number(attributes.value);
+  if (!start || !end || factor === undefined || !Number.isFinite(value)) {
+    return { skipped: { reason: `unreadable ${attributes.type} record`, startDate: attributes.startDate } };
+  }
+  const source = attributes.sourceName || 'Apple Health';
+  const model = /model:([^,>]+)/.exec(attributes.device ?? '')?.[1]?.trim();
+  return {
+    source,
+    device: { deviceId: healthDeviceId(source), model: model ?? source, osVersion: attributes.sourceVersion },
+    metric,
+    value: value * factor,
+    start,
+    end,
+  };
+};
+
+/*
+ * Health records are increments, each counting only its own span, while samples are cumulative per session.
+ * Each source's records are folded into sessions: a record that starts once the previous ones have ended
+ * begins a session of its own, and records that overlap or share a start are added up into one session's
+ * readings, so the derived intervals sum them instead of treating later ones as updated totals.
+ */
+const foldHealthRecords = (records) => {
+  const bySource = new Map();
+  records.forEach((record) => {
+    if (!bySource.has(record.source)) {
+      bySource.set(record.source, []);
+    }
+    bySource.get(record.source).push(record);
+  });
+
+  const payloads = [];
+  bySource.forEach((list) => {
+    let session = null;
+    list
+      .sort((a, b) => toMs(a.start.iso) - toMs(b.start.iso) || toMs(a.end.iso) - toMs(b.end.iso))
+      .forEach((record) => {
+        const start = toMs(record.start.iso);
+        const end = toMs(record.end.iso);
+        if (!session || (start >= session.end && start !== session.start)) {
+          session = { start, end, readings: [] };
+        }
+        let reading = session.readings.at(-1);
+        if (!reading || end > toMs(reading.sample.end)) {
+          reading = {
+            device: record.device,
+            sample: {
+              steps: reading?.sample.steps ?? 0,
+              distance: reading?.sample.distance ?? 0,
+              calories: reading?.sample.calories ?? 0,
+              start: new Date(session.start).toISOString(),
+              end: record.end.iso,
+              utcOffsetMinutes: record.end.offsetMinutes,
+            },
+          };
+          session.readings.push(reading);
+          payloads.push(reading);
+        }
+        reading.sample[record.metric] += record.value;
+        session.end = Math.max(session.end, end);
+      });
+  });
+  return payloads;
+};
+
+// Steps, distance and energy each come as records of their own, so an export holds a few per sample.
+const MAX_HEALTH_RECORDS = MAX_IMPORT_SAMPLES * 3;
+
+/*
+ * Reads step, walking/running distance and active energy records out of an Apple Health export.xml, fed in
+ * chunks with `write` so a multi-gigabyte export never has to be held in memory. Each source becomes a
+ * device. `from`/`to` restrict the import to records ending on those local dates. Past MAX_HEALTH_RECORDS
+ * the rest of the file is skipped and `end()` reports `tooLarge`.
+ */
+export const createHealthParser = ({ from, to } = {}) => {
+  const records = [];
+  const skipped = [];
+  let pending = '';
+  let isHealthExport = false;
+  let tooLarge = false;
+
+  const scan = (text) => {
+    isHealthExport ||= /<HealthData\b/.test(text);
+    const recordPattern = /<Record\b([^>]*)>/g;
+    let match;
+    while ((match = recordPattern.exec(text)) && !tooLarge) {
+      const attributes = {};
+      const attributePattern = /([A-Za-z]+)="([^"]*)"/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(match[1]))) {
+        attributes[attribute[1]] = decodeXml(attribute[2]);
+      }
+      const record = readHealthRecord(attributes);
+      if (record?.skipped) {
+        skipped.push(record.skipped);
+      } else if (record && !(from && record.end.date < from) && !(to && record.end.date > to)) {
+        records.push(record);
+        tooLarge = records.length > MAX_HEALTH_RECORDS;
+      }
+    }
+  };
+
+  return {
+    // Scans up to the last complete tag and keeps the rest for the next chunk.
+    write(chunk) {
+      if (tooLarge) {
+        return;
+      }
+      pending += chunk;
+      const cut = pending.lastIndexOf('>') + 1;
+      scan(pending.slice(0, cut));
+      pending = pending.slice(cut);
+    },
+
+    end() {
+      scan(pending);
+      pending = '';
+      if (!isHealthExport) {
+        throw new Error('body is not an Apple Health export.xml');
+      }
+      return { payloads: tooLarge ? [] : foldHealthRecords(records), skipped, tooLarge };
+    },
+  };
+};
+
+// Feeds a request body straight into the Health parser.
+export const parseHealthStream = async (stream, options) => {
+  const parser = createHealthParser(options);
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) {
+    parser.write(chunk);
+  }
+  return parser.end();
+};
+
+const parseHealthImport = (text, options) => {
+  const parser = createHealthParser(options);
+  parser.write(text);
+  return parser.end();
+};
+
+export const detectImportFormat = (contentType = '', text = '') => {
+  if (/csv/.test(contentType)) {
+    return 'csv';
+  }
+  if (/xml/.test(contentType) || /^\s*<\?xml|<HealthData\b/.test(text.slice(0, 2000))) {
+    return 'apple-health';
+  }
+  if (/json/.test(contentType) || /^\s*[[{]/.test(text)) {
+    return 'json';
+  }
+  return 'csv';
+};
+
+// Returns { payloads, skipped }; throws with a readable message when the body can't be read at all.
+export const parseImport = (text, format, options) => {
+  if (format === 'apple-health') {
+    return parseHealthImport(text, options);
+  }
+  return { payloads: format === 'csv' ? parseCsvImport(text) : parseJsonImport(text), skipped: [] };
+};
@@ -0,0 +1,174 @@
+import { randomUUID } from 'crypto';
+
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const SNAPSHOTS_KEPT = 3;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let store = null;
+let slotKey = null;
+
+const restoreUntil = (deletion) =>
+  new Date(new Date(deletion.deletedAt).valueOf() + TRASH_RETENTION_DAYS * 86400000).toISOString();
+
+// Trash items without a collection are samples; retention rollups are marked `c: 'rollups'`.
+const isRollup = (item) => item.c === 'rollups';
+
+const publicDeletion = (deletion) => {
+  const items = store.lookup('trash', 'deletion', deletion.id);
+  const rollups = items.filter(isRollup).length;
+  return {
+    id: deletion.id,
+    deletedAt: deletion.deletedAt,
+    restoreUntil: restoreUntil(deletion),
+    filter: deletion.filter,
+    count: items.length - rollups,
+    ...(rollups ? { rollups } : {}),
+    ...(deletion.snapshotId ? { snapshotId: deletion.snapshotId } : {}),
+  };
+};
+
+const publicSnapshot = ({ samples, rollups, userId, ...snapshot }) => ({ ...snapshot, count: samples.length });
+
+// `slotKey` is the samples' slot index key, used to spot a reading that was re-uploaded after it was deleted.
+export const initTrash = (nextStore, options) => {
+  store = nextStore;
+  slotKey = options.slotKey;
+  store.defineIndex('deletions', 'user', (deletion) => deletion.userId);
+  store.defineIndex('trash', 'deletion', (item) => item.deletionId);
+  store.defineIndex('snapshots', 'user', (snapshot) => snapshot.userId);
+};
+
+// Moves samples, and any retention rollups covering the same days, to the trash as one undoable deletion.
+export const trashSamples = async (userId, records, { filter, snapshotId, rollups = [] } = {}) => {
+  const deletion = {
+    id: randomUUID(),
+    userId,
+    deletedAt: new Date().toISOString(),
+    filter: filter ?? {},
+    ...(snapshotId ? { snapshotId } : {}),
+  };
+  await store.batch([
+    { op: 'put', c: 'deletions', r: deletion },
+    ...records.flatMap((record) => [
+      { op: 'del', c: 'samples', id: record.id },
+      { op: 'put', c: 'trash', r: { id: record.id, deletionId: deletion.id, record } },
+    ]),
+    ...rollups.flatMap((record) => [
+      { op: 'del', c: 'rollups', id: record.id },
+      { op: 'put', c: 'trash', r: { id: record.id, deletionId: deletion.id, c: 'rollups', record } },
+    ]),
+  ]);
+  return publicDeletion(deletion);
+};
+
+export const listDeletions = (userId) =>
+  store
+    .lookup('deletions', 'user', userId)
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+    .map(publicDeletion);
+
+// Puts records back unless a live sample has since taken the same slot; those stay where they are.
+// Rollups have no such conflict: nothing new is written for days retention has already folded.
+const reinstate = async (records, rollups, cleanup) => {
+  const restored = [];
+  const conflicts = [];
+  records.forEach((record) => {
+    const live = store.lookupOne('samples', 'slot', slotKey(record));
+    if (live && live.id !== record.id) {
+      conflicts.push(record.id);
+    } else {
+      restored.push(record);
+    }
+  });
+  const restoredIds = new Set([...restored, ...rollups].map((record) => record.id));
+  await store.batch([
+    ...restored.map((record) => ({ op: 'put', c: 'samples', r: record })),
+    ...rollups.map((record) => ({ op: 'put', c: 'rollups', r: record })),
+    ...[...restored, ...rollups]
+      .filter((record) => store.get('trash', record.id))
+      .map((record) => ({ op: 'del', c: 'trash', id: record.id })),
+    ...cleanup(restoredIds),
+  ]);
+  return { restored, conflicts, rollups: rollups.length };
+};
+
+const emptiedDeletions = (userId, restoredIds) =>
+  store
+    .lookup('deletions', 'user', userId)
+    .filter((deletion) =>
+      store.lookup('trash', 'deletion', deletion.id).every((item) => restoredIds.has(item.id))
+    )
+    .map((deletion) => ({ op: 'del', c: 'deletions', id: deletion.id }));
+
+// `selector` is { deletionId }, { ids } or { snapshotId }; returns null if nothing matches.
+export const restoreSamples = async (userId, selector) => {
+  if (selector.snapshotId) {
+    const snapshot = store.get('snapshots', selector.snapshotId);
+    if (snapshot?.userId !== userId) {
+      return null;
+    }
+    return reinstate(snapshot.samples, snapshot.rollups ?? [], (restoredIds) => emptiedDeletions(userId, restoredIds));
+  }
+
+  const deletions = store.lookup('deletions', 'user', userId);
+  const items = selector.deletionId
+    ? deletions.some((deletion) => deletion.id === selector.deletionId)
+      ? store.lookup('trash', 'deletion', selector.deletionId)
+      : []
+    : selector.ids
+        .map((id) => store.get('trash', id))
+        .filter((item) => item && deletions.some((deletion) => deletion.id === item.deletionId));
+  if (!items.length) {
+    return null;
+  }
+  return reinstate(
+    items.filter((item) => !isRollup(item)).map((item) => item.record),
+    items.filter(isRollup).map((item) => item.record),
+    (restoredIds) => emptiedDeletions(userId, restoredIds)
+  );
+};
+
+// Full resets copy every sample aside first, so a reset can be rolled back even after the trash is purged.
+export const createSnapshot = async (userId, records, reason, rollups = []) => {
+  const snapshot = {
+    id: randomUUID(),
+    userId,
+    reason,
+    createdAt: new Date().toISOString(),
+    samples: records,
+    rollups,
+  };
+  const stale = store
+    .lookup('snapshots', 'user', userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(SNAPSHOTS_KEPT - 1);
+  await store.batch([
+    ...stale.map((entry) => ({ op: 'del', c: 'snapshots', id: entry.id })),
+    { op: 'put', c: 'snapshots', r: snapshot },
+  ]);
+  return publicSnapshot(snapshot);
+};
+
+export const listSnapshots = (userId) =>
+  store
+    .lookup('snapshots', 'user', userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(publicSnapshot);
+
+export const purgeExpiredTrash = async (now = Date.now()) => {
+  const expired = store.list('deletions').filter((deletion) => new Date(restoreUntil(deletion)).valueOf() <= now);
+  const ops = expired.flatMap((deletion) => [
+    ...store.lookup('trash', 'deletion', deletion.id).map((item) => ({ op: 'del', c: 'trash', id: item.id })),
+    { op: 'del', c: 'deletions', id: deletion.id },
+  ]);
+  await store.batch(ops);
+  return expired.length;
+};
+
+export const startTrashWorker = () => {
+  const purge = () => purgeExpiredTrash().catch((error) => console.error('[trash] Purge failed', error));
+  purge();
+  const timer = setInterval(purge, PURGE_INTERVAL_MS);
+  timer.unref?.();
+};
@@ -0,0 +1,95 @@
+const COUNTERS = ['steps', 'distance', 'calories'];
+
+// Upper bounds for what a phone pedometer can plausibly report, averaged over a sample's span.
+export const PLAUSIBILITY_LIMITS = {
+  cadence: 250, // steps per minute
+  speed: 10, // metres per second
+  caloriesPerStep: 0.5,
+  futureSkewMinutes: 10,
+};
+
+// Samples shorter than this are treated as lasting this long when computing rates.
+const MIN_SPAN_MS = 1000;
+
+const isDateLike = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// Structural checks only: the shape and types a sample must have before it's worth storing anywhere.
+export const validateSamplePayload = (sample) => {
+  if (!sample || typeof sample !== 'object' || Array.isArray(sample)) {
+    return 'sample must be an object';
+  }
+  for (const counter of COUNTERS) {
+    const value = sample[counter];
+    if (value === undefined) {
+      continue;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return `sample.${counter} must be a number`;
+    }
+    if (value < 0) {
+      return `sample.${counter} must not be negative`;
+    }
+  }
+  for (const field of ['start', 'end']) {
+    if (sample[field] !== undefined && !isDateLike(sample[field])) {
+      return `sample.${field} must be an ISO-8601 timestamp`;
+    }
+  }
+  if (sample.start !== undefined && sample.end !== undefined && Date.parse(sample.end) < Date.parse(sample.start)) {
+    return 'sample.end must not be before sample.start';
+  }
+  return null;
+};
+
+// Returns the reasons a well-formed sample looks physically implausible; `session` holds the other stored
+// readings from the same device session, which cumulative counters must never fall below.
+export const detectAnomalies = (record, session = [], now = Date.now()) => {
+  const { sample } = record;
+  const start = Date.parse(sample.start);
+  const end = Date.parse(sample.end);
+  const spanMs = Math.max(end - start, MIN_SPAN_MS);
+  const reasons = [];
+
+  const cadence = sample.steps / (spanMs / 60000);
+  if (cadence > PLAUSIBILITY_LIMITS.cadence) {
+    reasons.push({
+      code: 'cadence',
+      message: `${Math.round(cadence)} steps/min exceeds ${PLAUSIBILITY_LIMITS.cadence}`,
+    });
+  }
+  const speed = sample.distance / (spanMs / 1000);
+  if (speed > PLAUSIBILITY_LIMITS.speed) {
+    reasons.push({
+      code: 'speed',
+      message: `${speed.toFixed(1)} m/s exceeds ${PLAUSIBILITY_LIMITS.speed}`,
+    });
+  }
+  if (sample.steps > 0 && sample.calories / sample.steps > PLAUSIBILITY_LIMITS.caloriesPerStep) {
+    reasons.push({
+      code: 'calories-per-step',
+      message: `${(sample.calories / sample.steps).toFixed(2)} kcal/step exceeds ${PLAUSIBILITY_LIMITS.caloriesPerStep}`,
+    });
+  }
+  if (end > now + PLAUSIBILITY_LIMITS.futureSkewMinutes * 60000) {
+    reasons.push({ code: 'future', message: 'sample ends in the future' });
+  }
+
+  const earlier = session
+    .filter((other) => Date.parse(other.sample.end) < end)
+    .sort((a, b) => Date.parse(b.sample.end) - Date.parse(a.sample.end))[0];
+  const later = session
+    .filter((other) => Date.parse(other.sample.end) > end)
+    .sort((a, b) => Date.parse(a.sample.end) - Date.parse(b.sample.end))[0];
+  const fell = COUNTERS.filter(
+    (counter) =>
+      (earlier && sample[counter] < earlier.sample[counter]) || (later && sample[counter] > later.sample[counter])
+  );
+  if (fell.length) {
+    reasons.push({
+      code: 'counter-regression',
+      message: `cumulative ${fell.join(', ')} went backwards within the session`,
+    });
+  }
+
+  return reasons;
+};
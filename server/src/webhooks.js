@@ -0,0 +1,349 @@
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import { lookup } from 'dns/promises';
+import { BlockList, isIPv4 } from 'net';
+
+export const WEBHOOK_EVENTS = [
+  'goal.steps_reached',
+  'goal.calories_reached',
+  'streak.extended',
+  'streak.broken',
+  'device.inactive',
+];
+
+export const DEFAULT_INACTIVITY_HOURS = 12;
+export const MAX_INACTIVITY_HOURS = 24 * 7;
+
+const MAX_ATTEMPTS = 6;
+const DELIVERY_TIMEOUT_MS = 10000;
+const DELIVERIES_KEPT = 100;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 5000;
+const SWEEP_INTERVAL_MS = Number(process.env.WEBHOOK_SWEEP_MS) || 60000;
+
+let store = null;
+const timers = new Map();
+
+const publicWebhook = (webhook) => ({
+  id: webhook.id,
+  url: webhook.url,
+  events: webhook.events,
+  inactivityHours: webhook.inactivityHours,
+  secretHint: webhook.secret.slice(-4),
+  createdAt: webhook.createdAt,
+});
+
+const publicDelivery = ({ userId, body, ...delivery }) => ({ ...delivery, event: body.type, data: body.data });
+
+export const initWebhooks = (nextStore) => {
+  store = nextStore;
+  store.defineIndex('webhooks', 'user', (webhook) => webhook.userId);
+  store.defineIndex('webhookDeliveries', 'webhook', (delivery) => delivery.webhookId);
+};
+
+// Loopback, private, link-local (cloud metadata lives at 169.254.169.254), shared, multicast and reserved ranges.
+const INTERNAL_RANGES = new BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+].forEach(([address, prefix]) => INTERNAL_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => INTERNAL_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 ranges too.
+const isInternalAddress = (address) => INTERNAL_RANGES.check(address, isIPv4(address) ? 'ipv4' : 'ipv6');
+
+/*
+ * Anyone with an account can subscribe, so deliveries must not become a way to reach the server's own
+ * network. Returns why `url` may not receive deliveries, or null. Set WEBHOOK_ALLOW_PRIVATE=1 to allow
+ * receivers on loopback or private addresses, e.g. during local development.
+ */
+export const checkWebhookTarget = async (url) => {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE === '1') {
+    return null;
+  }
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return `url host ${host} could not be resolved`;
+  }
+  const internal = addresses.find(({ address }) => isInternalAddress(address));
+  return internal ? `url host ${host} resolves to ${internal.address}, which is not a public address` : null;
+};
+
+export const listWebhooks = (userId) => store.lookup('webhooks', 'user', userId).map(publicWebhook);
+
+const findWebhook = (userId, id) => {
+  const webhook = store.get('webhooks', id);
+  return webhook?.userId === userId ? webhook : null;
+};
+
+// The secret is only returned here; receivers verify X-Webhook-Signature with it.
+export const createWebhook = async (userId, { url, events, inactivityHours }) => {
+  const webhook = {
+    id: randomUUID(),
+    userId,
+    url,
+    events,
+    inactivityHours,
+    secret: `whsec_${randomBytes(24).toString('hex')}`,
+    inactiveNotified: {},
+    createdAt: new Date().toISOString(),
+  };
+  await store.put('webhooks', webhook);
+  return { ...publicWebhook(webhook), secret: webhook.secret };
+};
+
+export const removeWebhook = async (userId, id) => {
+  if (!findWebhook(userId, id)) {
+    return false;
+  }
+  const deliveries = store.lookup('webhookDeliveries', 'webhook', id);
+  deliveries.forEach((delivery) => {
+    clearTimeout(timers.get(delivery.id));
+    timers.delete(delivery.id);
+  });
+  await store.batch([
+    { op: 'del', c: 'webhooks', id },
+    ...deliveries.map((delivery) => ({ op: 'del', c: 'webhookDeliveries', id: delivery.id })),
+  ]);
+  return true;
+};
+
+export const listDeliveries = (userId, id) => {
+  if (!findWebhook(userId, id)) {
+    return null;
+  }
+  return store
+    .lookup('webhookDeliveries', 'webhook', id)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(publicDelivery);
+};
+
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const attempt = async (deliveryId) => {
+  timers.delete(deliveryId);
+  const delivery = store.get('webhookDeliveries', deliveryId);
+  const webhook = delivery && store.get('webhooks', delivery.webhookId);
+  if (!webhook || delivery.status !== 'pending') {
+    return;
+  }
+
+  const body = JSON.stringify(delivery.body);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const result = { at: new Date(startedAt).toISOString() };
+  try {
+    // Checked again on every attempt, since the host may resolve elsewhere by now.
+    const blocked = await checkWebhookTarget(webhook.url);
+    if (blocked) {
+      throw new Error(blocked);
+    }
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      // A redirect could point anywhere, including addresses the check above refuses.
+      redirect: 'manual',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'step-calorie-counter-webhooks',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Event': delivery.body.type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    result.statusCode = response.status;
+    result.ok = response.ok;
+  } catch (error) {
+    result.ok = false;
+    result.error = error.name === 'TimeoutError' ? 'timed out' : error.cause?.code ?? error.message;
+  }
+  result.durationMs = Date.now() - startedAt;
+
+  // The webhook may have been deleted while the request was in flight.
+  if (!store.get('webhookDeliveries', deliveryId)) {
+    return;
+  }
+  const attempts = [...delivery.attempts, result];
+  const exhausted = attempts.length >= MAX_ATTEMPTS;
+  const next = {
+    ...delivery,
+    attempts,
+    status: result.ok ? 'delivered' : exhausted ? 'failed' : 'pending',
+    nextAttemptAt: null,
+  };
+  if (next.status === 'pending') {
+    // 1x, 2x, 4x, 8x, 16x the base delay between attempts.
+    next.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts.length - 1)).toISOString();
+  }
+  await store.put('webhookDeliveries', next);
+  if (next.status === 'pending') {
+    schedule(next);
+  }
+};
+
+const schedule = (delivery) => {
+  const delay = Math.max(new Date(delivery.nextAttemptAt).valueOf() - Date.now(), 0);
+  const timer = setTimeout(() => {
+    attempt(delivery.id).catch((error) => console.error('[webhooks] Delivery failed', error));
+  }, delay);
+  timer.unref?.();
+  timers.set(delivery.id, timer);
+};
+
+// Only the newest deliveries per webhook are kept as its log.
+const pruneOps = (webhookId) =>
+  store
+    .lookup('webhookDeliveries', 'webhook', webhookId)
+    .filter((delivery) => delivery.status !== 'pending')
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(DELIVERIES_KEPT - 1)
+    .map((delivery) => ({ op: 'del', c: 'webhookDeliveries', id: delivery.id }));
+
+const enqueue = async (webhooks, type, data) => {
+  const createdAt = new Date().toISOString();
+  const deliveries = webhooks.map((webhook) => {
+    const id = randomUUID();
+    return {
+      id,
+      webhookId: webhook.id,
+      userId: webhook.userId,
+      status: 'pending',
+      body: { id, type, createdAt, data },
+      attempts: [],
+      nextAttemptAt: createdAt,
+      createdAt,
+    };
+  });
+  if (!deliveries.length) {
+    return [];
+  }
+  await store.batch([
+    ...webhooks.flatMap((webhook) => pruneOps(webhook.id)),
+    ...deliveries.map((delivery) => ({ op: 'put', c: 'webhookDeliveries', r: delivery })),
+  ]);
+  deliveries.forEach(schedule);
+  return deliveries;
+};
+
+export const dispatchEvent = (userId, type, data) =>
+  enqueue(
+    store.lookup('webhooks', 'user', userId).filter((webhook) => webhook.events.includes(type)),
+    type,
+    data
+  );
+
+export const sendTestEvent = async (userId, id) => {
+  const webhook = findWebhook(userId, id);
+  if (!webhook) {
+    return null;
+  }
+  const [delivery] = await enqueue([webhook], 'ping', { message: 'Webhook test from step-calorie-counter' });
+  return publicDelivery(delivery);
+};
+
+export const hasWebhooks = (userId) => store.lookup('webhooks', 'user', userId).length > 0;
+
+// Compares the latest progress snapshot with the last one seen and fires an event per transition.
+// The first snapshot for an account only records a baseline.
+export const evaluateProgressEvents = async (userId, snapshot) => {
+  const previous = store.get('webhookState', userId);
+  const stepsReached = snapshot.steps >= snapshot.stepGoal;
+  const caloriesReached = snapshot.calories >= snapshot.calorieGoal;
+  const state = { id: userId, date: snapshot.date, stepsReached, caloriesReached, streak: snapshot.streak };
+  await store.put('webhookState', state);
+  if (!previous) {
+    return;
+  }
+
+  const sameDay = previous.date === snapshot.date;
+  if (stepsReached && !(sameDay && previous.stepsReached)) {
+    await dispatchEvent(userId, 'goal.steps_reached', {
+      date: snapshot.date,
+      steps: snapshot.steps,
+      goal: snapshot.stepGoal,
+    });
+  }
+  if (caloriesReached && !(sameDay && previous.caloriesReached)) {
+    await dispatchEvent(userId, 'goal.calories_reached', {
+      date: snapshot.date,
+      calories: snapshot.calories,
+      goal: snapshot.calorieGoal,
+    });
+  }
+  if (snapshot.streak > previous.streak) {
+    await dispatchEvent(userId, 'streak.extended', {
+      date: snapshot.date,
+      days: snapshot.streak,
+      previous: previous.streak,
+    });
+  } else if (snapshot.streak < previous.streak) {
+    await dispatchEvent(userId, 'streak.broken', {
+      date: snapshot.date,
+      days: snapshot.streak,
+      previous: previous.streak,
+    });
+  }
+};
+
+// Fires once per silent spell per device, and only for spells that crossed the threshold after subscribing.
+const checkInactivity = async (webhook, devices, now) => {
+  const thresholdMs = webhook.inactivityHours * 3600000;
+  const notified = { ...webhook.inactiveNotified };
+  const silent = devices.filter((device) => {
+    const crossedAt = new Date(device.lastSeenAt).valueOf() + thresholdMs;
+    return crossedAt <= now && crossedAt >= new Date(webhook.createdAt).valueOf() && notified[device.deviceId] !== device.lastSeenAt;
+  });
+  if (!silent.length) {
+    return;
+  }
+  silent.forEach((device) => {
+    notified[device.deviceId] = device.lastSeenAt;
+  });
+  await store.put('webhooks', { ...webhook, inactiveNotified: notified });
+  for (const device of silent) {
+    await enqueue([webhook], 'device.inactive', {
+      deviceId: device.deviceId,
+      model: device.model,
+      lastSeenAt: device.lastSeenAt,
+      hours: webhook.inactivityHours,
+    });
+  }
+};
+
+// `devicesFor(userId)` returns [{ deviceId, model, lastSeenAt }] for the account's devices.
+export const startWebhookWorker = (devicesFor) => {
+  store
+    .list('webhookDeliveries')
+    .filter((delivery) => delivery.status === 'pending')
+    .forEach(schedule);
+
+  const sweep = async () => {
+    const now = Date.now();
+    const watchers = store.list('webhooks').filter((webhook) => webhook.events.includes('device.inactive'));
+    for (const webhook of watchers) {
+      await checkInactivity(webhook, devicesFor(webhook.userId), now);
+    }
+  };
+  const timer = setInterval(() => {
+    sweep().catch((error) => console.error('[webhooks] Inactivity sweep failed', error));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref?.();
+};
@@ -0,0 +1,222 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { OPERATIONS } from '../src/openapi.js';
+import { shiftDateKey, todayKey } from '../src/time.js';
+import { ADMIN_TOKEN, contract, createClient, startServer } from './helpers.js';
+
+/*
+ * Calls every operation in the contract against a running server and checks each answer, errors included,
+ * against the OpenAPI document. The last test fails when an operation is added without being called here.
+ */
+
+const today = todayKey('UTC');
+const yesterday = shiftDateKey(today, -1);
+const at = (time, date = yesterday) => `${date}T${time}:00.000Z`;
+
+const sample = (deviceId, { steps = 1000, start = '08:00', end = '08:10' } = {}) => ({
+  device: { deviceId, model: 'iPhone', osVersion: '18.0', timeZone: 'UTC' },
+  sample: { steps, distance: steps * 0.7, calories: steps * 0.04, start: at(start), end: at(end) },
+});
+
+let server;
+let call;
+let openStream;
+let called;
+let token;
+let friendToken;
+
+before(async () => {
+  server = await startServer();
+  ({ call, openStream, called } = createClient(server.baseUrl));
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('the served document is the contract', async () => {
+  const response = await call('GET /openapi.json');
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body, contract);
+});
+
+test('accounts and tokens', async () => {
+  const refused = await call('POST /users', { body: { name: 'Ann' } });
+  assert.equal(refused.status, 403);
+
+  const account = await call('POST /users', { body: { name: 'Ann' }, token: ADMIN_TOKEN });
+  assert.equal(account.status, 201);
+  token = account.body.token.token;
+  const friend = await call('POST /users', { body: { name: 'Bo' }, token: ADMIN_TOKEN });
+  friendToken = friend.body.token.token;
+
+  assert.equal((await call('GET /me')).status, 401);
+  assert.equal((await call('GET /me', { token })).status, 200);
+  const issued = await call('POST /tokens', { body: { label: 'web' }, token });
+  assert.equal(issued.status, 201);
+  assert.equal((await call('GET /tokens', { token })).body.data.length, 2);
+  assert.equal((await call('DELETE /tokens/:id', { params: { id: issued.body.id }, token })).status, 200);
+  assert.equal((await call('DELETE /tokens/:id', { params: { id: issued.body.id }, token })).status, 404);
+});
+
+test('settings and profile', async () => {
+  assert.equal((await call('PUT /settings', { body: { timeZone: 'UTC' }, token })).status, 200);
+  const invalid = await call('PUT /settings', { body: { timezone: 'UTC' }, token });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.errors[0].path, 'body.timezone');
+  assert.equal((await call('GET /settings', { token })).status, 200);
+  assert.equal((await call('PUT /profile', { body: { weightKg: 70, heightCm: 175 }, token })).status, 200);
+  assert.equal((await call('GET /profile', { token })).status, 200);
+});
+
+test('uploads', async () => {
+  assert.equal((await call('POST /metrics', { body: sample('phone'), token })).status, 201);
+  assert.equal((await call('POST /metrics', { body: sample('phone'), token })).status, 200);
+  const implausible = await call('POST /metrics', { body: sample('phone', { steps: 90000, start: '09:00', end: '09:01' }), token });
+  assert.equal(implausible.status, 202);
+  const rejected = await call('POST /metrics', { body: { device: { deviceId: 'phone' }, sample: { steps: -1 } }, token });
+  assert.equal(rejected.status, 400);
+
+  const batch = await call('POST /metrics/batch', {
+    body: {
+      device: sample('watch').device,
+      samples: [
+        { ...sample('watch').sample, idempotencyKey: 'watch-1' },
+        { ...sample('watch', { steps: 2000, start: '12:00', end: '12:20' }).sample, idempotencyKey: 'watch-2' },
+        { idempotencyKey: 'watch-3', steps: 1 },
+      ],
+    },
+    token,
+  });
+  assert.equal(batch.status, 200);
+  assert.equal(batch.body.stored, 2);
+  assert.equal(batch.body.rejected, 1);
+
+  await call('POST /metrics', { body: sample('old-phone', { start: '14:00', end: '14:10' }), token });
+  await call('POST /metrics', { body: sample('spare', { start: '16:00', end: '16:10' }), token });
+  assert.equal((await call('GET /metrics', { query: { limit: 5 }, token })).status, 200);
+});
+
+test('quarantine', async () => {
+  const { body } = await call('GET /quarantine', { token });
+  assert.equal(body.data.length, 1);
+  assert.equal((await call('POST /quarantine/:id/approve', { params: { id: body.data[0].id }, token })).status, 200);
+  await call('POST /metrics', { body: sample('phone', { steps: 90000, start: '10:00', end: '10:01' }), token });
+  const [entry] = (await call('GET /quarantine', { token })).body.data;
+  assert.equal((await call('DELETE /quarantine/:id', { params: { id: entry.id }, token })).status, 200);
+  assert.equal((await call('DELETE /quarantine/:id', { params: { id: entry.id }, token })).status, 404);
+});
+
+test('devices', async () => {
+  assert.equal((await call('GET /devices', { token })).status, 200);
+  assert.equal((await call('PUT /devices/:deviceId', { params: { deviceId: 'phone' }, body: { name: 'Phone' }, token })).status, 200);
+  const merged = await call('POST /devices/:deviceId/merge', { params: { deviceId: 'old-phone' }, body: { into: 'phone' }, token });
+  assert.equal(merged.status, 200);
+  assert.equal((await call('DELETE /devices/:deviceId', { params: { deviceId: 'spare' }, token })).status, 200);
+});
+
+test('goals and exemptions', async () => {
+  assert.equal((await call('GET /goals', { token })).status, 200);
+  assert.equal((await call('PUT /goals', { body: { steps: 9000, calories: 450 }, token })).status, 200);
+  assert.equal((await call('GET /goals/history', { token })).status, 200);
+
+  const marked = await call('POST /exemptions', { body: { date: shiftDateKey(yesterday, -1), kind: 'rest' }, token });
+  assert.equal(marked.status, 201);
+  const { body } = await call('GET /exemptions', { token });
+  assert.equal(body.data.length, 1);
+  assert.equal((await call('DELETE /exemptions/:id', { params: { id: body.data[0].id }, token })).status, 200);
+});
+
+test('workouts', async () => {
+  const created = await call('POST /activities', { body: { type: 'running', start: at('18:00'), durationMinutes: 30 }, token });
+  assert.equal(created.status, 201);
+  const params = { id: created.body.id };
+  assert.equal((await call('GET /activities', { token })).status, 200);
+  assert.equal((await call('GET /activities/:id', { params, token })).status, 200);
+  assert.equal((await call('PUT /activities/:id', { params, body: { durationMinutes: 45 }, token })).status, 200);
+  assert.equal((await call('DELETE /activities/:id', { params, token })).status, 200);
+  assert.equal((await call('GET /activities/:id', { params, token })).status, 404);
+});
+
+test('progress views', async () => {
+  for (const operation of ['GET /summary', 'GET /insights', 'GET /predictions', 'GET /achievements']) {
+    assert.equal((await call(operation, { token })).status, 200, operation);
+  }
+  assert.equal((await call('GET /activity', { query: { date: yesterday, bucket: '15m' }, token })).status, 200);
+  assert.equal((await call('GET /activity', { query: { date: '2020-02-30' }, token })).status, 400);
+  assert.equal((await call('GET /history', { query: { granularity: 'week' }, token })).status, 200);
+  assert.equal((await call('GET /days', { query: { from: shiftDateKey(today, -7), to: today }, token })).status, 200);
+  assert.equal((await call('GET /days/:date', { params: { date: yesterday }, token })).status, 200);
+  assert.equal((await call('GET /days/:date', { params: { date: '2026-13-01' }, token })).status, 400);
+  assert.equal((await call('GET /reports/:kind', { params: { kind: 'weekly' }, token })).status, 200);
+  const markdown = await call('GET /reports/:kind', { params: { kind: 'monthly' }, query: { format: 'markdown' }, token });
+  assert.equal(markdown.status, 200);
+});
+
+test('event stream', async () => {
+  const response = await openStream('GET /stream', { token });
+  assert.equal(response.status, 200);
+  assert.match(response.text, /event: summary/);
+});
+
+test('challenges', async () => {
+  const created = await call('POST /challenges', {
+    body: { name: 'October', metric: 'steps', type: 'total', from: yesterday, to: shiftDateKey(today, 7) },
+    token,
+  });
+  assert.equal(created.status, 201);
+  const params = { id: created.body.id };
+  assert.equal((await call('POST /challenges/join', { body: { code: created.body.code }, token: friendToken })).status, 200);
+  assert.equal((await call('GET /challenges', { token })).body.data[0].participants, 2);
+  assert.equal((await call('GET /challenges/:id', { params, token: friendToken })).status, 200);
+  assert.equal((await call('POST /challenges/:id/leave', { params, token })).status, 400);
+  assert.equal((await call('POST /challenges/:id/leave', { params, token: friendToken })).status, 200);
+  assert.equal((await call('DELETE /challenges/:id', { params, token })).status, 200);
+});
+
+test('webhooks', async () => {
+  const created = await call('POST /webhooks', { body: { url: 'http://127.0.0.1:9/hook', events: ['streak.extended'] }, token });
+  assert.equal(created.status, 201);
+  const params = { id: created.body.id };
+  assert.equal((await call('GET /webhooks', { token })).status, 200);
+  assert.equal((await call('POST /webhooks/:id/test', { params, token })).status, 202);
+  assert.equal((await call('GET /webhooks/:id/deliveries', { params, token })).status, 200);
+  assert.equal((await call('DELETE /webhooks/:id', { params, token })).status, 200);
+});
+
+test('export and import', async () => {
+  const exported = await call('GET /export', { query: { format: 'json' }, token });
+  assert.equal(exported.status, 200);
+  assert.equal((await call('GET /export', { query: { format: 'csv', dataset: 'daily' }, token })).status, 200);
+  const csv = `start,end,steps,distance,calories,deviceId\n${at('20:00')},${at('20:10')},800,560,32,phone\n`;
+  const imported = await call('POST /import', { body: csv, type: 'text/csv', token });
+  assert.equal(imported.status, 200);
+  assert.equal(imported.body.added, 1);
+  assert.equal((await call('POST /import', { body: '<nope', query: { format: 'json' }, type: 'text/plain', token })).status, 400);
+});
+
+test('delete and restore', async () => {
+  const [item] = (await call('GET /metrics', { query: { limit: 1 }, token })).body.data;
+  const deleted = await call('DELETE /metrics', { body: { ids: [item.id] }, token });
+  assert.equal(deleted.status, 200);
+  const trash = (await call('GET /metrics/trash', { token })).body.data;
+  assert.ok(trash.some((deletion) => deletion.id === deleted.body.deletion.id));
+  const restored = await call('POST /metrics/restore', { body: { deletionId: deleted.body.deletion.id }, token });
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.restored, 1);
+});
+
+test('admin routes', async () => {
+  assert.equal((await call('GET /admin/retention', { token })).status, 403);
+  assert.equal((await call('GET /admin/retention', { token: ADMIN_TOKEN })).status, 200);
+  const sweep = await call('POST /admin/retention', { body: { dryRun: true }, token: ADMIN_TOKEN });
+  assert.equal(sweep.status, 200);
+});
+
+test('every operation in the contract was called', () => {
+  assert.deepEqual(
+    Object.keys(OPERATIONS).filter((operation) => !called.has(operation)),
+    []
+  );
+  assert.deepEqual(server.warnings(), []);
+});
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { shiftDateKey, todayKey } from '../src/time.js';
+import { ADMIN_TOKEN, createClient, startServer } from './helpers.js';
+
+// The account starts out keeping days in UTC; the first samples were recorded five hours behind it.
+const day = shiftDateKey(todayKey('UTC'), -3);
+const dayBefore = shiftDateKey(day, -1);
+
+let server;
+let call;
+let token;
+
+const upload = (deviceId, sample, device = {}) =>
+  call('POST /metrics', {
+    body: {
+      device: { deviceId, model: 'iPhone', osVersion: '18.0', ...device },
+      sample: { distance: 0, calories: 0, ...sample },
+    },
+    token,
+  });
+
+const calendar = async () => {
+  const { body } = await call('GET /days', { query: { from: dayBefore, to: day }, token });
+  return body.data.map(({ date, steps, samples }) => [date, steps, samples]);
+};
+
+before(async () => {
+  server = await startServer();
+  ({ call } = createClient(server.baseUrl));
+  const account = await call('POST /users', { body: { name: 'Ann' }, token: ADMIN_TOKEN });
+  token = account.body.token.token;
+  await call('PUT /settings', { body: { timeZone: 'UTC' }, token });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('a sample near midnight counts its steps on the day its own offset puts it', async () => {
+  const stored = await upload('phone', {
+    steps: 500,
+    start: `${day}T01:30:00.000Z`,
+    end: `${day}T02:00:00.000Z`,
+    utcOffsetMinutes: -300,
+  });
+  assert.equal(stored.status, 201);
+  assert.deepEqual(await calendar(), [
+    [dayBefore, 500, 1],
+    [day, 0, 0],
+  ]);
+
+  const { body } = await call('GET /days/:date', { params: { date: dayBefore }, token });
+  assert.equal(body.steps, 500);
+  assert.equal(body.samples.length, 1);
+});
+
+test("a device's own zone decides the day under every merge policy", async () => {
+  await upload(
+    'watch',
+    { steps: 300, start: `${day}T03:00:00.000Z`, end: `${day}T03:30:00.000Z` },
+    { timeZone: 'America/New_York' }
+  );
+  for (const mergePolicy of ['sum', 'max', 'priority']) {
+    await call('PUT /settings', { body: { mergePolicy }, token });
+    assert.deepEqual(
+      await calendar(),
+      [
+        [dayBefore, 800, 2],
+        [day, 0, 0],
+      ],
+      mergePolicy
+    );
+  }
+});
+
+test('the account zone decides the day for samples with neither an offset nor a device zone', async () => {
+  await call('PUT /settings', { body: { mergePolicy: null }, token });
+  await upload('tablet', { steps: 200, start: `${day}T02:40:00.000Z`, end: `${day}T03:00:00.000Z` });
+  assert.deepEqual(await calendar(), [
+    [dayBefore, 800, 2],
+    [day, 200, 1],
+  ]);
+
+  await call('PUT /settings', { body: { timeZone: 'America/New_York' }, token });
+  assert.deepEqual(await calendar(), [
+    [dayBefore, 1000, 3],
+    [day, 0, 0],
+  ]);
+  const { body } = await call('GET /summary', { token });
+  assert.equal(body.timeZone, 'America/New_York');
+  assert.equal(body.today.date, todayKey('America/New_York'));
+});
+
+test('calendar days step over DST changes without skipping or repeating one', async () => {
+  for (const [from, to] of [
+    ['2026-03-07', '2026-03-10'],
+    ['2026-10-31', '2026-11-03'],
+  ]) {
+    const { body } = await call('GET /days', { query: { from, to }, token });
+    const dates = body.data.map((entry) => entry.date);
+    assert.deepEqual(dates, [from, shiftDateKey(from, 1), shiftDateKey(from, 2), to]);
+  }
+});
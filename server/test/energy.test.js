@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { setTimeout as delay } from 'node:timers/promises';
+import { ADMIN_TOKEN, createClient, startServer } from './helpers.js';
+
+// Enough samples that a recompute takes more than one chunk, so a second edit lands while it runs.
+const SAMPLE_COUNT = 3000;
+const BATCH_SIZE = 1000;
+
+let server;
+let call;
+let token;
+
+const untilRecomputed = async () => {
+  for (let attempt = 0; attempt < 200; attempt += 1) {
+    const { body } = await call('GET /profile', { token });
+    if (body.recompute?.status !== 'running') {
+      return body;
+    }
+    await delay(50);
+  }
+  throw new Error('the recompute did not finish');
+};
+
+before(async () => {
+  server = await startServer();
+  ({ call } = createClient(server.baseUrl));
+  const account = await call('POST /users', { body: { name: 'Ann' }, token: ADMIN_TOKEN });
+  token = account.body.token.token;
+
+  const first = Date.now() - 40 * 24 * 60 * 60000;
+  for (let offset = 0; offset < SAMPLE_COUNT; offset += BATCH_SIZE) {
+    const samples = Array.from({ length: BATCH_SIZE }, (_item, index) => {
+      const start = first + (offset + index) * 15 * 60000;
+      return {
+        idempotencyKey: `walk-${offset + index}`,
+        steps: 800,
+        distance: 600,
+        calories: 30,
+        start: new Date(start).toISOString(),
+        end: new Date(start + 10 * 60000).toISOString(),
+      };
+    });
+    const { body } = await call('POST /metrics/batch', {
+      body: { device: { deviceId: 'phone', model: 'iPhone', osVersion: '18.0', timeZone: 'UTC' }, samples },
+      token,
+    });
+    assert.equal(body.stored, BATCH_SIZE);
+  }
+  await untilRecomputed();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('a profile edit during a recompute leaves every estimate on the latest profile', async () => {
+  const light = await call('PUT /profile', { body: { weightKg: 70 }, token });
+  const heavy = await call('PUT /profile', { body: { weightKg: 120 }, token });
+  assert.equal(light.body.profile.version, 1);
+  assert.equal(heavy.body.profile.version, 2);
+  // The second edit joined the job the first one started.
+  assert.equal(heavy.body.recompute.startedAt, light.body.recompute.startedAt);
+
+  const done = await untilRecomputed();
+  assert.equal(done.recompute.status, 'done');
+  assert.equal(done.profile.weightKg, 120);
+
+  const { body } = await call('GET /metrics', { token });
+  assert.equal(body.data.length, SAMPLE_COUNT);
+  assert.deepEqual(Array.from(new Set(body.data.map((item) => item.energy.profileVersion))), [2]);
+});
+
+test('the calorie estimates follow the weight', async () => {
+  const before = (await call('GET /metrics', { query: { limit: 1 }, token })).body.data[0].energy.calories;
+  await call('PUT /profile', { body: { weightKg: 60 }, token });
+  await untilRecomputed();
+  const after = (await call('GET /metrics', { query: { limit: 1 }, token })).body.data[0].energy.calories;
+  assert.ok(after < before, `${after} kcal at 60 kg should be below ${before} kcal at 120 kg`);
+});
+
+test("with calorieSource 'estimated' the daily totals add up the server's estimates", async () => {
+  const { body: metrics } = await call('GET /metrics', { token });
+  const byDay = (pick) =>
+    metrics.data.reduce((days, item) => {
+      const date = item.sample.end.slice(0, 10);
+      days[date] = (days[date] ?? 0) + pick(item);
+      return days;
+    }, {});
+  const dayTotals = async () => {
+    const dates = Object.keys(byDay(() => 0)).sort();
+    const { body } = await call('GET /days', { query: { from: dates[0], to: dates.at(-1) }, token });
+    return Object.fromEntries(body.data.map((entry) => [entry.date, entry.calories]));
+  };
+  const close = (actual, expected) =>
+    Object.entries(expected).forEach(([date, calories]) => assert.ok(Math.abs(actual[date] - calories) < 0.01, date));
+
+  await call('PUT /settings', { body: { timeZone: 'UTC' }, token });
+  close(await dayTotals(), byDay((item) => item.sample.calories));
+  await call('PUT /settings', { body: { calorieSource: 'estimated' }, token });
+  close(await dayTotals(), byDay((item) => item.energy.calories));
+});
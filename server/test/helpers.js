@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { OPERATIONS, buildOpenApi } from '../src/openapi.js';
+import { validate } from '../src/schema.js';
+
+const serverPath = fileURLToPath(new URL('../src/server.js', import.meta.url));
+
+export const ADMIN_TOKEN = 'test-admin-token';
+
+// The contract as clients see it: plain JSON, the same document GET /openapi.json serves.
+export const contract = JSON.parse(JSON.stringify(buildOpenApi()));
+
+/*
+ * Starts the server on a free port with an empty data directory of its own. Deliveries may go to local
+ * receivers and CONTRACT_CHECK is on, so `stop()` also reports any response the server itself flagged.
+ */
+export const startServer = async (env = {}) => {
+  const dataDir = await mkdtemp(path.join(tmpdir(), 'step-calorie-test-'));
+  const child = spawn(process.execPath, [serverPath], {
+    env: {
+      ...process.env,
+      PORT: '0',
+      DATA_DIR: dataDir,
+      ADMIN_TOKEN,
+      WEBHOOK_ALLOW_PRIVATE: '1',
+      CONTRACT_CHECK: '1',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stderr.on('data', (chunk) => {
+    output += chunk;
+  });
+  const baseUrl = await new Promise((resolve, reject) => {
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      const match = /API listening on (http:\S+)/.exec(output);
+      if (match) {
+        resolve(match[1]);
+      }
+    });
+    child.once('exit', (code) => reject(new Error(`server exited with ${code} before listening:\n${output}`)));
+  });
+
+  return {
+    baseUrl,
+    warnings: () => output.split('\n').filter((line) => line.includes('[contract]')),
+    async stop() {
+      const exited = new Promise((resolve) => child.once('exit', resolve));
+      child.kill();
+      await exited;
+      await rm(dataDir, { recursive: true, force: true });
+    },
+  };
+};
+
+export const toOpenApiPath = (routePath) => routePath.replace(/:(\w+)/g, '{$1}');
+
+// Asserts that `response` is one the contract documents for `operation`, body included.
+export const assertDocumented = (operation, response) => {
+  const [method, routePath] = operation.split(' ');
+  const documented = contract.paths[toOpenApiPath(routePath)]?.[method.toLowerCase()];
+  assert.ok(documented, `${operation} is not in the document`);
+  const entry = documented.responses[String(response.status)];
+  assert.ok(entry, `${operation} answered ${response.status}, which it doesn't document`);
+  const type = response.type.split(';')[0];
+  const content = entry.content[type];
+  assert.ok(content, `${operation} ${response.status} answered ${type}, documented as ${Object.keys(entry.content)}`);
+  if (type === 'application/json') {
+    const { errors } = validate(content.schema, response.body, { path: 'response', components: contract.components.schemas });
+    assert.deepEqual(errors, [], `${operation} ${response.status} doesn't match its schema`);
+  }
+};
+
+/*
+ * A client for one server that checks every answer against the contract and remembers which operations
+ * it has called. `params` fill the path, `token` is sent as the bearer token.
+ */
+export const createClient = (baseUrl) => {
+  const called = new Set();
+
+  const call = async (operation, { params = {}, query, body, token, headers = {}, type = 'application/json' } = {}) => {
+    assert.ok(OPERATIONS[operation], `${operation} is not an operation`);
+    const [method, routePath] = operation.split(' ');
+    const url = new URL(`${baseUrl}/api/v1${routePath.replace(/:(\w+)/g, (_match, name) => encodeURIComponent(params[name]))}`);
+    Object.entries(query ?? {}).forEach(([name, value]) => url.searchParams.set(name, value));
+    const response = await fetch(url, {
+      method,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(body === undefined ? {} : { 'Content-Type': type }),
+        ...headers,
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    const text = await response.text();
+    const result = {
+      status: response.status,
+      type: response.headers.get('content-type') ?? '',
+      text,
+    };
+    result.body = result.type.startsWith('application/json') ? JSON.parse(text) : text;
+    assertDocumented(operation, result);
+    called.add(operation);
+    return result;
+  };
+
+  // Event streams never end, so only the opening of one is read.
+  const openStream = async (operation, { token }) => {
+    const response = await fetch(`${baseUrl}/api/v1${operation.split(' ')[1]}`, {
+      headers: { Authorization: `Bearer ${token}`, Accept: 'text/event-stream' },
+    });
+    const reader = response.body.getReader();
+    const { value } = await reader.read();
+    await reader.cancel();
+    const result = { status: response.status, type: response.headers.get('content-type') ?? '', text: new TextDecoder().decode(value) };
+    assertDocumented(operation, result);
+    called.add(operation);
+    return result;
+  };
+
+  return { call, openStream, called };
+};
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { shiftDateKey, todayKey } from '../src/time.js';
+import { createHealthParser } from '../src/transfer.js';
+import { ADMIN_TOKEN, createClient, startServer } from './helpers.js';
+
+const day = shiftDateKey(todayKey('UTC'), -1);
+
+const record = (type, unit, value, start, end) =>
+  `  <Record type="HKQuantityTypeIdentifier${type}" sourceName="Ann&apos;s iPhone" sourceVersion="18.0" ` +
+  `device="&lt;&lt;HKDevice&gt;, name:iPhone, model:iPhone&gt;" unit="${unit}" ` +
+  `startDate="${day} ${start}:00 +0000" endDate="${day} ${end}:00 +0000" value="${value}"/>`;
+
+// Ten step records of 1000 each: back to back, apart, sharing a start, overlapping and repeated.
+const STEP_SPANS = [
+  ['07:00', '07:10'],
+  ['07:10', '07:20'],
+  ['09:00', '09:10'],
+  ['09:30', '09:40'],
+  ['10:00', '10:10'],
+  ['10:00', '10:20'],
+  ['11:00', '11:20'],
+  ['11:10', '11:30'],
+  ['12:00', '12:15'],
+  ['12:00', '12:15'],
+];
+
+const exportXml = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<HealthData locale="en_US">',
+  ...STEP_SPANS.map(([start, end]) => record('StepCount', 'count', 1000, start, end)),
+  record('DistanceWalkingRunning', 'm', 700, '09:00', '09:10'),
+  record('DistanceWalkingRunning', 'km', 1.4, '09:00', '09:20'),
+  '</HealthData>',
+].join('\n');
+
+let server;
+let call;
+let token;
+
+before(async () => {
+  server = await startServer();
+  ({ call } = createClient(server.baseUrl));
+  const account = await call('POST /users', { body: { name: 'Ann' }, token: ADMIN_TOKEN });
+  token = account.body.token.token;
+  await call('PUT /settings', { body: { timeZone: 'UTC' }, token });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('the Health parser reads an export the same however it is chunked', () => {
+  const whole = createHealthParser();
+  whole.write(exportXml);
+  const chunked = createHealthParser();
+  for (let index = 0; index < exportXml.length; index += 7) {
+    chunked.write(exportXml.slice(index, index + 7));
+  }
+  assert.deepEqual(chunked.end(), whole.end());
+});
+
+test('a streamed Health export imports the sum of its records', async () => {
+  const imported = await call('POST /import', { body: exportXml, type: 'application/xml', token });
+  assert.equal(imported.status, 200);
+  assert.equal(imported.body.format, 'apple-health');
+  assert.equal(imported.body.quarantined, 0);
+  assert.equal(imported.body.skipped, 0);
+
+  const { body } = await call('GET /days/:date', { params: { date: day }, token });
+  assert.equal(body.steps, STEP_SPANS.length * 1000);
+  assert.equal(body.distance, 2100);
+});
+
+test('the same export read as text changes nothing', async () => {
+  const imported = await call('POST /import', { body: exportXml, type: 'text/plain', token });
+  assert.equal(imported.status, 200);
+  assert.equal(imported.body.format, 'apple-health');
+  assert.equal(imported.body.added, 0);
+  assert.equal(imported.body.unchanged, imported.body.received);
+
+  const { body } = await call('GET /days/:date', { params: { date: day }, token });
+  assert.equal(body.steps, STEP_SPANS.length * 1000);
+});
+
+test('import rows get the upload schema checks, with errors per row', async () => {
+  const at = (time) => `${day}T${time}:00.000Z`;
+  const csv = [
+    'deviceId,start,end,steps,distance,calories',
+    `phone,${at('20:00')},${at('20:10')},800,560,32`,
+    `phone,${at('20:10')},${at('20:20')},lots,560,32`,
+    `phone,${at('20:20')},${at('20:30')},800,560,`,
+    `,${at('20:30')},${at('20:40')},800,560,32`,
+  ].join('\n');
+  const imported = await call('POST /import', { body: csv, type: 'text/csv', query: { dryRun: true }, token });
+  assert.equal(imported.status, 200);
+  assert.equal(imported.body.added, 1);
+  assert.equal(imported.body.skipped, 3);
+  assert.deepEqual(
+    imported.body.issues.map(({ index, status, errors }) => [index, status, errors.map(({ path, code }) => [path, code])]),
+    [
+      [1, 'rejected', [['rows[1].sample.steps', 'type']]],
+      [2, 'rejected', [['rows[2].sample.calories', 'required']]],
+      [3, 'rejected', [['rows[3].device.deviceId', 'required']]],
+    ]
+  );
+
+  const headless = await call('POST /import', { body: 'start,end,steps\n', type: 'text/csv', token });
+  assert.equal(headless.status, 400);
+  assert.equal(headless.body.errors[0].message, 'CSV header must name the deviceId, distance, calories columns');
+});
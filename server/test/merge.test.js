@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { shiftDateKey, todayKey } from '../src/time.js';
+import { ADMIN_TOKEN, createClient, startServer } from './helpers.js';
+
+const day = shiftDateKey(todayKey('UTC'), -1);
+const at = (time) => `${day}T${time}:00.000Z`;
+
+let server;
+let call;
+let token;
+
+const upload = (deviceId, steps, start, end) =>
+  call('POST /metrics', {
+    body: {
+      device: { deviceId, model: deviceId, osVersion: '1.0' },
+      sample: { steps, distance: steps * 0.7, calories: steps * 0.04, start: at(start), end: at(end) },
+    },
+    token,
+  });
+
+// The day's steps, and which devices the 10:00 hour's steps are credited to, as the API reports them.
+const observe = async () => {
+  const { body: totals } = await call('GET /days/:date', { params: { date: day }, token });
+  const { body: activity } = await call('GET /activity', { query: { date: day, bucket: '1h' }, token });
+  const tenOClock = activity.buckets.find((bucket) => bucket.start === at('10:00'));
+  assert.equal(activity.totals.steps, totals.steps, 'the buckets add up to the day');
+  return { steps: totals.steps, sources: tenOClock.sources.map((source) => [source.deviceId, source.steps]) };
+};
+
+before(async () => {
+  server = await startServer();
+  ({ call } = createClient(server.baseUrl));
+  const account = await call('POST /users', { body: { name: 'Ann' }, token: ADMIN_TOKEN });
+  token = account.body.token.token;
+  await call('PUT /settings', { body: { timeZone: 'UTC' }, token });
+
+  // The same walk on both devices, a stretch only the watch saw, and a phone session with two cumulative readings.
+  await upload('phone', 1000, '10:00', '10:10');
+  await upload('watch', 1200, '10:00', '10:10');
+  await upload('watch', 500, '11:00', '11:10');
+  await upload('phone', 300, '12:00', '12:10');
+  await upload('phone', 800, '12:00', '12:20');
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('sum counts every device', async () => {
+  assert.deepEqual(await observe(), {
+    steps: 1000 + 1200 + 500 + 800,
+    sources: [
+      ['watch', 1200],
+      ['phone', 1000],
+    ],
+  });
+});
+
+test('max keeps the busiest device where they overlap', async () => {
+  const { body } = await call('PUT /settings', { body: { mergePolicy: 'max' }, token });
+  assert.equal(body.mergePolicy, 'max');
+  assert.deepEqual(await observe(), { steps: 1200 + 500 + 800, sources: [['watch', 1200]] });
+});
+
+test('priority keeps the first-ranked device that recorded anything', async () => {
+  await call('PUT /settings', { body: { mergePolicy: 'priority', priorityDevices: ['phone'] }, token });
+  assert.deepEqual(await observe(), { steps: 1000 + 500 + 800, sources: [['phone', 1000]] });
+
+  const { body } = await call('GET /summary', { token });
+  assert.deepEqual(body.merge, { policy: 'priority', priority: ['phone'] });
+});
+
+test('one device alone has the same totals under every policy', async () => {
+  for (const mergePolicy of ['sum', 'max', 'priority']) {
+    await call('PUT /settings', { body: { mergePolicy }, token });
+    const { body } = await call('GET /activity', { query: { date: day, bucket: '1h', deviceId: 'phone' }, token });
+    assert.equal(body.totals.steps, 1800, mergePolicy);
+  }
+});
@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { shiftDateKey, todayKey } from '../src/time.js';
+import { ADMIN_TOKEN, createClient, startServer } from './helpers.js';
+
+// The account keeps days in UTC; the phone is five hours behind it.
+const day = shiftDateKey(todayKey('UTC'), -10);
+const dayBefore = shiftDateKey(day, -1);
+
+let server;
+let call;
+let token;
+
+const upload = (sample) =>
+  call('POST /metrics', {
+    body: {
+      device: { deviceId: 'phone', model: 'iPhone', osVersion: '18.0' },
+      sample: { distance: 0, calories: 0, utcOffsetMinutes: -300, ...sample },
+    },
+    token,
+  });
+
+const calendar = async () => {
+  const { body } = await call('GET /days', { query: { from: dayBefore, to: day }, token });
+  return body.data.map(({ date, steps, samples }) => [date, steps, samples]);
+};
+
+before(async () => {
+  server = await startServer();
+  ({ call } = createClient(server.baseUrl));
+  const account = await call('POST /users', { body: { name: 'Ann' }, token: ADMIN_TOKEN });
+  token = account.body.token.token;
+  await call('PUT /settings', { body: { timeZone: 'UTC' }, token });
+  // 19:00 and 21:30 local time on the day before, the second already past midnight in UTC.
+  await upload({ steps: 400, start: `${day}T00:00:00.000Z`, end: `${day}T00:20:00.000Z` });
+  await upload({ steps: 600, start: `${day}T02:30:00.000Z`, end: `${day}T03:00:00.000Z` });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('a rollup keeps its steps and samples on the same day as before the sweep', async () => {
+  const before = await calendar();
+  assert.deepEqual(before, [
+    [dayBefore, 1000, 2],
+    [day, 0, 0],
+  ]);
+
+  const sweep = await call('POST /admin/retention', { body: { days: 3 }, token: ADMIN_TOKEN });
+  assert.equal(sweep.status, 200);
+  assert.equal(sweep.body.samplesFolded, 2);
+  assert.equal(sweep.body.rollupsWritten, 1);
+
+  assert.deepEqual(await calendar(), before);
+  const { body } = await call('GET /days/:date', { params: { date: dayBefore }, token });
+  assert.equal(body.compacted, true);
+  assert.equal(body.steps, 1000);
+});
+
+test('a late upload for the compacted day is refused instead of counted twice', async () => {
+  const late = await upload({ steps: 300, start: `${day}T03:10:00.000Z`, end: `${day}T03:20:00.000Z` });
+  assert.equal(late.status, 400);
+  assert.equal((await calendar())[0][1], 1000);
+
+  const nextDay = await upload({ steps: 300, start: `${day}T06:00:00.000Z`, end: `${day}T06:10:00.000Z` });
+  assert.equal(nextDay.status, 201);
+  assert.deepEqual(await calendar(), [
+    [dayBefore, 1000, 2],
+    [day, 300, 1],
+  ]);
+});
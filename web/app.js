@@ -1,6 +1,11 @@
 const apiInput = document.getElementById('api-base');
+const tokenInput = document.getElementById('api-token');
 const apiForm = document.getElementById('api-form');
 const refreshBtn = document.getElementById('refresh-btn');
+const staleBanner = document.getElementById('stale-banner');
+const staleMessage = document.getElementById('stale-message');
+const staleRetry = document.getElementById('stale-retry');
+const livePill = document.getElementById('live-pill');
 const summaryFields = {
   steps: document.querySelector('[data-field="steps"]'),
   calories: document.querySelector('[data-field="calories"]'),
@@ -13,7 +18,19 @@ const chartLine = document.getElementById('sparkline-line');
 const chartFill = document.getElementById('sparkline-fill');
 const chartEmpty = document.getElementById('chart-empty');
 const stepsLegend = document.getElementById('steps-legend');
+const bucketSelect = document.getElementById('bucket-select');
 const resetBtn = document.getElementById('reset-btn');
+const deviceFilter = document.getElementById('device-filter');
+const exportFormatSelect = document.getElementById('export-format');
+const exportBtn = document.getElementById('export-btn');
+const importBtn = document.getElementById('import-btn');
+const importFileInput = document.getElementById('import-file');
+const rangeDeleteForm = document.getElementById('range-delete-form');
+const rangeDeleteFromInput = document.getElementById('range-delete-from');
+const rangeDeleteToInput = document.getElementById('range-delete-to');
+const undoToast = document.getElementById('undo-toast');
+const undoMessage = document.getElementById('undo-message');
+const undoBtn = document.getElementById('undo-btn');
 const streakPill = document.getElementById('streak-pill');
 const stepsProgress = document.getElementById('steps-progress');
 const caloriesProgress = document.getElementById('calories-progress');
@@ -22,17 +39,101 @@ const caloriesProgressLabel = document.getElementById('calories-progress-label')
 const goalsForm = document.getElementById('goals-form');
 const goalStepsInput = document.getElementById('goal-steps');
 const goalCaloriesInput = document.getElementById('goal-calories');
+const achievementCount = document.getElementById('achievement-count');
+const achievementList = document.getElementById('achievement-list');
+const scheduleForm = document.getElementById('schedule-form');
+const scheduleBody = document.getElementById('schedule-body');
+const exemptionForm = document.getElementById('exemption-form');
+const exemptionFromInput = document.getElementById('exemption-from');
+const exemptionToInput = document.getElementById('exemption-to');
+const exemptionKindInput = document.getElementById('exemption-kind');
+const exemptionNoteInput = document.getElementById('exemption-note');
+const exemptionList = document.getElementById('exemption-list');
+const settingsForm = document.getElementById('settings-form');
+const profileForm = document.getElementById('profile-form');
+const profileWeightInput = document.getElementById('profile-weight');
+const profileHeightInput = document.getElementById('profile-height');
+const profileAgeInput = document.getElementById('profile-age');
+const profileSexSelect = document.getElementById('profile-sex');
+const calorieSourceSelect = document.getElementById('calorie-source');
+const profileStatus = document.getElementById('profile-status');
+const activityForm = document.getElementById('activity-form');
+const activityTypeSelect = document.getElementById('activity-type');
+const activityStartInput = document.getElementById('activity-start');
+const activityDurationInput = document.getElementById('activity-duration');
+const activityIntensitySelect = document.getElementById('activity-intensity');
+const activityCaloriesInput = document.getElementById('activity-calories');
+const activityStepsToggle = document.getElementById('activity-steps');
+const timeZoneInput = document.getElementById('time-zone');
+const timeZoneOptions = document.getElementById('time-zone-options');
+const mergePolicySelect = document.getElementById('merge-policy');
+const priorityDeviceField = document.getElementById('priority-device-field');
+const priorityDeviceSelect = document.getElementById('priority-device');
 const avgStepsEl = document.getElementById('insight-avg-steps');
 const avgCaloriesEl = document.getElementById('insight-avg-calories');
 const complianceEl = document.getElementById('insight-compliance');
 const bestDayEl = document.getElementById('insight-best-day');
 const predictionStepsEl = document.getElementById('prediction-steps');
 const predictionCaloriesEl = document.getElementById('prediction-calories');
+const predictionStepsNote = document.getElementById('prediction-steps-note');
+const predictionCaloriesNote = document.getElementById('prediction-calories-note');
+const projectionStepsEl = document.getElementById('projection-steps');
+const projectionCaloriesEl = document.getElementById('projection-calories');
+const projectionStepsNote = document.getElementById('projection-steps-note');
+const projectionCaloriesNote = document.getElementById('projection-calories-note');
+const calendarGrid = document.getElementById('calendar-grid');
+const calendarCount = document.getElementById('calendar-count');
+const dayDetail = document.getElementById('day-detail');
+const dayTitle = document.getElementById('day-title');
+const dayGoal = document.getElementById('day-goal');
+const dayClose = document.getElementById('day-close');
+const daySteps = document.getElementById('day-steps');
+const dayStepsNote = document.getElementById('day-steps-note');
+const dayCalories = document.getElementById('day-calories');
+const dayCaloriesNote = document.getElementById('day-calories-note');
+const dayDistance = document.getElementById('day-distance');
+const dayActive = document.getElementById('day-active');
+const dayLine = document.getElementById('day-line');
+const dayFill = document.getElementById('day-fill');
+const dayChartEmpty = document.getElementById('day-chart-empty');
+const dayNote = document.getElementById('day-note');
+const dayBody = document.getElementById('day-body');
+const challengeList = document.getElementById('challenge-list');
+const challengeCount = document.getElementById('challenge-count');
+const challengeForm = document.getElementById('challenge-form');
+const challengeNameInput = document.getElementById('challenge-name');
+const challengeMetricSelect = document.getElementById('challenge-metric');
+const challengeTypeSelect = document.getElementById('challenge-type');
+const challengeFromInput = document.getElementById('challenge-from');
+const challengeToInput = document.getElementById('challenge-to');
+const challengeTargetInput = document.getElementById('challenge-target');
+const joinForm = document.getElementById('join-form');
+const joinCodeInput = document.getElementById('join-code');
 
 let apiBase = localStorage.getItem('apiBase') || 'http://localhost:4000';
+let apiToken = localStorage.getItem('apiToken') || '';
 let refreshTimer;
-const MAX_POINTS = 24;
+let activityTimer;
+let calendarTimer;
+let eventSource = null;
+let devicesState = [];
+let undoDeletionId = null;
+let undoTimer;
+
+const UNDO_VISIBLE_MS = 10000;
+let rowsState = [];
+let activitiesState = [];
+let selectedDay = null;
+const MAX_ROWS = 50;
 let summaryState = null;
+// When the dashboard last heard from the API, and whether the latest attempt failed.
+let syncedAt = null;
+let offline = false;
+let staleSince = null;
+let goalSync = null;
+// Badges unlocked after the previous visit stay highlighted for this session.
+const achievementsSeenAt = localStorage.getItem('achievementsSeenAt') ?? '';
+const freshAchievements = new Set();
 
 const formatNumber = (value, { min = 1, max = 1 } = {}) =>
   new Intl.NumberFormat(undefined, {
@@ -40,6 +141,25 @@ const formatNumber = (value, { min = 1, max = 1 } = {}) =>
     maximumFractionDigits: max,
   }).format(value);
 
+// Device names and models come from uploads, notes from the user, challenge and participant names from other
+// accounts: text, never markup.
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const WEEKDAYS = [
+  ['mon', 'Monday'],
+  ['tue', 'Tuesday'],
+  ['wed', 'Wednesday'],
+  ['thu', 'Thursday'],
+  ['fri', 'Friday'],
+  ['sat', 'Saturday'],
+  ['sun', 'Sunday'],
+];
+
+// Day keys are already local calendar dates; parsing them as UTC would shift them a day west of Greenwich.
+const parseDateKey = (key) => new Date(`${key}T00:00:00`);
+
 const normalizeUrl = (value) => {
   try {
     const url = new URL(value);
@@ -58,6 +178,85 @@ const setApiBase = (value) => {
   localStorage.setItem('apiBase', normalized);
 };
 
+const setApiToken = (value) => {
+  apiToken = value.trim();
+  localStorage.setItem('apiToken', apiToken);
+};
+
+const apiFetch = (url, options = {}) =>
+  fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      Authorization: `Bearer ${apiToken}`,
+    },
+  });
+
+/*
+ * The last metrics, summary and calendar are kept in IndexedDB so the dashboard still has something to show when
+ * the API can't be reached, e.g. while the tunnel is down. Goal edits made meanwhile wait there under `pendingGoals`.
+ */
+const CACHE_DB = 'step-dashboard';
+const CACHE_STORE = 'cache';
+let cacheDb = null;
+
+const openCache = () => {
+  cacheDb ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(CACHE_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(CACHE_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return cacheDb;
+};
+
+const cacheRequest = async (mode, run) => {
+  const db = await openCache();
+  return new Promise((resolve, reject) => {
+    const request = run(db.transaction(CACHE_STORE, mode).objectStore(CACHE_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const readCache = (key) =>
+  cacheRequest('readonly', (store) => store.get(key)).catch((error) => {
+    console.error('Cache error', error);
+    return null;
+  });
+
+const writeCache = (key, data) =>
+  cacheRequest('readwrite', (store) => store.put({ data, savedAt: new Date().toISOString() }, key)).catch((error) =>
+    console.error('Cache error', error)
+  );
+
+const deleteCache = (key) =>
+  cacheRequest('readwrite', (store) => store.delete(key)).catch((error) => console.error('Cache error', error));
+
+const clearCache = () =>
+  cacheRequest('readwrite', (store) => store.clear()).catch((error) => console.error('Cache error', error));
+
+let pendingGoals = null;
+const pendingReady = readCache('pendingGoals').then((entry) => {
+  pendingGoals = entry?.data ?? null;
+});
+
+const renderStale = () => {
+  staleBanner.hidden = !offline && !pendingGoals;
+  const parts = [];
+  if (offline) {
+    parts.push(
+      staleSince
+        ? `Stale since ${new Date(staleSince).toLocaleString()} – the API can't be reached, showing the last data saved on this device.`
+        : "The API can't be reached and nothing has been saved on this device yet."
+    );
+  }
+  if (pendingGoals) {
+    parts.push('Goal changes made offline will sync once the API answers.');
+  }
+  staleMessage.textContent = parts.join(' ');
+};
+
 const updateSummary = (payload) => {
   const { totals, data, current } = payload;
   const source = current?.sample || totals;
@@ -72,124 +271,805 @@ const updateSummary = (payload) => {
   summaryFields.count.textContent = data.length;
 };
 
-const updateTable = (rows) => {
-  if (!rows.length) {
-    tableBody.innerHTML = '<tr><td colspan="4" class="placeholder">Nothing yet</td></tr>';
-    return;
-  }
+const clockTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
-  tableBody.innerHTML = rows
-    .slice()
-    .reverse()
-    .map((entry) => {
-      const interval = `${new Date(entry.sample.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} – ${new Date(entry.sample.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
-      return `<tr>
-        <td>${interval}</td>
+const sampleRow = (entry) => `<tr>
+        <td>${clockTime(entry.sample.start)} – ${clockTime(entry.sample.end)}</td>
         <td>${entry.sample.steps.toLocaleString()}</td>
         <td>${formatNumber(entry.sample.calories, { min: 1, max: 1 })}</td>
         <td>${formatNumber(entry.sample.distance / 1000, entry.sample.distance < 1000 ? { min: 2, max: 3 } : { min: 1, max: 1 })}</td>
       </tr>`;
-    })
+
+// Logged workouts are marked as such; steps only show when they count as step-equivalents.
+const workoutRow = (entry) => {
+  const type = activityTypeSelect.querySelector(`option[value="${entry.type}"]`)?.textContent ?? entry.type;
+  return `<tr class="manual-row">
+        <td>
+          <span class="source-badge">Manual · ${type}</span>
+          ${clockTime(entry.start)} – ${clockTime(entry.end)}
+          <button type="button" class="row-action" data-activity="${entry.id}" aria-label="Delete workout">✕</button>
+        </td>
+        <td>${activityStepsToggle.checked ? `≈${entry.stepEquivalents.toLocaleString()}` : '–'}</td>
+        <td>${formatNumber(entry.calories, { min: 1, max: 1 })}${entry.caloriesEstimated ? ' (est.)' : ''}</td>
+        <td>–</td>
+      </tr>`;
+};
+
+const tableRows = (samples, workouts) => {
+  if (!samples.length && !workouts.length) {
+    return '<tr><td colspan="4" class="placeholder">Nothing yet</td></tr>';
+  }
+  return [
+    ...samples.map((entry) => ({ end: entry.sample.end, html: sampleRow(entry) })),
+    ...workouts.map((entry) => ({ end: entry.end, html: workoutRow(entry) })),
+  ]
+    .sort((a, b) => new Date(b.end) - new Date(a.end))
+    .map((row) => row.html)
     .join('');
 };
 
-const updateChart = (rows) => {
-  const subset = rows.slice(-MAX_POINTS);
+const updateTable = (rows) => {
+  tableBody.innerHTML = tableRows(rows, activitiesState);
+};
 
-  if (!subset.length) {
-    chartLine.removeAttribute('points');
-    chartFill.removeAttribute('points');
-    chartEmpty.hidden = false;
-    stepsLegend.innerHTML = '<li class="placeholder">No samples yet</li>';
-    return;
+// Names the device a bucket's steps came from, once there is more than one to tell apart.
+const sourceLabel = (bucket) => {
+  const [top] = bucket.sources ?? [];
+  if (!top || devicesState.length < 2) {
+    return '';
   }
+  const device = devicesState.find((entry) => entry.deviceId === top.deviceId);
+  return ` · ${escapeHtml(device ? deviceLabel(device) : top.deviceId.slice(0, 8))}`;
+};
 
+const plotSparkline = (line, fill, values) => {
   const width = 100;
   const height = 60;
-  chartSvg.setAttribute('viewBox', `0 0 ${width} ${height}`);
-
-  const values = subset.map((entry) => entry.sample.steps);
   const maxValue = Math.max(...values, 1);
 
-  const coords = subset.map((entry, index) => {
-    const ratio = subset.length === 1 ? 0 : index / (subset.length - 1);
+  const coords = values.map((value, index) => {
+    const ratio = values.length === 1 ? 0 : index / (values.length - 1);
     const x = (ratio * width).toFixed(2);
-    const y = (height - (entry.sample.steps / maxValue) * height).toFixed(2);
+    const y = (height - (value / maxValue) * height).toFixed(2);
     return `${x},${y}`;
   });
 
-  chartLine.setAttribute('points', coords.join(' '));
+  line.setAttribute('points', coords.join(' '));
   const fillPoints = [`0,${height}`, ...coords, `${width},${height}`];
-  chartFill.setAttribute('points', fillPoints.join(' '));
+  fill.setAttribute('points', fillPoints.join(' '));
+};
+
+const updateChart = (buckets) => {
+  const now = Date.now();
+  const subset = buckets.filter((bucket) => new Date(bucket.start).valueOf() <= now);
+
+  if (!subset.some((bucket) => bucket.steps > 0)) {
+    chartLine.removeAttribute('points');
+    chartFill.removeAttribute('points');
+    chartEmpty.hidden = false;
+    stepsLegend.innerHTML = '<li class="placeholder">No activity yet today</li>';
+    return;
+  }
+
+  chartSvg.setAttribute('viewBox', '0 0 100 60');
+  plotSparkline(chartLine, chartFill, subset.map((bucket) => bucket.steps));
   chartEmpty.hidden = true;
 
   stepsLegend.innerHTML = subset
-    .slice()
+    .filter((bucket) => bucket.steps > 0)
     .reverse()
     .slice(0, 4)
-    .map((entry) => {
-      const label = new Date(entry.sample.end).toLocaleTimeString([], {
+    .map((bucket) => {
+      const label = new Date(bucket.start).toLocaleTimeString([], {
         hour: '2-digit',
         minute: '2-digit',
       });
-      return `<li><span>${label}</span><strong>${entry.sample.steps.toLocaleString()}</strong></li>`;
+      return `<li><span>${label}${sourceLabel(bucket)}</span><strong>${Math.round(bucket.steps).toLocaleString()}</strong></li>`;
     })
     .join('');
 };
 
+const fetchActivity = async () => {
+  try {
+    const url = new URL('/api/v1/activity', `${apiBase}/`);
+    url.searchParams.set('bucket', bucketSelect.value);
+    if (deviceFilter.value) {
+      url.searchParams.set('deviceId', deviceFilter.value);
+    }
+    const response = await apiFetch(url);
+    if (!response.ok) {
+      throw new Error('Failed to fetch activity');
+    }
+    const payload = await response.json();
+    updateChart(payload.buckets);
+  } catch (error) {
+    console.error('Activity error', error);
+  }
+};
+
+const scheduleActivityRefresh = () => {
+  clearTimeout(activityTimer);
+  activityTimer = setTimeout(fetchActivity, 1000);
+};
+
 const fetchMetrics = async () => {
   refreshBtn.disabled = true;
   refreshBtn.textContent = 'Refreshing…';
   try {
-    const url = new URL('/api/metrics', `${apiBase}/`);
-    url.searchParams.set('limit', '50');
-    const response = await fetch(url);
+    const url = new URL('/api/v1/metrics', `${apiBase}/`);
+    url.searchParams.set('limit', String(MAX_ROWS));
+    if (deviceFilter.value) {
+      url.searchParams.set('deviceId', deviceFilter.value);
+    }
+    const response = await apiFetch(url);
+    if (response.status === 401) {
+      refreshBtn.textContent = 'Sign in';
+      return;
+    }
     if (!response.ok) {
       throw new Error('Failed to fetch metrics');
     }
     const payload = await response.json();
+    rowsState = payload.data;
+    activitiesState = payload.activities ?? [];
     updateSummary(payload);
     updateTable(payload.data);
-    updateChart(payload.data);
+    if (!deviceFilter.value) {
+      writeCache('metrics', payload);
+    }
+    syncedAt = new Date().toISOString();
+    offline = false;
+    renderStale();
+    await fetchActivity();
     if (payload.summary) {
-      applySummary(payload.summary);
+      receiveSummary(payload.summary);
     } else {
       await fetchSummaryOnly();
     }
+    await fetchAchievements();
+    await fetchCalendar();
+    await flushGoals();
     refreshBtn.textContent = 'Refresh';
   } catch (error) {
     console.error(error);
     refreshBtn.textContent = 'Retry';
+    await showCached();
   } finally {
     refreshBtn.disabled = false;
   }
 };
 
+// Without a successful refresh this session, the page falls back to what the last one saved.
+const showCached = async () => {
+  await pendingReady;
+  const [metrics, summary, calendar] = await Promise.all(['metrics', 'summary', 'calendar'].map(readCache));
+  if (!syncedAt) {
+    if (metrics) {
+      rowsState = metrics.data.data;
+      activitiesState = metrics.data.activities ?? [];
+      updateSummary(metrics.data);
+      updateTable(rowsState);
+    }
+    if (summary) {
+      applySummary(summary.data);
+      applyPendingGoals();
+    }
+    if (calendar) {
+      renderCalendar(calendar.data);
+    }
+  }
+  const savedAt = [metrics, summary, calendar].reduce((latest, entry) => (entry && entry.savedAt > latest ? entry.savedAt : latest), '');
+  staleSince = syncedAt ?? (savedAt || null);
+  offline = true;
+  renderStale();
+};
+
+const latestRow = (rows) =>
+  rows.reduce((latest, item) => {
+    if (!latest) {
+      return item;
+    }
+    return new Date(item.sample.end) > new Date(latest.sample.end) ? item : latest;
+  }, null);
+
+const renderRows = () => {
+  updateSummary({ data: rowsState, current: latestRow(rowsState), totals: {} });
+  updateTable(rowsState);
+};
+
+const deviceLabel = (device) => device.name || `${device.model ?? 'Unknown'} · ${device.deviceId.slice(0, 8)}`;
+
+const renderDevices = (devices) => {
+  devicesState = devices;
+  const selected = deviceFilter.value;
+  deviceFilter.innerHTML = [
+    '<option value="">All devices</option>',
+    ...devices.map((device) => `<option value="${escapeHtml(device.deviceId)}">${escapeHtml(deviceLabel(device))}</option>`),
+  ].join('');
+  // A device that was merged or deleted falls back to the combined view.
+  deviceFilter.value = devices.some((device) => device.deviceId === selected) ? selected : '';
+  const preferred = summaryState?.merge.priority[0] ?? priorityDeviceSelect.value;
+  priorityDeviceSelect.innerHTML = devices
+    .map((device) => `<option value="${escapeHtml(device.deviceId)}">${escapeHtml(deviceLabel(device))}</option>`)
+    .join('');
+  if (devices.some((device) => device.deviceId === preferred)) {
+    priorityDeviceSelect.value = preferred;
+  }
+};
+
+const fetchDevices = async () => {
+  try {
+    const url = new URL('/api/v1/devices', `${apiBase}/`);
+    const response = await apiFetch(url);
+    if (!response.ok) {
+      throw new Error('Failed to fetch devices');
+    }
+    const payload = await response.json();
+    renderDevices(payload.data);
+  } catch (error) {
+    console.error('Devices error', error);
+  }
+};
+
+// Mirrors the server's ordering: updates keep their position, new samples append.
+const mergeSamples = (items) => {
+  if (items.some(({ record }) => !devicesState.some((device) => device.deviceId === record.device.deviceId))) {
+    fetchDevices();
+  }
+  items.forEach(({ record }) => {
+    if (deviceFilter.value && record.device.deviceId !== deviceFilter.value) {
+      return;
+    }
+    const index = rowsState.findIndex((row) => row.id === record.id);
+    if (index >= 0) {
+      rowsState[index] = record;
+    } else {
+      rowsState.push(record);
+    }
+  });
+  rowsState = rowsState.slice(-MAX_ROWS);
+  renderRows();
+};
+
+const setLiveState = (state, label) => {
+  livePill.dataset.state = state;
+  livePill.textContent = label;
+};
+
+const renderAchievements = (items) => {
+  const unlocked = items.filter((item) => item.unlocked);
+  achievementCount.textContent = `${unlocked.length} / ${items.length}`;
+  if (!items.length) {
+    achievementList.innerHTML = '<li class="placeholder">No achievements yet</li>';
+    return;
+  }
+  unlocked
+    .filter((item) => item.unlockedAt > achievementsSeenAt)
+    .forEach((item) => freshAchievements.add(item.code));
+  const ordered = [...unlocked, ...items.filter((item) => !item.unlocked)];
+  achievementList.innerHTML = ordered
+    .map((item) => {
+      const classes = ['achievement', item.unlocked ? 'unlocked' : 'locked', freshAchievements.has(item.code) ? 'new' : '']
+        .filter(Boolean)
+        .join(' ');
+      const when = item.unlocked
+        ? `<time datetime="${item.unlockedAt}">Unlocked ${new Date(item.unlockedAt).toLocaleDateString()}</time>`
+        : '<time>Locked</time>';
+      return `<li class="${classes}"><strong>${item.title}</strong><p>${item.description}</p>${when}</li>`;
+    })
+    .join('');
+  const latest = unlocked.reduce((max, item) => (item.unlockedAt > max ? item.unlockedAt : max), achievementsSeenAt);
+  localStorage.setItem('achievementsSeenAt', latest);
+};
+
+const fetchAchievements = async () => {
+  try {
+    const url = new URL('/api/v1/achievements', `${apiBase}/`);
+    const response = await apiFetch(url);
+    if (!response.ok) {
+      throw new Error('Failed to fetch achievements');
+    }
+    const payload = await response.json();
+    renderAchievements(payload.data);
+  } catch (error) {
+    console.error('Achievements error', error);
+  }
+};
+
+// Shades follow progress toward the day's step goal; days that met every goal get an outline.
+const calendarLevel = (day) => {
+  if (!day.steps) {
+    return 0;
+  }
+  if (day.stepProgress >= 1) {
+    return 4;
+  }
+  if (day.stepProgress >= 0.5) {
+    return 3;
+  }
+  return day.stepProgress >= 0.25 ? 2 : 1;
+};
+
+const renderCalendar = (days) => {
+  if (!days.length) {
+    calendarGrid.innerHTML = '';
+    return;
+  }
+  // Blank cells push the first day into its weekday row (Monday on top).
+  const offset = (parseDateKey(days[0].date).getDay() + 6) % 7;
+  const cells = days.map((day) => {
+    const classes = [
+      'calendar-cell',
+      day.goalMet ? 'goal-met' : '',
+      day.exempt ? 'exempt' : '',
+      day.date === selectedDay ? 'selected' : '',
+    ]
+      .filter(Boolean)
+      .join(' ');
+    const label = [
+      parseDateKey(day.date).toLocaleDateString(),
+      `${Math.round(day.steps).toLocaleString()} steps`,
+      day.goalMet ? 'goal met' : '',
+      day.exempt ? 'rest day' : '',
+    ]
+      .filter(Boolean)
+      .join(' · ');
+    return `<button type="button" class="${classes}" data-level="${calendarLevel(day)}" data-date="${day.date}" title="${label}" aria-label="${label}"></button>`;
+  });
+  calendarGrid.innerHTML = '<span></span>'.repeat(offset) + cells.join('');
+  const goalDays = days.filter((day) => day.goalMet).length;
+  calendarCount.textContent = `${goalDays} goal day${goalDays === 1 ? '' : 's'}`;
+};
+
+const fetchCalendar = async () => {
+  try {
+    const url = new URL('/api/v1/days', `${apiBase}/`);
+    const response = await apiFetch(url);
+    if (!response.ok) {
+      throw new Error('Failed to fetch calendar');
+    }
+    const payload = await response.json();
+    renderCalendar(payload.data);
+    writeCache('calendar', payload.data);
+    if (selectedDay) {
+      await fetchDay(selectedDay);
+    }
+  } catch (error) {
+    console.error('Calendar error', error);
+  }
+};
+
+// Live samples only move today's cell, so the calendar follows the debounced summary instead of every upload.
+const scheduleCalendarRefresh = () => {
+  clearTimeout(calendarTimer);
+  calendarTimer = setTimeout(fetchCalendar, 1000);
+};
+
+const renderDay = (day) => {
+  selectedDay = day.date;
+  calendarGrid.querySelectorAll('.calendar-cell').forEach((cell) => {
+    cell.classList.toggle('selected', cell.dataset.date === day.date);
+  });
+  dayTitle.textContent = parseDateKey(day.date).toLocaleDateString(undefined, {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+  if (day.exempt) {
+    dayGoal.textContent = `Rest day${day.exemption ? ` · ${day.exemption.kind}` : ''}`;
+  } else {
+    dayGoal.textContent = day.goalMet ? 'Goal met' : 'Goal missed';
+  }
+  daySteps.textContent = Math.round(day.steps).toLocaleString();
+  dayStepsNote.textContent = `Goal ${day.stepGoal.toLocaleString()}`;
+  dayCalories.textContent = formatNumber(day.calories, { min: 1, max: 1 });
+  dayCaloriesNote.textContent = `Goal ${formatNumber(day.calorieGoal, { min: 0, max: 1 })}`;
+  const distanceKm = day.distance / 1000;
+  dayDistance.textContent = formatNumber(distanceKm, distanceKm < 1 ? { min: 2, max: 3 } : { min: 1, max: 1 });
+  dayActive.textContent = day.activeMinutes.toLocaleString();
+
+  if (day.buckets.some((bucket) => bucket.steps > 0)) {
+    plotSparkline(dayLine, dayFill, day.buckets.map((bucket) => bucket.steps));
+    dayChartEmpty.hidden = true;
+  } else {
+    dayLine.removeAttribute('points');
+    dayFill.removeAttribute('points');
+    dayChartEmpty.hidden = false;
+  }
+  dayNote.textContent = day.compacted
+    ? 'Older readings for this day were folded into a daily rollup; the totals and curve still include them.'
+    : '';
+  dayBody.innerHTML = tableRows(day.samples, day.activities);
+  dayDetail.hidden = false;
+};
+
+const fetchDay = async (date) => {
+  try {
+    const url = new URL(`/api/v1/days/${date}`, `${apiBase}/`);
+    url.searchParams.set('bucket', bucketSelect.value);
+    const response = await apiFetch(url);
+    if (!response.ok) {
+      throw new Error('Failed to fetch day');
+    }
+    renderDay(await response.json());
+  } catch (error) {
+    console.error('Day error', error);
+  }
+};
+
+const METRIC_LABELS = { steps: 'steps', calories: 'kcal', distance: 'km' };
+const TYPE_LABELS = { total: 'Total', 'goal-days': 'Days on target', streak: 'Longest streak' };
+
+const metricValue = (metric, value) => {
+  if (metric === 'distance') {
+    return `${formatNumber(value / 1000, { min: 1, max: 1 })} km`;
+  }
+  return `${formatNumber(value, { min: 0, max: 0 })} ${METRIC_LABELS[metric]}`;
+};
+
+const standingValue = (challenge, entry) =>
+  challenge.type === 'total' ? metricValue(challenge.metric, entry.value) : `${entry.value} day${entry.value === 1 ? '' : 's'}`;
+
+const renderChallenges = (challenges) => {
+  const active = challenges.filter((challenge) => challenge.status === 'active').length;
+  challengeCount.textContent = `${active} active`;
+  if (!challenges.length) {
+    challengeList.innerHTML = '<p class="placeholder">No challenges yet</p>';
+    return;
+  }
+  challengeList.innerHTML = challenges
+    .map((challenge) => {
+      const target = challenge.target ? ` · target ${metricValue(challenge.metric, challenge.target)}/day` : '';
+      const rows = challenge.standings
+        .map(
+          (entry) => `<tr class="${entry.you ? 'you' : ''}">
+              <td>${entry.rank}</td>
+              <td>${escapeHtml(entry.name)}${entry.you ? ' (you)' : ''}</td>
+              <td>${standingValue(challenge, entry)}</td>
+              <td>${entry.today === null ? '–' : metricValue(challenge.metric, entry.today)}</td>
+            </tr>`
+        )
+        .join('');
+      return `<article class="challenge">
+          <header>
+            <div>
+              <h3>${escapeHtml(challenge.name)}</h3>
+              <p>${TYPE_LABELS[challenge.type]} ${challenge.metric}${target} · ${parseDateKey(challenge.from).toLocaleDateString()} – ${parseDateKey(challenge.to).toLocaleDateString()} · ${challenge.status} · invite code <code>${challenge.code}</code></p>
+            </div>
+            <button type="button" data-challenge="${challenge.id}" data-action="${challenge.owner ? 'delete' : 'leave'}">${challenge.owner ? 'Delete' : 'Leave'}</button>
+          </header>
+          <div class="table-wrapper">
+            <table>
+              <thead>
+                <tr><th>#</th><th>Participant</th><th>Score</th><th>Today</th></tr>
+              </thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </div>
+        </article>`;
+    })
+    .join('');
+};
+
+const fetchChallenges = async () => {
+  try {
+    const url = new URL('/api/v1/challenges', `${apiBase}/`);
+    const response = await apiFetch(url);
+    if (!response.ok) {
+      throw new Error('Failed to fetch challenges');
+    }
+    const payload = await response.json();
+    renderChallenges(payload.data);
+  } catch (error) {
+    console.error('Challenges error', error);
+  }
+};
+
 const beginPolling = () => {
   if (refreshTimer) {
-    clearInterval(refreshTimer);
+    return;
   }
   refreshTimer = setInterval(fetchMetrics, 10000);
 };
 
+const stopPolling = () => {
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+};
+
+const openStream = () => {
+  eventSource?.close();
+  if (!apiToken || typeof EventSource === 'undefined') {
+    setLiveState('polling', 'Polling');
+    beginPolling();
+    return;
+  }
+
+  const url = new URL('/api/v1/stream', `${apiBase}/`);
+  url.searchParams.set('access_token', apiToken);
+  eventSource = new EventSource(url);
+  setLiveState('connecting', 'Connecting…');
+
+  eventSource.addEventListener('open', () => {
+    setLiveState('live', 'Live');
+    if (refreshTimer) {
+      // Catch up on anything that happened while we were polling.
+      stopPolling();
+      fetchMetrics();
+    }
+  });
+  eventSource.addEventListener('error', () => {
+    setLiveState('polling', 'Polling');
+    beginPolling();
+  });
+  eventSource.addEventListener('samples', (event) => {
+    mergeSamples(JSON.parse(event.data).items);
+    scheduleActivityRefresh();
+  });
+  eventSource.addEventListener('summary', (event) => {
+    receiveSummary(JSON.parse(event.data));
+    scheduleCalendarRefresh();
+  });
+  eventSource.addEventListener('goals', (event) => {
+    receiveSummary(JSON.parse(event.data));
+  });
+  eventSource.addEventListener('challenges', (event) => {
+    renderChallenges(JSON.parse(event.data).data);
+  });
+  eventSource.addEventListener('achievements', (event) => {
+    const payload = JSON.parse(event.data);
+    payload.unlocked.forEach((code) => freshAchievements.add(code));
+    renderAchievements(payload.data);
+  });
+  eventSource.addEventListener('devices', (event) => {
+    renderDevices(JSON.parse(event.data).data);
+    fetchMetrics();
+  });
+  eventSource.addEventListener('deleted', (event) => {
+    const removed = new Set(JSON.parse(event.data).ids);
+    rowsState = rowsState.filter((row) => !removed.has(row.id));
+    renderRows();
+    scheduleActivityRefresh();
+  });
+  eventSource.addEventListener('activities', () => {
+    fetchMetrics();
+  });
+  eventSource.addEventListener('imported', () => {
+    fetchMetrics();
+    fetchDevices();
+  });
+  eventSource.addEventListener('cleared', () => {
+    rowsState = [];
+    renderRows();
+    scheduleActivityRefresh();
+  });
+};
+
 apiInput.value = apiBase;
+tokenInput.value = apiToken;
 
 apiForm.addEventListener('submit', (event) => {
   event.preventDefault();
   try {
+    const previous = `${apiBase}|${apiToken}`;
     setApiBase(apiInput.value);
+    setApiToken(tokenInput.value);
+    if (`${apiBase}|${apiToken}` !== previous) {
+      // The saved data and any queued goals belong to the previous account.
+      syncedAt = null;
+      pendingGoals = null;
+      clearCache();
+      renderStale();
+    }
     fetchMetrics();
+    fetchExemptions();
+    fetchDevices();
+    fetchProfile();
+    fetchActivitySettings();
+    fetchChallenges();
+    openStream();
   } catch (error) {
     alert('Please provide a valid URL');
   }
 });
 
+bucketSelect.addEventListener('change', () => {
+  fetchActivity();
+  if (selectedDay) {
+    fetchDay(selectedDay);
+  }
+});
+
+calendarGrid.addEventListener('click', (event) => {
+  const { date } = event.target.dataset;
+  if (date) {
+    fetchDay(date);
+  }
+});
+
+dayClose.addEventListener('click', () => {
+  selectedDay = null;
+  dayDetail.hidden = true;
+  calendarGrid.querySelectorAll('.selected').forEach((cell) => cell.classList.remove('selected'));
+});
+
+deviceFilter.addEventListener('change', () => {
+  fetchMetrics();
+});
+
+exportBtn.addEventListener('click', async () => {
+  const [format, dataset] = exportFormatSelect.value.split('-');
+  try {
+    const url = new URL('/api/v1/export', `${apiBase}/`);
+    url.searchParams.set('format', format);
+    if (dataset) {
+      url.searchParams.set('dataset', dataset);
+    }
+    const response = await apiFetch(url);
+    if (!response.ok) {
+      const { message } = await response.json();
+      throw new Error(message);
+    }
+    const name = /filename="([^"]+)"/.exec(response.headers.get('content-disposition') ?? '')?.[1] ?? `export.${format}`;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    console.error(error);
+    alert(error.message || 'Unable to export data.');
+  }
+});
+
+const IMPORT_FORMATS = { csv: 'csv', json: 'json', xml: 'apple-health' };
+
+const postImport = async (file, dryRun) => {
+  const url = new URL('/api/v1/import', `${apiBase}/`);
+  const extension = file.name.split('.').pop().toLowerCase();
+  if (IMPORT_FORMATS[extension]) {
+    url.searchParams.set('format', IMPORT_FORMATS[extension]);
+  }
+  url.searchParams.set('dryRun', String(dryRun));
+  const response = await apiFetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': file.type || 'text/plain' },
+    body: file,
+  });
+  const payload = await response.json();
+  if (!response.ok) {
+    throw new Error(payload.message);
+  }
+  return payload;
+};
+
+const describeImport = (report) => {
+  const lines = [
+    `${report.added} to add, ${report.updated} to update, ${report.skipped} to skip (${report.unchanged} unchanged)`,
+  ];
+  if (report.quarantined) {
+    lines.push(`${report.quarantined} look implausible and will wait in quarantine`);
+  }
+  report.issues.slice(0, 5).forEach((issue) => {
+    const where = issue.index !== undefined ? `row ${issue.index + 1}: ` : '';
+    const why = issue.reason ?? issue.reasons.map((reason) => reason.message).join(', ');
+    lines.push(`• ${where}${why}`);
+  });
+  return lines.join('\n');
+};
+
+importBtn.addEventListener('click', () => {
+  importFileInput.click();
+});
+
+// Every import is previewed with a dry run first.
+importFileInput.addEventListener('change', async () => {
+  const [file] = importFileInput.files;
+  importFileInput.value = '';
+  if (!file) {
+    return;
+  }
+  importBtn.disabled = true;
+  try {
+    const preview = await postImport(file, true);
+    if (!preview.added && !preview.updated && !preview.quarantined) {
+      alert(`Nothing to import.\n${describeImport(preview)}`);
+      return;
+    }
+    if (!window.confirm(`Import ${file.name}?\n${describeImport(preview)}`)) {
+      return;
+    }
+    const report = await postImport(file, false);
+    alert(`Imported ${report.added} new and ${report.updated} updated sample(s).`);
+  } catch (error) {
+    console.error(error);
+    alert(error.message || 'Unable to import data.');
+  } finally {
+    importBtn.disabled = false;
+  }
+});
+
 refreshBtn.addEventListener('click', () => {
   fetchMetrics();
 });
 
+const hideUndo = () => {
+  clearTimeout(undoTimer);
+  undoToast.hidden = true;
+  undoDeletionId = null;
+};
+
+const showUndo = (payload) => {
+  clearTimeout(undoTimer);
+  undoDeletionId = payload.deletion.id;
+  const archived = payload.deletion.rollups ? ` and ${payload.deletion.rollups} archived device-day(s)` : '';
+  undoMessage.textContent = `Deleted ${payload.deleted} sample(s)${archived}`;
+  undoToast.hidden = false;
+  undoTimer = setTimeout(hideUndo, UNDO_VISIBLE_MS);
+};
+
+// Deletes are soft on the server; the toast offers the restore for the latest one.
+const deleteSamples = async (params = {}) => {
+  const url = new URL('/api/v1/metrics', `${apiBase}/`);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  const response = await apiFetch(url, { method: 'DELETE' });
+  if (!response.ok) {
+    const { message } = await response.json();
+    throw new Error(message);
+  }
+  const payload = await response.json();
+  showUndo(payload);
+  await fetchMetrics();
+};
+
+undoBtn.addEventListener('click', async () => {
+  if (!undoDeletionId) {
+    return;
+  }
+  const deletionId = undoDeletionId;
+  hideUndo();
+  try {
+    const url = new URL('/api/v1/metrics/restore', `${apiBase}/`);
+    const response = await apiFetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ deletionId }),
+    });
+    if (!response.ok) {
+      throw new Error('Restore failed');
+    }
+    const payload = await response.json();
+    if (payload.conflicts.length) {
+      alert(`${payload.conflicts.length} sample(s) were re-uploaded since and kept as they are.`);
+    }
+    await fetchMetrics();
+  } catch (error) {
+    console.error(error);
+    alert('Unable to undo. Please try again.');
+  }
+});
+
+rangeDeleteForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const from = rangeDeleteFromInput.value;
+  const to = rangeDeleteToInput.value;
+  const device = devicesState.find((entry) => entry.deviceId === deviceFilter.value);
+  const scope = device ? ` from ${deviceLabel(device)}` : '';
+  if (!window.confirm(`Delete samples${scope} between ${from} and ${to}?`)) {
+    return;
+  }
+  try {
+    await deleteSamples({ from, to, ...(device ? { deviceId: device.deviceId } : {}) });
+    rangeDeleteForm.reset();
+  } catch (error) {
+    console.error(error);
+    alert(error.message || 'Unable to delete samples.');
+  }
+});
+
 resetBtn.addEventListener('click', async () => {
-  const proceed = window.confirm('Delete all samples from the server?');
+  const proceed = window.confirm('Delete all samples from the server? A snapshot is kept so the reset can be undone.');
   if (!proceed) {
     return;
   }
@@ -198,12 +1078,7 @@ resetBtn.addEventListener('click', async () => {
   resetBtn.disabled = true;
   resetBtn.textContent = 'Resetting…';
   try {
-    const url = new URL('/api/metrics', `${apiBase}/`);
-    const response = await fetch(url, { method: 'DELETE' });
-    if (!response.ok) {
-      throw new Error('Reset failed');
-    }
-    await fetchMetrics();
+    await deleteSamples();
   } catch (error) {
     console.error(error);
     alert('Unable to reset data. Please try again.');
@@ -217,13 +1092,25 @@ const applySummary = (summary) => {
   summaryState = summary;
   goalStepsInput.value = summary.goals.steps;
   goalCaloriesInput.value = summary.goals.calories;
-  streakPill.textContent = `Streak: ${summary.streak.days} day(s)`;
+  if (document.activeElement !== timeZoneInput) {
+    timeZoneInput.value = summary.timeZone || '';
+  }
+  if (document.activeElement !== mergePolicySelect && document.activeElement !== priorityDeviceSelect) {
+    mergePolicySelect.value = summary.merge.policy;
+    priorityDeviceField.hidden = summary.merge.policy !== 'priority';
+    if (summary.merge.priority.length) {
+      priorityDeviceSelect.value = summary.merge.priority[0];
+    }
+  }
+  const restLabel = summary.today.exemption ? ` · ${summary.today.exemption.kind} day` : '';
+  streakPill.textContent = `Streak: ${summary.streak.days} day(s)${restLabel}`;
   const stepPercent = Math.min(Math.max(summary.today.stepProgress * 100, 0), 100);
   stepsProgress.style.width = `${stepPercent}%`;
-  stepsProgressLabel.textContent = `${Math.round(summary.today.steps)} / ${summary.goals.steps}`;
+  stepsProgressLabel.textContent = `${Math.round(summary.today.steps)} / ${summary.today.stepGoal}`;
   const caloriePercent = Math.min(Math.max(summary.today.calorieProgress * 100, 0), 100);
   caloriesProgress.style.width = `${caloriePercent}%`;
-  caloriesProgressLabel.textContent = `${summary.today.calories.toFixed(1)} / ${summary.goals.calories}`;
+  caloriesProgressLabel.textContent = `${summary.today.calories.toFixed(1)} / ${summary.today.calorieGoal}`;
+  applySchedule(summary);
 
   if (summary.insights) {
     avgStepsEl.textContent = Math.round(summary.insights.averageSteps7d).toLocaleString();
@@ -231,7 +1118,7 @@ const applySummary = (summary) => {
     complianceEl.textContent = `${Math.round((summary.insights.goalComplianceRate || 0) * 100)}%`;
     if (summary.insights.bestDay) {
       const best = summary.insights.bestDay;
-      const date = new Date(best.date).toLocaleDateString();
+      const date = parseDateKey(best.date).toLocaleDateString();
       bestDayEl.textContent = `${date} (${best.steps.toLocaleString()} steps)`;
     } else {
       bestDayEl.textContent = '–';
@@ -241,18 +1128,196 @@ const applySummary = (summary) => {
   if (summary.predictions) {
     predictionStepsEl.textContent = Math.round(summary.predictions.steps || 0).toLocaleString();
     predictionCaloriesEl.textContent = Math.round(summary.predictions.calories || 0).toLocaleString();
+    applyForecast(summary.predictions);
+  }
+};
+
+const receiveSummary = (summary) => {
+  applySummary(summary);
+  writeCache('summary', summary);
+};
+
+// Shows queued goal edits as if they were saved, so later edits build on them.
+const applyPendingGoals = () => {
+  if (!pendingGoals || !summaryState) {
+    return;
+  }
+  const { body } = pendingGoals;
+  applySummary({
+    ...summaryState,
+    goals: { steps: body.steps, calories: body.calories },
+    schedule: 'schedule' in body ? body.schedule : summaryState.schedule,
+  });
+};
+
+const setPendingGoals = async (value) => {
+  pendingGoals = value;
+  await (value ? writeCache('pendingGoals', value) : deleteCache('pendingGoals'));
+  renderStale();
+};
+
+// Later edits fold into the queued one. It keeps the goal version it was first made on, for the conflict check.
+const queueGoals = async (body) => {
+  await pendingReady;
+  const effectiveFrom = new Date().toLocaleDateString('en-CA', { timeZone: summaryState?.timeZone || undefined });
+  await setPendingGoals({
+    body: { ...pendingGoals?.body, ...body, effectiveFrom },
+    baseVersion: pendingGoals ? pendingGoals.baseVersion : summaryState?.goalVersion,
+    queuedAt: new Date().toISOString(),
+  });
+  applyPendingGoals();
+};
+
+const putGoals = (body) =>
+  apiFetch(new URL('/api/v1/goals', `${apiBase}/`), {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+const saveGoals = async (body) => {
+  await pendingReady;
+  if (pendingGoals) {
+    // Go through the queue so the queued edit isn't later replayed over this one.
+    await queueGoals(body);
+    await flushGoals();
+    return;
+  }
+  let response;
+  try {
+    response = await putGoals(body);
+  } catch (error) {
+    // fetch only rejects when no answer came back at all.
+    console.error(error);
+    await queueGoals(body);
+    return;
+  }
+  if (!response.ok) {
+    const { message } = await response.json();
+    throw new Error(message);
+  }
+  receiveSummary(await response.json());
+};
+
+// Replays the queued edit. If the goals changed elsewhere in the meantime, the user picks which to keep.
+const replayGoals = async () => {
+  await pendingReady;
+  if (!pendingGoals) {
+    return;
+  }
+  const { body, baseVersion } = pendingGoals;
+  try {
+    let response = await putGoals({ ...body, baseVersion });
+    if (response.status === 409) {
+      const { summary } = await response.json();
+      const keep = confirm(
+        `Your goals were changed elsewhere while this device was offline (now ${summary.goals.steps} steps / ${summary.goals.calories} kcal). ` +
+          `Replace them with the ${body.steps} steps / ${body.calories} kcal set here?`
+      );
+      if (!keep) {
+        await setPendingGoals(null);
+        receiveSummary(summary);
+        return;
+      }
+      response = await putGoals({ ...body, baseVersion: summary.goalVersion });
+    }
+    if (response.status === 401 || response.status === 409 || response.status >= 500) {
+      throw new Error('Failed to sync goals');
+    }
+    await setPendingGoals(null);
+    if (!response.ok) {
+      const { message } = await response.json();
+      alert(`Goal changes made offline were rejected: ${message}`);
+      return;
+    }
+    receiveSummary(await response.json());
+  } catch (error) {
+    console.error('Goal sync error', error);
+  }
+};
+
+const flushGoals = () => {
+  goalSync ??= replayGoals().finally(() => {
+    goalSync = null;
+  });
+  return goalSync;
+};
+
+const formatRange = (band) => `${Math.round(band.low).toLocaleString()}–${Math.round(band.high).toLocaleString()}`;
+
+const formatChance = (probability) => `${Math.round(probability * 100)}% chance of goal`;
+
+const applyForecast = (predictions) => {
+  if (!predictions.today || !predictions.tomorrow) {
+    return;
+  }
+  const { today, tomorrow } = predictions;
+  projectionStepsEl.textContent = Math.round(today.steps.projected).toLocaleString();
+  projectionCaloriesEl.textContent = Math.round(today.calories.projected).toLocaleString();
+  if (today.exempt) {
+    projectionStepsNote.textContent = `${formatRange(today.steps)} · rest day`;
+    projectionCaloriesNote.textContent = `${formatRange(today.calories)} · rest day`;
+  } else {
+    projectionStepsNote.textContent = `${formatRange(today.steps)} · ${formatChance(today.goalProbability.steps)}`;
+    projectionCaloriesNote.textContent = `${formatRange(today.calories)} · ${formatChance(today.goalProbability.calories)}`;
+  }
+  predictionStepsNote.textContent = `${formatRange(tomorrow.steps)} · ${formatChance(tomorrow.steps.goalProbability)}`;
+  predictionCaloriesNote.textContent = `${formatRange(tomorrow.calories)} · ${formatChance(tomorrow.calories.goalProbability)}`;
+};
+
+const applySchedule = (summary) => {
+  if (scheduleForm.contains(document.activeElement)) {
+    return;
+  }
+  scheduleBody.querySelectorAll('tr').forEach((row) => {
+    const day = summary.schedule?.[row.dataset.day];
+    row.querySelector('[data-metric="steps"]').value = day?.steps ?? '';
+    row.querySelector('[data-metric="steps"]').placeholder = summary.goals.steps;
+    row.querySelector('[data-metric="calories"]').value = day?.calories ?? '';
+    row.querySelector('[data-metric="calories"]').placeholder = summary.goals.calories;
+  });
+};
+
+const renderExemptions = (items) => {
+  if (!items.length) {
+    exemptionList.innerHTML = '<li class="placeholder">No rest days in the last 30 days or ahead</li>';
+    return;
+  }
+  exemptionList.innerHTML = items
+    .map((item) => {
+      const date = parseDateKey(item.date).toLocaleDateString();
+      const note = item.note ? ` – ${escapeHtml(item.note)}` : '';
+      return `<li><span>${date} · ${escapeHtml(item.kind)}${note}</span><button type="button" data-exemption="${item.id}">Remove</button></li>`;
+    })
+    .join('');
+};
+
+const fetchExemptions = async () => {
+  try {
+    const from = new Date();
+    from.setDate(from.getDate() - 30);
+    const url = new URL('/api/v1/exemptions', `${apiBase}/`);
+    url.searchParams.set('from', from.toLocaleDateString('en-CA'));
+    const response = await apiFetch(url);
+    if (!response.ok) {
+      throw new Error('Failed to fetch rest days');
+    }
+    const payload = await response.json();
+    renderExemptions(payload.data);
+  } catch (error) {
+    console.error('Rest day error', error);
   }
 };
 
 const fetchSummaryOnly = async () => {
   try {
-    const url = new URL('/api/summary', `${apiBase}/`);
-    const response = await fetch(url);
+    const url = new URL('/api/v1/summary', `${apiBase}/`);
+    const response = await apiFetch(url);
     if (!response.ok) {
       throw new Error('Failed to fetch summary');
     }
     const payload = await response.json();
-    applySummary(payload);
+    receiveSummary(payload);
   } catch (error) {
     console.error('Summary error', error);
   }
@@ -267,22 +1332,390 @@ goalsForm.addEventListener('submit', async (event) => {
     return;
   }
   try {
-    const url = new URL('/api/goals', `${apiBase}/`);
-    const response = await fetch(url, {
-      method: 'PUT',
+    await saveGoals({ steps, calories });
+  } catch (error) {
+    console.error(error);
+    alert(error.message || 'Unable to save goals.');
+  }
+});
+
+scheduleBody.innerHTML = WEEKDAYS.map(
+  ([key, label]) => `<tr data-day="${key}">
+    <td>${label}</td>
+    <td><input type="number" min="1" data-metric="steps" /></td>
+    <td><input type="number" min="1" step="0.1" data-metric="calories" /></td>
+  </tr>`
+).join('');
+
+scheduleForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (!summaryState) {
+    return;
+  }
+  const schedule = {};
+  let incomplete = false;
+  scheduleBody.querySelectorAll('tr').forEach((row) => {
+    const steps = row.querySelector('[data-metric="steps"]').value;
+    const calories = row.querySelector('[data-metric="calories"]').value;
+    if (!steps && !calories) {
+      return;
+    }
+    // A half-filled row borrows the other value from the daily goals.
+    schedule[row.dataset.day] = {
+      steps: Number(steps || summaryState.goals.steps),
+      calories: Number(calories || summaryState.goals.calories),
+    };
+    incomplete = incomplete || !Number.isFinite(schedule[row.dataset.day].steps);
+  });
+  if (incomplete) {
+    alert('Enter valid numbers');
+    return;
+  }
+  try {
+    document.activeElement?.blur();
+    await saveGoals({ ...summaryState.goals, schedule });
+  } catch (error) {
+    console.error(error);
+    alert(error.message || 'Unable to save schedule.');
+  }
+});
+
+exemptionForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const from = exemptionFromInput.value;
+  const to = exemptionToInput.value || from;
+  try {
+    const url = new URL('/api/v1/exemptions', `${apiBase}/`);
+    const response = await apiFetch(url, {
+      method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ steps, calories }),
+      body: JSON.stringify({
+        from,
+        to,
+        kind: exemptionKindInput.value,
+        note: exemptionNoteInput.value.trim() || undefined,
+      }),
     });
     if (!response.ok) {
-      throw new Error('Failed to save goals');
+      const { message } = await response.json();
+      throw new Error(message);
+    }
+    const payload = await response.json();
+    exemptionForm.reset();
+    receiveSummary(payload.summary);
+    await fetchExemptions();
+  } catch (error) {
+    console.error(error);
+    alert(error.message || 'Unable to save rest days.');
+  }
+});
+
+exemptionList.addEventListener('click', async (event) => {
+  const id = event.target.dataset?.exemption;
+  if (!id) {
+    return;
+  }
+  try {
+    const url = new URL(`/api/v1/exemptions/${id}`, `${apiBase}/`);
+    const response = await apiFetch(url, { method: 'DELETE' });
+    if (!response.ok) {
+      throw new Error('Failed to remove rest day');
+    }
+    const payload = await response.json();
+    receiveSummary(payload.summary);
+    await fetchExemptions();
+  } catch (error) {
+    console.error(error);
+    alert('Unable to remove rest day.');
+  }
+});
+
+const PROFILE_POLL_MS = 1000;
+
+const applyProfile = (payload) => {
+  if (!profileForm.contains(document.activeElement)) {
+    profileWeightInput.value = payload.profile.weightKg ?? '';
+    profileHeightInput.value = payload.profile.heightCm ?? '';
+    profileAgeInput.value = payload.profile.age ?? '';
+    profileSexSelect.value = payload.profile.sex ?? '';
+    calorieSourceSelect.value = payload.calorieSource;
+  }
+  const job = payload.recompute;
+  if (job?.status === 'running') {
+    profileStatus.textContent = `Recalculating calorie estimates… ${job.updated} sample(s) so far`;
+  } else if (job?.status === 'failed') {
+    profileStatus.textContent = 'Recalculating calorie estimates failed; it will be retried on the next restart.';
+  } else {
+    profileStatus.textContent = `Estimates use the ${payload.model} model${
+      payload.profile.weightKg ? '' : ' with a default 70 kg body until you enter your weight'
+    }.`;
+  }
+};
+
+// Keeps polling while a recompute runs, then refreshes the numbers it changed.
+const fetchProfile = async () => {
+  try {
+    const url = new URL('/api/v1/profile', `${apiBase}/`);
+    const response = await apiFetch(url);
+    if (!response.ok) {
+      throw new Error('Failed to fetch profile');
     }
     const payload = await response.json();
-    applySummary(payload);
+    applyProfile(payload);
+    if (payload.recompute?.status === 'running') {
+      setTimeout(fetchProfile, PROFILE_POLL_MS);
+    }
+    return payload;
+  } catch (error) {
+    console.error('Profile error', error);
+    return null;
+  }
+};
+
+const optionalNumber = (input) => (input.value.trim() === '' ? null : Number(input.value));
+
+profileForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  try {
+    const profileUrl = new URL('/api/v1/profile', `${apiBase}/`);
+    const profileResponse = await apiFetch(profileUrl, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        weightKg: optionalNumber(profileWeightInput),
+        heightCm: optionalNumber(profileHeightInput),
+        age: optionalNumber(profileAgeInput),
+        sex: profileSexSelect.value || null,
+      }),
+    });
+    if (!profileResponse.ok) {
+      const { message } = await profileResponse.json();
+      throw new Error(message);
+    }
+    const settingsUrl = new URL('/api/v1/settings', `${apiBase}/`);
+    const settingsResponse = await apiFetch(settingsUrl, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ calorieSource: calorieSourceSelect.value }),
+    });
+    if (!settingsResponse.ok) {
+      const { message } = await settingsResponse.json();
+      throw new Error(message);
+    }
+    profileForm.querySelector('button').blur();
+    await fetchProfile();
+    await fetchSummaryOnly();
   } catch (error) {
     console.error(error);
-    alert('Unable to save goals.');
+    alert(error.message || 'Unable to save profile.');
   }
 });
 
-beginPolling();
+const fetchActivitySettings = async () => {
+  try {
+    const url = new URL('/api/v1/settings', `${apiBase}/`);
+    const response = await apiFetch(url);
+    if (!response.ok) {
+      throw new Error('Failed to fetch settings');
+    }
+    activityStepsToggle.checked = (await response.json()).activitySteps === true;
+    renderRows();
+  } catch (error) {
+    console.error('Settings error', error);
+  }
+};
+
+// Workouts are logged against the time the user picked, read as local time.
+activityForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const calories = optionalNumber(activityCaloriesInput);
+  try {
+    const url = new URL('/api/v1/activities', `${apiBase}/`);
+    const response = await apiFetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        type: activityTypeSelect.value,
+        intensity: activityIntensitySelect.value,
+        start: new Date(activityStartInput.value).toISOString(),
+        durationMinutes: Number(activityDurationInput.value),
+        ...(calories === null ? {} : { calories }),
+      }),
+    });
+    if (!response.ok) {
+      const { message } = await response.json();
+      throw new Error(message);
+    }
+    activityForm.reset();
+    await fetchMetrics();
+  } catch (error) {
+    console.error(error);
+    alert(error.message || 'Unable to log workout.');
+  }
+});
+
+activityStepsToggle.addEventListener('change', async () => {
+  try {
+    const url = new URL('/api/v1/settings', `${apiBase}/`);
+    const response = await apiFetch(url, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ activitySteps: activityStepsToggle.checked }),
+    });
+    if (!response.ok) {
+      const { message } = await response.json();
+      throw new Error(message);
+    }
+    renderRows();
+    await fetchSummaryOnly();
+  } catch (error) {
+    console.error(error);
+    activityStepsToggle.checked = !activityStepsToggle.checked;
+    alert(error.message || 'Unable to save settings.');
+  }
+});
+
+const deleteWorkout = async (event) => {
+  const id = event.target.dataset?.activity;
+  if (!id || !confirm('Delete this workout?')) {
+    return;
+  }
+  try {
+    const url = new URL(`/api/v1/activities/${id}`, `${apiBase}/`);
+    const response = await apiFetch(url, { method: 'DELETE' });
+    if (!response.ok) {
+      throw new Error('Failed to delete workout');
+    }
+    await fetchMetrics();
+  } catch (error) {
+    console.error(error);
+    alert('Unable to delete workout.');
+  }
+};
+
+tableBody.addEventListener('click', deleteWorkout);
+dayBody.addEventListener('click', deleteWorkout);
+
+challengeForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const target = optionalNumber(challengeTargetInput);
+  try {
+    const url = new URL('/api/v1/challenges', `${apiBase}/`);
+    const response = await apiFetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: challengeNameInput.value.trim(),
+        metric: challengeMetricSelect.value,
+        type: challengeTypeSelect.value,
+        from: challengeFromInput.value,
+        to: challengeToInput.value,
+        // The form takes distance targets in km; the API counts metres.
+        target: target === null ? null : challengeMetricSelect.value === 'distance' ? target * 1000 : target,
+      }),
+    });
+    if (!response.ok) {
+      const { message } = await response.json();
+      throw new Error(message);
+    }
+    challengeForm.reset();
+    await fetchChallenges();
+  } catch (error) {
+    console.error(error);
+    alert(error.message || 'Unable to start challenge.');
+  }
+});
+
+joinForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  try {
+    const url = new URL('/api/v1/challenges/join', `${apiBase}/`);
+    const response = await apiFetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code: joinCodeInput.value.trim() }),
+    });
+    if (!response.ok) {
+      const { message } = await response.json();
+      throw new Error(message);
+    }
+    joinForm.reset();
+    await fetchChallenges();
+  } catch (error) {
+    console.error(error);
+    alert(error.message || 'Unable to join challenge.');
+  }
+});
+
+challengeList.addEventListener('click', async (event) => {
+  const { challenge, action } = event.target.dataset;
+  if (!challenge || !confirm(action === 'delete' ? 'Delete this challenge for everyone?' : 'Leave this challenge?')) {
+    return;
+  }
+  try {
+    const url = new URL(`/api/v1/challenges/${challenge}${action === 'leave' ? '/leave' : ''}`, `${apiBase}/`);
+    const response = await apiFetch(url, { method: action === 'delete' ? 'DELETE' : 'POST' });
+    if (!response.ok) {
+      const { message } = await response.json();
+      throw new Error(message);
+    }
+    await fetchChallenges();
+  } catch (error) {
+    console.error(error);
+    alert(error.message || 'Unable to update challenge.');
+  }
+});
+
+settingsForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const timeZone = timeZoneInput.value.trim() || null;
+  const mergePolicy = mergePolicySelect.value;
+  const priorityDevices = mergePolicy === 'priority' && priorityDeviceSelect.value ? [priorityDeviceSelect.value] : null;
+  try {
+    const url = new URL('/api/v1/settings', `${apiBase}/`);
+    const response = await apiFetch(url, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ timeZone, mergePolicy, priorityDevices }),
+    });
+    if (!response.ok) {
+      const { message } = await response.json();
+      throw new Error(message);
+    }
+    await Promise.all([fetchSummaryOnly(), fetchActivity()]);
+  } catch (error) {
+    console.error(error);
+    alert(error.message || 'Unable to save settings.');
+  }
+});
+
+mergePolicySelect.addEventListener('change', () => {
+  priorityDeviceField.hidden = mergePolicySelect.value !== 'priority';
+});
+
+timeZoneInput.placeholder = browserTimeZone;
+if (typeof Intl.supportedValuesOf === 'function') {
+  timeZoneOptions.innerHTML = Intl.supportedValuesOf('timeZone')
+    .map((zone) => `<option value="${zone}"></option>`)
+    .join('');
+}
+
 fetchMetrics();
+fetchExemptions();
+fetchDevices();
+fetchProfile();
+fetchActivitySettings();
+fetchChallenges();
+openStream();
+
+staleRetry.addEventListener('click', () => {
+  fetchMetrics();
+});
+
+window.addEventListener('online', () => {
+  fetchMetrics();
+});
+
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('sw.js').catch((error) => console.error('Service worker error', error));
+}